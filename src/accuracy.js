@@ -0,0 +1,246 @@
+const { t, getLanguage } = require('./i18n');
+const { getTodayDateString, addDays, getLocalHour, formatDayLabel } = require('./time');
+const { isRainySlot } = require('./forecast');
+const { CONFIG: DRYING_CONFIG } = require('./laundry');
+const { loadDay } = require('./archive');
+
+// Accuracy digest configuration
+const CONFIG = {
+    // Days covered by each digest period, ending yesterday
+    PERIODS: { week: 7, month: 30 },
+    // Days with fewer observations than this are not graded
+    MIN_OBSERVATIONS: 3,
+    // Rain in the last hour (mm) that makes an observation rainy
+    RAIN_THRESHOLD: 0.1
+};
+
+// Whether an observation saw rain, drizzle or thunderstorms
+function isRainyObservation(observation) {
+    return isRainySlot(observation) || (observation.precipitation || 0) >= CONFIG.RAIN_THRESHOLD;
+}
+
+// The forecast slot covering a moment, if any
+function findSlot(forecast, dt) {
+    return forecast.slots.find(slot => slot.dt <= dt && dt < slot.dt + slot.hours * 3600) || null;
+}
+
+// Whether an observation was made during the daylight hours used for drying
+function isDaytimeObservation(observation, zone) {
+    const hour = getLocalHour(new Date(observation.dt * 1000), zone);
+    return hour >= DRYING_CONFIG.DAYTIME_START_HOUR && hour < DRYING_CONFIG.DAYTIME_END_HOUR;
+}
+
+// Grade the laundry advice. Advice to hang laundry was wrong when it
+// rained during the suggested drying window, or during the day when there
+// was none; advice to keep it inside was wrong when the day stayed dry.
+function gradeLaundry(prediction, observations, zone) {
+    if (!prediction.laundry) {
+        return null;
+    }
+    
+    const window = prediction.laundry === 'hang' ? prediction.dryingWindow : null;
+    const relevant = window
+        ? observations.filter(observation => observation.dt >= window.start && observation.dt < window.end)
+        : observations.filter(observation => isDaytimeObservation(observation, zone));
+    
+    if (relevant.length === 0) {
+        return null;
+    }
+    
+    const rained = relevant.some(isRainyObservation);
+    return { verdict: prediction.laundry, wrong: prediction.laundry === 'hang' ? rained : !rained };
+}
+
+// Compare an archived forecast with the day's observations. Returns null
+// when there are too few observations to tell what the day was like.
+function evaluateDay(record, observations) {
+    if (observations.length < CONFIG.MIN_OBSERVATIONS) {
+        return null;
+    }
+    
+    const tempErrors = observations
+        .map(observation => {
+            const slot = findSlot(record.forecast, observation.dt);
+            if (!slot || typeof slot.temp !== 'number' || typeof observation.temp !== 'number') {
+                return null;
+            }
+            return slot.temp - observation.temp;
+        })
+        .filter(error => error !== null);
+    
+    return {
+        date: record.prediction.date,
+        predictedRain: record.prediction.hasRain,
+        observedRain: observations.some(isRainyObservation),
+        tempErrors: tempErrors,
+        laundry: gradeLaundry(record.prediction, observations, record.zone)
+    };
+}
+
+// Share as a whole percentage, or null when there is nothing to divide
+function percent(count, total) {
+    return total > 0 ? Math.round(count / total * 100) : null;
+}
+
+// Summarize graded days: how often forecast rain happened and observed
+// rain was forecast, the temperature error, and how often the laundry
+// advice was wrong
+function summarizeAccuracy(evaluations) {
+    const hits = evaluations.filter(day => day.predictedRain && day.observedRain).length;
+    const predicted = evaluations.filter(day => day.predictedRain).length;
+    const observed = evaluations.filter(day => day.observedRain).length;
+    const errors = evaluations.reduce((all, day) => all.concat(day.tempErrors), []);
+    const laundry = evaluations.filter(day => day.laundry);
+    const laundryWrong = laundry.filter(day => day.laundry.wrong).length;
+    
+    return {
+        days: evaluations.length,
+        rain: {
+            predicted: predicted,
+            observed: observed,
+            hits: hits,
+            precision: percent(hits, predicted),
+            recall: percent(hits, observed),
+            accuracy: percent(evaluations.filter(day => day.predictedRain === day.observedRain).length, evaluations.length)
+        },
+        temperature: {
+            samples: errors.length,
+            meanAbsoluteError: errors.length > 0 ? errors.reduce((total, error) => total + Math.abs(error), 0) / errors.length : null,
+            bias: errors.length > 0 ? errors.reduce((total, error) => total + error, 0) / errors.length : null
+        },
+        laundry: {
+            graded: laundry.length,
+            wrong: laundryWrong,
+            wrongRate: percent(laundryWrong, laundry.length)
+        }
+    };
+}
+
+// Grade every archived forecast in a period against the observations of
+// the same day. The period ends yesterday in the given zone. The forecast
+// graded for a day is the first one archived, the one the daily report used.
+async function buildAccuracyDigest(archive, { period = 'week', zone, now = new Date() } = {}) {
+    const length = CONFIG.PERIODS[period];
+    if (!length) {
+        throw new Error(`Unknown digest period "${period}". Supported: ${Object.keys(CONFIG.PERIODS).join(', ')}`);
+    }
+    
+    const end = addDays(getTodayDateString(zone, now), -1);
+    const dates = Array.from({ length: length }, (_, index) => addDays(end, index - length + 1));
+    
+    const days = await Promise.all(dates.map(async date => ({
+        forecasts: await loadDay(archive, 'forecasts', date),
+        observations: await loadDay(archive, 'observations', date)
+    })));
+    
+    const locations = new Map();
+    days.forEach(({ forecasts, observations }) => {
+        forecasts.forEach((records, key) => {
+            if (records.length === 0) {
+                return;
+            }
+            const record = records.slice().sort((a, b) => a.fetchedAt.localeCompare(b.fetchedAt))[0];
+            if (!locations.has(key)) {
+                locations.set(key, { key: key, name: record.name, evaluations: [], ungraded: 0 });
+            }
+            
+            const evaluation = evaluateDay(record, observations.get(key) || []);
+            if (evaluation) {
+                locations.get(key).evaluations.push(evaluation);
+            } else {
+                locations.get(key).ungraded++;
+            }
+        });
+    });
+    
+    const all = Array.from(locations.values());
+    return {
+        period: period,
+        start: dates[0],
+        end: end,
+        length: length,
+        overall: summarizeAccuracy(all.reduce((evaluations, location) => evaluations.concat(location.evaluations), [])),
+        ungraded: all.reduce((total, location) => total + location.ungraded, 0),
+        locations: all.map(location => ({
+            key: location.key,
+            name: location.name,
+            ungraded: location.ungraded,
+            summary: summarizeAccuracy(location.evaluations)
+        }))
+    };
+}
+
+// Describe a summary as lines of the digest
+function describeSummary(summary, ungraded, language) {
+    if (summary.days === 0) {
+        return [t(language, 'digest.noData')];
+    }
+    
+    const { rain, temperature, laundry } = summary;
+    const lines = [t(language, 'digest.graded', { graded: summary.days, ungraded: ungraded })];
+    
+    if (rain.predicted > 0) {
+        lines.push(t(language, 'digest.rainPredicted', { predicted: rain.predicted, hits: rain.hits, percent: rain.precision }));
+    }
+    if (rain.observed > 0) {
+        lines.push(t(language, 'digest.rainObserved', { observed: rain.observed, hits: rain.hits, percent: rain.recall }));
+    }
+    if (rain.predicted === 0 && rain.observed === 0) {
+        lines.push(t(language, 'digest.rainNone'));
+    }
+    if (temperature.samples > 0) {
+        lines.push(t(language, 'digest.temperature', {
+            error: temperature.meanAbsoluteError.toFixed(1),
+            bias: `${temperature.bias >= 0 ? '+' : ''}${temperature.bias.toFixed(1)}`,
+            samples: temperature.samples
+        }));
+    }
+    if (laundry.graded > 0) {
+        lines.push(t(language, 'digest.laundry', { wrong: laundry.wrong, graded: laundry.graded, percent: laundry.wrongRate }));
+    }
+    
+    return lines;
+}
+
+// Describe a digest for the email and text renderers: a heading, the
+// period, and a section per location with an overall one when there are several
+function describeDigest(digest, language) {
+    const locale = getLanguage(language).locale;
+    const sections = digest.locations.map(location => ({
+        heading: t(language, 'digest.location', { name: location.name || location.key }),
+        lines: describeSummary(location.summary, location.ungraded, language)
+    }));
+    
+    if (digest.locations.length !== 1) {
+        sections.unshift({
+            heading: t(language, 'digest.overall'),
+            lines: describeSummary(digest.overall, digest.ungraded, language)
+        });
+    }
+    
+    return {
+        heading: t(language, 'digest.title'),
+        period: t(language, 'digest.period', {
+            start: formatDayLabel(digest.start, locale),
+            end: formatDayLabel(digest.end, locale),
+            days: digest.length
+        }),
+        sections: sections
+    };
+}
+
+// Format a described digest as text
+function formatDigest(described) {
+    const sections = described.sections.map(section => `${section.heading}\n${section.lines.join('\n')}`);
+    return `${described.heading}\n${described.period}\n\n${sections.join('\n\n')}\n`;
+}
+
+module.exports = {
+    CONFIG,
+    isRainyObservation,
+    evaluateDay,
+    summarizeAccuracy,
+    buildAccuracyDigest,
+    describeDigest,
+    formatDigest
+};
@@ -0,0 +1,138 @@
+const { t, getLanguage } = require('./i18n');
+const { getLocalDateString, getTodayDateString, formatTime } = require('./time');
+
+// Air quality configuration
+const CONFIG = {
+    // Set AIR_QUALITY to false to leave out air quality and UV
+    ENABLED: process.env.AIR_QUALITY !== 'false',
+    // PM2.5 categories of Thailand's Pollution Control Department (µg/m³),
+    // each up to and including `max`, at one decimal place
+    PM25_SCALE: {
+        decimals: 1,
+        categories: [
+            { max: 15, key: 'veryGood' },
+            { max: 25, key: 'good' },
+            { max: 37.5, key: 'moderate' },
+            { max: 75, key: 'unhealthy' },
+            { max: Infinity, key: 'veryUnhealthy' }
+        ]
+    },
+    // WHO UV index categories, at whole numbers
+    UV_SCALE: {
+        decimals: 0,
+        categories: [
+            { max: 2, key: 'low' },
+            { max: 5, key: 'moderate' },
+            { max: 7, key: 'high' },
+            { max: 10, key: 'veryHigh' },
+            { max: Infinity, key: 'extreme' }
+        ]
+    }
+};
+
+// Index of the category a value falls in on a scale
+function getLevel(value, scale) {
+    const factor = Math.pow(10, scale.decimals);
+    const rounded = Math.round(value * factor) / factor;
+    return scale.categories.findIndex(category => rounded <= category.max);
+}
+
+// Analyze one measure over hourly points: its highest value, the category
+// of that value, and the peak hours, the run of consecutive hours around
+// the highest value that share its category. Returns null without values.
+function analyzeMeasure(points, field, scale) {
+    const values = points.filter(point => typeof point[field] === 'number');
+    if (values.length === 0) {
+        return null;
+    }
+    
+    const peakIndex = values.reduce((best, point, index) => (point[field] > values[best][field] ? index : best), 0);
+    const level = getLevel(values[peakIndex][field], scale);
+    const inPeak = (index, neighbour) => (
+        values[neighbour] &&
+        Math.abs(values[neighbour].dt - values[index].dt) === 3600 &&
+        getLevel(values[neighbour][field], scale) === level
+    );
+    
+    let first = peakIndex;
+    let last = peakIndex;
+    while (inPeak(first, first - 1)) {
+        first--;
+    }
+    while (inPeak(last, last + 1)) {
+        last++;
+    }
+    
+    return {
+        max: values[peakIndex][field],
+        level: level,
+        category: scale.categories[level].key,
+        peak: { start: values[first].dt, end: values[last].dt + 3600 }
+    };
+}
+
+// Analyze PM2.5 and the UV index over the rest of today in the location's
+// zone. Returns null when there is neither.
+function analyzeAirQuality(air, zone, now = new Date()) {
+    if (!Array.isArray(air) || air.length === 0) {
+        return null;
+    }
+    
+    const nowSeconds = Math.floor(now.getTime() / 1000);
+    const todayStr = getTodayDateString(zone, now);
+    const today = air
+        .filter(point => point.dt + 3600 > nowSeconds && getLocalDateString(new Date(point.dt * 1000), zone) === todayStr)
+        .sort((a, b) => a.dt - b.dt);
+    
+    const pm25 = analyzeMeasure(today, 'pm25', CONFIG.PM25_SCALE);
+    const uv = analyzeMeasure(today, 'uvIndex', CONFIG.UV_SCALE);
+    
+    return pm25 || uv ? { pm25: pm25, uv: uv } : null;
+}
+
+// Describe air quality and UV for display: the highest value of each, its
+// category and when it peaks. Returns null when there is nothing to show.
+function describeAirQuality(analysis, zone, language) {
+    if (!analysis) {
+        return null;
+    }
+    
+    const locale = getLanguage(language).locale;
+    const peakParams = (measure) => ({
+        start: formatTime(new Date(measure.peak.start * 1000), zone, locale),
+        end: formatTime(new Date(measure.peak.end * 1000), zone, locale)
+    });
+    const lines = [];
+    
+    if (analysis.pm25) {
+        lines.push(t(language, 'air.pm25', Object.assign({
+            value: Math.round(analysis.pm25.max),
+            category: t(language, `air.${analysis.pm25.category}`)
+        }, peakParams(analysis.pm25))));
+    }
+    
+    // The UV index is zero all night, which is not worth a line
+    if (analysis.uv && analysis.uv.max > 0) {
+        lines.push(t(language, 'uv.index', Object.assign({
+            value: Math.round(analysis.uv.max),
+            category: t(language, `uv.${analysis.uv.category}`)
+        }, peakParams(analysis.uv))));
+    }
+    
+    return lines.length > 0 ? { header: t(language, 'air.header'), lines: lines } : null;
+}
+
+// Format a described air quality section as text lines
+function formatAirQuality(described) {
+    if (!described) {
+        return '';
+    }
+    return `\n${described.header}\n${described.lines.join('\n')}\n`;
+}
+
+module.exports = {
+    CONFIG,
+    analyzeAirQuality,
+    describeAirQuality,
+    formatAirQuality
+};
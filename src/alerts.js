@@ -0,0 +1,142 @@
+const { t, getLanguage } = require('./i18n');
+const { formatTime, getLocalDateString, getTodayDateString } = require('./time');
+
+// Alert thresholds, overridable through the environment
+const CONFIG = {
+    HEAVY_RAIN_MM: parseFloat(process.env.ALERT_HEAVY_RAIN_MM) || 10,
+    EXTREME_HEAT_C: parseFloat(process.env.ALERT_EXTREME_HEAT_C) || 38,
+    LOOKAHEAD_HOURS: parseInt(process.env.ALERT_LOOKAHEAD_HOURS, 10) || 12
+};
+
+// Alert types in the order they are reported
+const ALERT_TYPES = ['thunderstorm', 'heavyRain', 'extremeHeat'];
+
+// Measure a forecast slot for each alert type. Returns the value that
+// triggers the alert, or null when the slot does not qualify.
+const DETECTORS = {
+    thunderstorm(slot) {
+        return slot.condition === 'thunderstorm' ? Math.round((slot.pop || 0) * 100) : null;
+    },
+    
+    heavyRain(slot) {
+        // Scale to a 3-hour total so the threshold means the same for every provider
+        const volume = (slot.precipitation || 0) * 3 / (slot.hours || 3);
+        return volume >= CONFIG.HEAVY_RAIN_MM ? volume : null;
+    },
+    
+    extremeHeat(slot) {
+        return typeof slot.temp === 'number' && slot.temp >= CONFIG.EXTREME_HEAT_C ? slot.temp : null;
+    }
+};
+
+// Severity level of a peak value, so small forecast jitter does not count
+// as a change but a real escalation does
+function getLevel(type, peak) {
+    if (type === 'heavyRain') {
+        return Math.floor(peak / CONFIG.HEAVY_RAIN_MM);
+    }
+    if (type === 'extremeHeat') {
+        return 1 + Math.floor((peak - CONFIG.EXTREME_HEAT_C) / 2);
+    }
+    return 1;
+}
+
+// Detect alert conditions in the forecast slots within the lookahead window.
+// Returns one entry per alert type: { type, start, end, peak, level }
+// with start/end as unix seconds.
+function detectAlerts(forecast, now = new Date()) {
+    const nowSeconds = Math.floor(now.getTime() / 1000);
+    const horizon = nowSeconds + CONFIG.LOOKAHEAD_HOURS * 3600;
+    
+    // Include the slot in progress as well as upcoming ones
+    const upcoming = forecast.slots.filter(slot => (
+        slot.dt + slot.hours * 3600 > nowSeconds && slot.dt < horizon
+    ));
+    
+    const alerts = {};
+    upcoming.forEach(slot => {
+        const slotEnd = slot.dt + slot.hours * 3600;
+        ALERT_TYPES.forEach(type => {
+            const value = DETECTORS[type](slot);
+            if (value === null) {
+                return;
+            }
+            
+            const alert = alerts[type];
+            if (!alert) {
+                alerts[type] = { type: type, start: slot.dt, end: slotEnd, peak: value };
+            } else {
+                alert.end = Math.max(alert.end, slotEnd);
+                alert.peak = Math.max(alert.peak, value);
+            }
+        });
+    });
+    
+    return ALERT_TYPES
+        .filter(type => alerts[type])
+        .map(type => Object.assign(alerts[type], { level: getLevel(type, alerts[type].peak) }));
+}
+
+// Compare detected alerts with the previously alerted state. An alert is
+// new when there was no overlapping alert of the same type before, or when
+// it has escalated to a higher level. Returns the alerts to send and the
+// state to persist; types that are no longer forecast drop out of the state
+// so a later recurrence alerts again.
+function diffAlerts(current, previousState) {
+    const previous = (previousState && previousState.alerts) || {};
+    const changed = [];
+    const alerts = {};
+    
+    current.forEach(alert => {
+        const prior = previous[alert.type];
+        const overlaps = prior && alert.start <= prior.end && alert.end >= prior.start;
+        
+        if (!overlaps || alert.level > prior.level) {
+            changed.push(alert);
+        }
+        
+        alerts[alert.type] = {
+            start: alert.start,
+            end: alert.end,
+            peak: alert.peak,
+            // Keep the highest level already sent for an ongoing event
+            level: overlaps ? Math.max(alert.level, prior.level) : alert.level
+        };
+    });
+    
+    return { changed: changed, state: { alerts: alerts } };
+}
+
+// Format the time span of an alert, prefixing the day when it is not today
+function formatAlertSpan(alert, zone, language, now) {
+    const locale = getLanguage(language).locale;
+    const start = new Date(alert.start * 1000);
+    const span = `${formatTime(start, zone, locale)}-${formatTime(new Date(alert.end * 1000), zone, locale)}`;
+    const isToday = getLocalDateString(start, zone) === getTodayDateString(zone, now);
+    return isToday ? span : `${t(language, 'alert.tomorrow')} ${span}`;
+}
+
+// Describe the alerts for one location: a heading and one line per alert
+function describeAlerts(alerts, cityName, zone, language, now = new Date()) {
+    return {
+        heading: t(language, 'alert.location', { city: cityName }),
+        lines: alerts.map(alert => t(language, `alert.${alert.type}`, {
+            time: formatAlertSpan(alert, zone, language, now),
+            peak: alert.type === 'thunderstorm' ? alert.peak : alert.peak.toFixed(1)
+        }))
+    };
+}
+
+// Format a described location's alerts as text
+function formatAlerts(described) {
+    return `${described.heading}\n${described.lines.map(line => `${line}\n`).join('')}`;
+}
+
+module.exports = {
+    CONFIG,
+    ALERT_TYPES,
+    detectAlerts,
+    diffAlerts,
+    describeAlerts,
+    formatAlerts
+};
@@ -0,0 +1,476 @@
+const { t, isSupportedLanguage, DEFAULT_LANGUAGE, LANGUAGES } = require('./i18n');
+const { getTimeZone } = require('./time');
+const { normalizeSubscription, normalizeLocation } = require('./subscriptions');
+const { loadRules } = require('./rules');
+const { createStore } = require('./store');
+const { fetchForecast } = require('./providers');
+const { CONFIG: OUTLOOK_CONFIG } = require('./outlook');
+const { CONFIG: AIR_CONFIG } = require('./airquality');
+const { buildLocationReport, renderText } = require('./report');
+const { renderDailyEmail, renderUnsubscribePage, renderConfirmEmail, renderConfirmPage, inlineImages } = require('./email');
+const { deliverReport } = require('./channels');
+const { signToken, verifyToken, getSubscriberId, getConfirmUrl } = require('./links');
+const { getLogger } = require('./run');
+
+// Formats GET /report can answer in
+const FORMATS = ['json', 'text', 'html'];
+
+// Subscription fields a subscriber can set through the API. Channels other
+// than their email address are left to the operator.
+const SUBSCRIPTION_FIELDS = ['email', 'language', 'outlook', 'alerts', 'delivery', 'locations'];
+
+// Subscriptions made through the API wait in the "pending" store
+// namespace until confirmed from the email sent to the address
+const CONFIRMATION = {
+    // Days the confirmation link works
+    EXPIRES_DAYS: 7,
+    // An address gets at most one confirmation email in this time, however
+    // often someone signs it up
+    RESEND_AFTER: 24 * 60 * 60 * 1000
+};
+
+// Answer to every sign-up, whether or not the address is already
+// subscribed, so the API does not tell who is
+const SUBSCRIBE_RESPONSE = { status: 'pending', message: 'If the address is not subscribed yet, a confirmation email is on its way' };
+
+// Error answered with its status code and message
+function httpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+// Response with a JSON body
+function json(statusCode, body) {
+    return {
+        statusCode: statusCode,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' },
+        body: JSON.stringify(body)
+    };
+}
+
+// Response with a text or HTML body
+function content(statusCode, body, type) {
+    return {
+        statusCode: statusCode,
+        headers: { 'Content-Type': `${type}; charset=utf-8` },
+        body: body
+    };
+}
+
+// Parse a JSON request body into an object
+function parseBody(request) {
+    if (!request.body) {
+        return {};
+    }
+    
+    let body;
+    try {
+        body = JSON.parse(request.body);
+    } catch (error) {
+        throw httpError(400, `Invalid JSON body: ${error.message}`);
+    }
+    
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw httpError(400, 'The request body must be a JSON object');
+    }
+    return body;
+}
+
+// Run a validation, answering its error with 400
+function validate(callback) {
+    try {
+        return callback();
+    } catch (error) {
+        throw httpError(400, error.message);
+    }
+}
+
+// Token sent with a request, as a bearer token or the "token" parameter
+function getToken(request) {
+    const authorization = request.headers.authorization || '';
+    const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+    return bearer ? bearer[1] : request.query.token;
+}
+
+// Subscription management needs the secret the tokens are signed with
+function requireSecret() {
+    if (!process.env.UNSUBSCRIBE_SECRET) {
+        throw httpError(503, 'Subscription management is not configured: set UNSUBSCRIBE_SECRET');
+    }
+}
+
+// GET /report?lat=&lon=&lang=&format=: today's report for one location,
+// as the structured report (json), the text analyzeWeather() produces
+// (text) or the daily email with its chart inline (html)
+async function getReport(request, context) {
+    const query = request.query;
+    const language = query.lang || process.env.LANGUAGE || DEFAULT_LANGUAGE;
+    if (!isSupportedLanguage(language)) {
+        throw httpError(400, `Unsupported language "${language}". Supported: ${Object.keys(LANGUAGES).join(', ')}`);
+    }
+    
+    const format = query.format || 'json';
+    if (!FORMATS.includes(format)) {
+        throw httpError(400, `Unknown format "${format}". Supported: ${FORMATS.join(', ')}`);
+    }
+    
+    const location = validate(() => normalizeLocation({
+        name: query.name,
+        lat: query.lat,
+        lon: query.lon,
+        timezone: query.tz
+    }, 'report'));
+    const outlook = query.outlook === 'true';
+    
+    let forecast;
+    try {
+        forecast = await fetchForecast(location, {
+            language: language,
+            slotCount: outlook ? OUTLOOK_CONFIG.SLOT_COUNT : undefined,
+            airQuality: AIR_CONFIG.ENABLED,
+            httpClient: context.http,
+            now: context.now
+        });
+    } catch (error) {
+        throw httpError(502, `Weather data unavailable: ${error.message}`);
+    }
+    
+    const report = buildLocationReport(forecast, location, language, loadRules(), context.now, { outlook: outlook });
+    
+    if (format === 'text') {
+        return content(200, renderText(report), 'text/plain');
+    }
+    if (format === 'html') {
+        const email = renderDailyEmail([report], { language: language, zone: getTimeZone(forecast, location), now: context.now });
+        return content(200, inlineImages(email.html, email.images), 'text/html');
+    }
+    return json(200, { provider: forecast.provider, location: location, report: report });
+}
+
+// Subscription fields from a request body, with a single location given
+// as lat, lon, name and timezone as shorthand for "locations"
+function pickSubscription(body) {
+    const fields = {};
+    SUBSCRIPTION_FIELDS.forEach(field => {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        }
+    });
+    
+    if (!fields.locations && body.lat !== undefined) {
+        fields.locations = [{ name: body.name, lat: body.lat, lon: body.lon, timezone: body.timezone }];
+    }
+    return fields;
+}
+
+// Load a subscriber from the store after checking the token for it
+async function loadSubscriber(request, purpose, store) {
+    requireSecret();
+    const id = request.params.id;
+    if (!verifyToken(id, purpose, getToken(request))) {
+        throw httpError(403, 'Invalid or missing token');
+    }
+    
+    const subscriber = await store.get(id);
+    if (!subscriber) {
+        throw httpError(404, `Subscriber ${id} not found`);
+    }
+    return subscriber;
+}
+
+// Email the link confirming a pending subscription. A failed send is
+// logged and forgotten, so signing up again sends a new one.
+async function sendConfirmation(id, fields, context) {
+    const language = fields.language || process.env.LANGUAGE || DEFAULT_LANGUAGE;
+    const url = getConfirmUrl(id);
+    const message = t(language, 'confirm.request', { days: CONFIRMATION.EXPIRES_DAYS });
+    
+    const [result] = await deliverReport([{ type: 'ses', to: fields.email }], {
+        subject: t(language, 'subject.confirm'),
+        text: `${message}\n\n${t(language, 'confirm.link', { url: url })}`,
+        html: renderConfirmEmail(message, url, { language: language, zone: getTimeZone(null), now: context.now })
+    }, context);
+    
+    if (result.status === 'failed') {
+        await createStore('pending').delete(id);
+        return;
+    }
+    getLogger().info('Subscription confirmation sent', { subscriber: id });
+}
+
+// POST /subscriptions: ask to subscribe an address to the daily report.
+// Nothing is sent to it until the subscriber follows the link in the
+// confirmation email, and the answer is the same whether or not the
+// address is already subscribed.
+async function subscribe(request, context) {
+    requireSecret();
+    if (!process.env.PUBLIC_BASE_URL) {
+        throw httpError(503, 'Subscribing is not configured: set PUBLIC_BASE_URL for the confirmation link');
+    }
+    
+    const fields = pickSubscription(parseBody(request));
+    if (!fields.email) {
+        throw httpError(400, 'An email address is required');
+    }
+    
+    const id = validate(() => normalizeSubscription(Object.assign({ id: getSubscriberId(fields.email) }, fields), 0)).id;
+    if (await createStore('subscriptions').get(id)) {
+        return json(202, SUBSCRIBE_RESPONSE);
+    }
+    
+    const pending = createStore('pending');
+    const previous = await pending.get(id);
+    if (previous && context.now - Date.parse(previous.requestedAt) < CONFIRMATION.RESEND_AFTER) {
+        return json(202, SUBSCRIBE_RESPONSE);
+    }
+    
+    await pending.put(id, { requestedAt: context.now.toISOString(), fields: fields });
+    await sendConfirmation(id, fields, context);
+    return json(202, SUBSCRIBE_RESPONSE);
+}
+
+// Page of a confirmation link in the language the subscriber asked for
+function confirmPage(statusCode, key, params, options) {
+    const language = options.language && isSupportedLanguage(options.language)
+        ? options.language
+        : process.env.LANGUAGE || DEFAULT_LANGUAGE;
+    
+    return content(statusCode, renderConfirmPage(t(language, key, params), Object.assign({}, options, {
+        language: language,
+        zone: getTimeZone(null)
+    })), 'text/html');
+}
+
+// Pending subscription a confirmation link is for, or null when the link
+// is forged, already used or expired
+async function loadPending(request, context) {
+    const { id, token } = request.query;
+    if (!verifyToken(id, 'confirm', token)) {
+        return null;
+    }
+    
+    const pending = await createStore('pending').get(id);
+    const expiresAt = pending ? Date.parse(pending.requestedAt) + CONFIRMATION.EXPIRES_DAYS * 24 * 60 * 60 * 1000 : 0;
+    return context.now.getTime() < expiresAt ? pending : null;
+}
+
+// GET /confirm?id=&token=: the link in the confirmation email. Only asks
+// to confirm, so mail scanners that follow links do not subscribe anyone.
+async function showConfirmation(request, context) {
+    requireSecret();
+    const pending = await loadPending(request, context);
+    if (!pending) {
+        return confirmPage(403, 'confirm.invalid', {}, { now: context.now });
+    }
+    
+    const { id, token } = request.query;
+    return confirmPage(200, 'confirm.prompt', {}, {
+        language: pending.fields.language,
+        now: context.now,
+        action: `?id=${encodeURIComponent(id)}&token=${encodeURIComponent(token)}`
+    });
+}
+
+// POST /confirm?id=&token=: turn the pending subscription into a
+// subscriber, also undoing an earlier unsubscribe of the address. The
+// page shows the token to manage the subscription.
+async function confirmSubscription(request, context) {
+    requireSecret();
+    const pending = await loadPending(request, context);
+    if (!pending) {
+        return confirmPage(403, 'confirm.invalid', {}, { now: context.now });
+    }
+    
+    const id = request.query.id;
+    await createStore('subscriptions').put(id, Object.assign({ createdAt: context.now.toISOString() }, pending.fields));
+    await createStore('unsubscribed').delete(id);
+    await createStore('pending').delete(id);
+    getLogger().info('Subscriber added through the API', { subscriber: id });
+    
+    return confirmPage(200, 'confirm.done', { token: signToken(id, 'manage') }, {
+        language: pending.fields.language,
+        now: context.now,
+        confirmed: true
+    });
+}
+
+// PUT /subscriptions/{id}/location: replace a subscriber's locations
+async function updateLocation(request) {
+    const store = createStore('subscriptions');
+    const subscriber = await loadSubscriber(request, 'manage', store);
+    const { locations } = pickSubscription(parseBody(request));
+    if (!locations) {
+        throw httpError(400, 'Send lat and lon, or "locations"');
+    }
+    
+    const updated = Object.assign({}, subscriber, { locations: locations });
+    const normalized = validate(() => normalizeSubscription(Object.assign({ id: request.params.id }, updated), 0));
+    await store.put(request.params.id, updated);
+    
+    return json(200, { id: request.params.id, locations: normalized.locations });
+}
+
+// Remove a subscriber from the store and remember them as unsubscribed,
+// which also covers subscribers from SUBSCRIPTIONS_FILE
+async function removeSubscriber(id, context) {
+    await createStore('subscriptions').delete(id);
+    await createStore('unsubscribed').put(id, { unsubscribedAt: context.now.toISOString() });
+    getLogger().info('Subscriber unsubscribed', { subscriber: id });
+}
+
+// DELETE /subscriptions/{id}: unsubscribe with the manage token
+async function deleteSubscription(request, context) {
+    const store = createStore('subscriptions');
+    await loadSubscriber(request, 'manage', store);
+    await removeSubscriber(request.params.id, context);
+    return json(200, { id: request.params.id, status: 'unsubscribed' });
+}
+
+// Page of the unsubscribe link in the subscriber's language, with a
+// confirmation button posting to `action` if given
+async function unsubscribePage(request, context, statusCode, key, action = null) {
+    const id = request.query.id;
+    const subscriber = id ? await createStore('subscriptions').get(id) : null;
+    const language = subscriber && isSupportedLanguage(subscriber.language)
+        ? subscriber.language
+        : process.env.LANGUAGE || DEFAULT_LANGUAGE;
+    
+    return content(statusCode, renderUnsubscribePage(t(language, key), {
+        language: language,
+        zone: getTimeZone(null),
+        now: context.now,
+        action: action
+    }), 'text/html');
+}
+
+// GET /unsubscribe?id=&token=: the link in every email footer. Only asks
+// for confirmation, so mail scanners and link previews that follow it do
+// not unsubscribe anyone.
+async function confirmUnsubscribe(request, context) {
+    requireSecret();
+    const { id, token } = request.query;
+    if (!verifyToken(id, 'unsubscribe', token)) {
+        return unsubscribePage(request, context, 403, 'unsubscribe.invalid');
+    }
+    
+    const action = `?id=${encodeURIComponent(id)}&token=${encodeURIComponent(token)}`;
+    return unsubscribePage(request, context, 200, 'unsubscribe.confirm', action);
+}
+
+// POST /unsubscribe?id=&token=: unsubscribe, from the confirmation page
+// or a mail client's one-click List-Unsubscribe-Post request
+async function unsubscribe(request, context) {
+    requireSecret();
+    const id = request.query.id;
+    if (!verifyToken(id, 'unsubscribe', request.query.token)) {
+        return unsubscribePage(request, context, 403, 'unsubscribe.invalid');
+    }
+    
+    const page = await unsubscribePage(request, context, 200, 'unsubscribe.done');
+    await removeSubscriber(id, context);
+    return page;
+}
+
+// Routes by method and path; ":name" segments become request.params
+const ROUTES = [
+    { method: 'GET', path: '/report', handler: getReport },
+    { method: 'POST', path: '/subscriptions', handler: subscribe },
+    { method: 'GET', path: '/confirm', handler: showConfirmation },
+    { method: 'POST', path: '/confirm', handler: confirmSubscription },
+    { method: 'PUT', path: '/subscriptions/:id/location', handler: updateLocation },
+    { method: 'DELETE', path: '/subscriptions/:id', handler: deleteSubscription },
+    { method: 'GET', path: '/unsubscribe', handler: confirmUnsubscribe },
+    { method: 'POST', path: '/unsubscribe', handler: unsubscribe }
+];
+
+// Decode a path segment, answering a malformed escape such as "%E0" with
+// 400 rather than failing the request
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (error) {
+        throw httpError(400, `Malformed path segment "${segment}"`);
+    }
+}
+
+// Find the route for a request and the parameters in its path
+function matchRoute(method, path) {
+    const segments = path.split('/').filter(Boolean);
+    let allowed = false;
+    
+    for (const route of ROUTES) {
+        const pattern = route.path.split('/').filter(Boolean);
+        if (pattern.length !== segments.length) {
+            continue;
+        }
+        
+        const params = {};
+        const matches = pattern.every((part, index) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = decodeSegment(segments[index]);
+                return true;
+            }
+            return part === segments[index];
+        });
+        
+        if (matches && route.method === method) {
+            return { route: route, params: params };
+        }
+        allowed = allowed || matches;
+    }
+    
+    throw allowed ? httpError(405, `Method ${method} not allowed`) : httpError(404, `Not found: ${path}`);
+}
+
+// Whether a Lambda event is an API Gateway request rather than a schedule
+function isApiEvent(event) {
+    return Boolean(event && (event.httpMethod || (event.requestContext && event.requestContext.http)));
+}
+
+// Turn an API Gateway event (HTTP API or REST API payload) into a request
+function fromApiEvent(event) {
+    const headers = {};
+    Object.keys(event.headers || {}).forEach(name => {
+        headers[name.toLowerCase()] = event.headers[name];
+    });
+    
+    return {
+        method: event.httpMethod || event.requestContext.http.method,
+        path: event.rawPath || event.path,
+        query: event.queryStringParameters || {},
+        headers: headers,
+        body: event.body && event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body
+    };
+}
+
+// Create the HTTP API. The returned function takes a request
+// { method, path, query, headers, body } and resolves to a response
+// { statusCode, headers, body }, which is also what API Gateway expects.
+// The HTTP client, the SES client and the clock can be replaced, as for
+// the handler.
+function createApi(dependencies = {}) {
+    const clock = dependencies.clock || (() => new Date());
+    
+    return async (request) => {
+        const context = { now: clock(), http: dependencies.httpClient, ses: dependencies.sesClient };
+        const normalized = Object.assign({ query: {}, headers: {}, body: null }, request);
+        
+        try {
+            const { route, params } = matchRoute(normalized.method, normalized.path);
+            return await route.handler(Object.assign(normalized, { params: params }), context);
+        } catch (error) {
+            if (!error.statusCode) {
+                getLogger().error('API request failed', { method: normalized.method, path: normalized.path, error: error });
+            }
+            return json(error.statusCode || 500, { error: error.message });
+        }
+    };
+}
+
+module.exports = {
+    FORMATS,
+    createApi,
+    isApiEvent,
+    fromApiEvent
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const AWS = require('aws-sdk');
+const { getLocationKey } = require('./subscriptions');
+
+// Kinds of archived records. Each day has one JSON file per location and
+// kind holding a list of records:
+//   forecasts/<local date>/<lat>,<lon>.json     forecasts and predictions
+//   observations/<local date>/<lat>,<lon>.json  observed conditions
+const KINDS = ['forecasts', 'observations'];
+
+// JSON archive backed by an S3 bucket
+function createS3Archive(bucket, client = new AWS.S3({ region: process.env.AWS_REGION || 'us-east-1' })) {
+    return {
+        async get(key) {
+            try {
+                const result = await client.getObject({ Bucket: bucket, Key: key }).promise();
+                return JSON.parse(result.Body.toString('utf8'));
+            } catch (error) {
+                if (error.code === 'NoSuchKey') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        
+        async put(key, value) {
+            await client.putObject({
+                Bucket: bucket,
+                Key: key,
+                Body: JSON.stringify(value),
+                ContentType: 'application/json'
+            }).promise();
+        },
+        
+        async list(prefix) {
+            const keys = [];
+            let token;
+            
+            do {
+                const result = await client.listObjectsV2({ Bucket: bucket, Prefix: prefix, ContinuationToken: token }).promise();
+                result.Contents.forEach(item => keys.push(item.Key));
+                token = result.IsTruncated ? result.NextContinuationToken : undefined;
+            } while (token);
+            
+            return keys;
+        }
+    };
+}
+
+// JSON archive backed by files in a local directory, one file per key
+function createFileArchive(directory) {
+    const toPath = (key) => path.join(directory, ...key.split('/'));
+    
+    return {
+        async get(key) {
+            const filePath = toPath(key);
+            if (!fs.existsSync(filePath)) {
+                return null;
+            }
+            
+            try {
+                return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                throw new Error(`Corrupt archive file ${filePath}: ${error.message}`);
+            }
+        },
+        
+        async put(key, value) {
+            const filePath = toPath(key);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            // Write to a temp file first so a crash never leaves a half-written record
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(value, null, 2));
+            fs.renameSync(tempPath, filePath);
+        },
+        
+        async list(prefix) {
+            // Prefixes end at a directory, e.g. "forecasts/2026-10-19/"
+            const dirPath = toPath(prefix);
+            if (!fs.existsSync(dirPath)) {
+                return [];
+            }
+            return fs.readdirSync(dirPath)
+                .filter(name => name.endsWith('.json'))
+                .sort()
+                .map(name => `${prefix}${name}`);
+        }
+    };
+}
+
+// Create the archive: S3 when ARCHIVE_BUCKET is set, a local directory
+// when ARCHIVE_DIR is set, otherwise null as archiving is off
+function createArchive() {
+    if (process.env.ARCHIVE_BUCKET) {
+        return createS3Archive(process.env.ARCHIVE_BUCKET);
+    }
+    if (process.env.ARCHIVE_DIR) {
+        return createFileArchive(process.env.ARCHIVE_DIR);
+    }
+    return null;
+}
+
+// Key of the file holding a day's records of one kind for a location
+function getRecordKey(kind, date, location) {
+    if (!KINDS.includes(kind)) {
+        throw new Error(`Unknown archive kind: ${kind}`);
+    }
+    return `${kind}/${date}/${getLocationKey(location)}.json`;
+}
+
+// Add a record to a location's list for the day
+async function appendRecord(archive, kind, date, location, record) {
+    const key = getRecordKey(kind, date, location);
+    const records = (await archive.get(key)) || [];
+    records.push(record);
+    await archive.put(key, records);
+}
+
+// Load all of a day's records of one kind, as a map of location key to records
+async function loadDay(archive, kind, date) {
+    const keys = await archive.list(`${kind}/${date}/`);
+    const day = new Map();
+    
+    await Promise.all(keys.map(async key => {
+        const records = await archive.get(key);
+        day.set(path.posix.basename(key, '.json'), records || []);
+    }));
+    
+    return day;
+}
+
+module.exports = {
+    KINDS,
+    createArchive,
+    createFileArchive,
+    createS3Archive,
+    appendRecord,
+    loadDay
+};
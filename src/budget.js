@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { createStore } = require('./store');
+const { getLogger, recordMetric } = require('./run');
+
+// Call budget configuration, per API key. Both limits are off at 0.
+const CONFIG = {
+    // Calls per minute, counted in this instance's memory. OpenWeatherMap's
+    // free tier allows 60.
+    PER_MINUTE: parseInt(process.env.OPENWEATHER_MINUTE_BUDGET, 10) || 0,
+    // Calls per UTC day, counted in the "budget" store namespace so every
+    // invocation shares the count
+    PER_DAY: parseInt(process.env.OPENWEATHER_DAILY_BUDGET, 10) || 0
+};
+
+// Times of the calls made in the last minute, by hashed API key
+const recentCalls = new Map();
+
+// Last daily count update, by hashed API key. Each update waits for the
+// one before, so parallel calls never read the same count.
+const dailyUpdates = new Map();
+
+// Identify an API key in memory and in the store without keeping the key
+function hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16);
+}
+
+// Error for a spent budget. The provider fails like on any other error,
+// so the chain moves on to the next provider without calling the API.
+function budgetError(api, detail) {
+    recordMetric('ApiBudgetExhausted', 1);
+    getLogger().warn('API call budget spent', { api: api, detail: detail });
+    return new Error(`${api} call budget spent: ${detail}`);
+}
+
+// Count one call against the key's daily budget in the store, or throw
+// when it is spent
+async function spendDaily(api, id, now) {
+    const store = createStore('budget');
+    const day = new Date(now).toISOString().slice(0, 10);
+    const saved = await store.get(id);
+    const calls = saved && saved.day === day ? saved.calls : 0;
+    if (calls >= CONFIG.PER_DAY) {
+        throw budgetError(api, `${calls} of ${CONFIG.PER_DAY} calls today (UTC)`);
+    }
+    await store.put(id, { day: day, calls: calls + 1 });
+}
+
+// Count one call to `api` against its key's budget, or throw when the
+// budget is spent. Each retry of a request is a call of its own. The
+// minute's slot is taken before anything is awaited and the daily count
+// is updated one call at a time, so parallel calls cannot all pass the
+// same check. Other instances update the daily count without a lock, so
+// instances running at the same moment can each make a call past it.
+async function spendBudget(api, apiKey, now = Date.now()) {
+    if (CONFIG.PER_MINUTE <= 0 && CONFIG.PER_DAY <= 0) {
+        return;
+    }
+    
+    const id = hashKey(apiKey);
+    const recent = (recentCalls.get(id) || []).filter(time => time > now - 60 * 1000);
+    if (CONFIG.PER_MINUTE > 0 && recent.length >= CONFIG.PER_MINUTE) {
+        throw budgetError(api, `${recent.length} of ${CONFIG.PER_MINUTE} calls in the last minute`);
+    }
+    recent.push(now);
+    recentCalls.set(id, recent);
+    
+    if (CONFIG.PER_DAY > 0) {
+        const update = (dailyUpdates.get(id) || Promise.resolve()).then(() => spendDaily(api, id, now));
+        dailyUpdates.set(id, update.catch(() => {}));
+        try {
+            await update;
+        } catch (error) {
+            // The call is not made, so it does not take the minute's slot
+            recent.splice(recent.indexOf(now), 1);
+            throw error;
+        }
+    }
+}
+
+// Forget the calls counted in memory
+function resetBudget() {
+    recentCalls.clear();
+    dailyUpdates.clear();
+}
+
+module.exports = {
+    CONFIG,
+    spendBudget,
+    resetBudget
+};
@@ -0,0 +1,112 @@
+const { createStore } = require('./store');
+const { getLogger, recordMetric } = require('./run');
+
+// Forecast cache configuration
+const CONFIG = {
+    // Seconds a fetched forecast is reused for; 0 turns the cache off
+    TTL: parseInt(process.env.FORECAST_CACHE_TTL, 10) || 0,
+    // Also keep entries in the "cache" store namespace, shared by every
+    // Lambda instance, instead of only in this instance's memory
+    PERSISTENT: process.env.FORECAST_CACHE_STORE === 'true',
+    // Decimal places coordinates are rounded to; 2 is about a kilometre
+    PRECISION: 2,
+    // Entries kept in memory, the oldest dropped first
+    MAX_ENTRIES: 200
+};
+
+// Entries by key. Module state, so warm invocations of the same Lambda
+// instance reuse what earlier ones fetched.
+const memory = new Map();
+
+// Cache key for what a provider returns for a location. Nearby locations
+// share an entry once their coordinates are rounded, and so do languages,
+// since reports describe the weather from description keys; the slot
+// count changes the response, so it is part of the key.
+function getCacheKey(kind, provider, location, options = {}) {
+    const round = (value) => Number(value).toFixed(CONFIG.PRECISION);
+    return [
+        kind,
+        provider,
+        `${round(location.lat)},${round(location.lon)}`,
+        options.slotCount || ''
+    ].join(':');
+}
+
+// Keep an entry in memory, dropping the oldest beyond MAX_ENTRIES
+function remember(key, entry) {
+    memory.delete(key);
+    memory.set(key, entry);
+    while (memory.size > CONFIG.MAX_ENTRIES) {
+        memory.delete(memory.keys().next().value);
+    }
+}
+
+// Unexpired entry for a key from memory, then from the store. A store
+// that cannot be read only means a cache miss.
+async function readEntry(key, now) {
+    const entry = memory.get(key);
+    if (entry && entry.expiresAt > now) {
+        return entry;
+    }
+    memory.delete(key);
+    
+    if (!CONFIG.PERSISTENT) {
+        return null;
+    }
+    try {
+        const stored = await createStore('cache').get(key);
+        if (stored && stored.expiresAt > now) {
+            remember(key, stored);
+            return stored;
+        }
+    } catch (error) {
+        getLogger().warn('Cache store unavailable', { key: key, error: error });
+    }
+    return null;
+}
+
+// Save an entry in memory and, when persistent, in the store
+async function writeEntry(key, entry) {
+    remember(key, entry);
+    if (!CONFIG.PERSISTENT) {
+        return;
+    }
+    try {
+        await createStore('cache').put(key, entry);
+    } catch (error) {
+        getLogger().warn('Cache store unavailable', { key: key, error: error });
+    }
+}
+
+// Return the cached value for a key, or fetch, cache and return it.
+// Values are kept as JSON, so callers get their own copy to change and
+// DynamoDB never sees an undefined field. Failed fetches are not cached.
+async function cached(key, fetch, now = Date.now()) {
+    if (CONFIG.TTL <= 0) {
+        return fetch();
+    }
+    
+    const entry = await readEntry(key, now);
+    if (entry) {
+        recordMetric('CacheHits', 1);
+        getLogger().debug('Cache hit', { key: key, expiresAt: new Date(entry.expiresAt).toISOString() });
+        return JSON.parse(entry.data);
+    }
+    
+    recordMetric('CacheMisses', 1);
+    const value = await fetch();
+    await writeEntry(key, { expiresAt: now + CONFIG.TTL * 1000, data: JSON.stringify(value) });
+    return value;
+}
+
+// Forget every entry kept in memory
+function clearCache() {
+    memory.clear();
+}
+
+module.exports = {
+    CONFIG,
+    getCacheKey,
+    cached,
+    clearCache
+};
@@ -0,0 +1,279 @@
+const AWS = require('aws-sdk');
+const { CONFIG, postJson } = require('./http');
+const { buildRawEmail } = require('./mime');
+const { getLogger } = require('./run');
+
+// AWS SES client, created on first use
+let ses = null;
+
+// Per-message length limits imposed by the chat platforms
+const MESSAGE_LIMITS = {
+    telegram: 4096,
+    line: 5000,
+    discord: 2000
+};
+
+// Shared SES client for the Lambda's region
+function getSesClient() {
+    if (!ses) {
+        ses = new AWS.SES({ region: process.env.AWS_REGION || 'us-east-1' });
+    }
+    return ses;
+}
+
+// Check an email's subject, body and recipient, returning the sender address
+function validateEmail(subject, htmlBody, recipientEmail) {
+    if (!subject || typeof subject !== 'string') {
+        throw new Error('Subject must be a non-empty string');
+    }
+    
+    if (!htmlBody || typeof htmlBody !== 'string') {
+        throw new Error('HTML body must be a non-empty string');
+    }
+    
+    const senderEmail = process.env.SENDER_EMAIL;
+    
+    if (!senderEmail || !recipientEmail) {
+        throw new Error('Both SENDER_EMAIL and a recipient email are required');
+    }
+    
+    return senderEmail;
+}
+
+// Send email notification using SES
+async function sendEmailNotification(subject, htmlBody, textBody, recipientEmail, sesClient = getSesClient()) {
+    const senderEmail = validateEmail(subject, htmlBody, recipientEmail);
+    
+    const params = {
+        Source: senderEmail,
+        Destination: {
+            ToAddresses: [recipientEmail]
+        },
+        Message: {
+            Subject: {
+                Data: subject,
+                Charset: 'UTF-8'
+            },
+            Body: {
+                Html: {
+                    Data: htmlBody,
+                    Charset: 'UTF-8'
+                },
+                Text: {
+                    Data: textBody || htmlBody.replace(/<[^>]*>/g, ''),
+                    Charset: 'UTF-8'
+                }
+            }
+        }
+    };
+    
+    try {
+        const result = await sesClient.sendEmail(params).promise();
+        getLogger().info('Email sent', { messageId: result.MessageId });
+        return result;
+    } catch (error) {
+        getLogger().error('SES send failed', { error: error });
+        throw new Error(`Failed to send email: ${error.message}`);
+    }
+}
+
+// Send an HTML email with inline images using SES SendRawEmail. The
+// images are attached as { cid, filename, contentType, content } and
+// referenced from the HTML as cid:<cid>; `headers` are added as they are.
+async function sendRawEmailNotification(subject, htmlBody, textBody, recipientEmail, images, sesClient = getSesClient(), headers = {}) {
+    const senderEmail = validateEmail(subject, htmlBody, recipientEmail);
+    
+    const params = {
+        Source: senderEmail,
+        Destinations: [recipientEmail],
+        RawMessage: {
+            Data: buildRawEmail({
+                from: senderEmail,
+                to: recipientEmail,
+                subject: subject,
+                text: textBody || htmlBody.replace(/<[^>]*>/g, ''),
+                html: htmlBody,
+                images: images,
+                headers: headers
+            })
+        }
+    };
+    
+    try {
+        const result = await sesClient.sendRawEmail(params).promise();
+        getLogger().info('Email sent', { messageId: result.MessageId });
+        return result;
+    } catch (error) {
+        getLogger().error('SES send failed', { error: error });
+        throw new Error(`Failed to send email: ${error.message}`);
+    }
+}
+
+// Split a long text into chunks no longer than limit, preferring line breaks
+function splitMessage(text, limit) {
+    const chunks = [];
+    let current = '';
+    
+    text.split('\n').forEach(line => {
+        // Hard-wrap single lines that are longer than the limit
+        while (line.length > limit) {
+            if (current) {
+                chunks.push(current);
+                current = '';
+            }
+            chunks.push(line.slice(0, limit));
+            line = line.slice(limit);
+        }
+        
+        const candidate = current ? `${current}\n${line}` : line;
+        if (candidate.length > limit) {
+            chunks.push(current);
+            current = line;
+        } else {
+            current = candidate;
+        }
+    });
+    
+    if (current) {
+        chunks.push(current);
+    }
+    
+    return chunks;
+}
+
+// Channel implementations. Each validates its own config and delivers a
+// { subject, text, html, images, headers } message in the format its platform expects,
+// using the HTTP and SES clients passed in or the defaults.
+const CHANNELS = {
+    ses: {
+        required: ['to'],
+        async send(channel, message, retries, clients) {
+            // SendEmail takes neither attachments nor extra headers
+            const headers = message.headers || {};
+            if ((message.images && message.images.length > 0) || Object.keys(headers).length > 0) {
+                return sendRawEmailNotification(message.subject, message.html, message.text, channel.to, message.images || [], clients.ses, headers);
+            }
+            return sendEmailNotification(message.subject, message.html, message.text, channel.to, clients.ses);
+        }
+    },
+    
+    webhook: {
+        required: ['url'],
+        async send(channel, message, retries, clients) {
+            return postJson(channel.url, {
+                subject: message.subject,
+                text: message.text,
+                html: message.html
+            }, retries, channel.headers || {}, clients.http);
+        }
+    },
+    
+    telegram: {
+        required: ['chatId'],
+        async send(channel, message, retries, clients) {
+            const botToken = channel.botToken || process.env.TELEGRAM_BOT_TOKEN;
+            if (!botToken) {
+                throw new Error('Telegram channel requires botToken or TELEGRAM_BOT_TOKEN');
+            }
+            
+            const chunks = splitMessage(`${message.subject}\n\n${message.text}`, MESSAGE_LIMITS.telegram);
+            for (const chunk of chunks) {
+                await postJson(`https://api.telegram.org/bot${botToken}/sendMessage`, {
+                    chat_id: channel.chatId,
+                    text: chunk,
+                    disable_web_page_preview: true
+                }, retries, {}, clients.http);
+            }
+        }
+    },
+    
+    line: {
+        required: ['to'],
+        async send(channel, message, retries, clients) {
+            const accessToken = channel.accessToken || process.env.LINE_CHANNEL_ACCESS_TOKEN;
+            if (!accessToken) {
+                throw new Error('LINE channel requires accessToken or LINE_CHANNEL_ACCESS_TOKEN');
+            }
+            
+            // The push API accepts up to 5 messages per request
+            const chunks = splitMessage(`${message.subject}\n\n${message.text}`, MESSAGE_LIMITS.line);
+            for (let i = 0; i < chunks.length; i += 5) {
+                await postJson('https://api.line.me/v2/bot/message/push', {
+                    to: channel.to,
+                    messages: chunks.slice(i, i + 5).map(chunk => ({ type: 'text', text: chunk }))
+                }, retries, {
+                    'Authorization': `Bearer ${accessToken}`
+                }, clients.http);
+            }
+        }
+    },
+    
+    slack: {
+        required: ['url'],
+        async send(channel, message, retries, clients) {
+            return postJson(channel.url, {
+                text: `*${message.subject}*\n${message.text}`
+            }, retries, {}, clients.http);
+        }
+    },
+    
+    discord: {
+        required: ['url'],
+        async send(channel, message, retries, clients) {
+            const chunks = splitMessage(`**${message.subject}**\n${message.text}`, MESSAGE_LIMITS.discord);
+            for (const chunk of chunks) {
+                await postJson(channel.url, { content: chunk }, retries, {}, clients.http);
+            }
+        }
+    }
+};
+
+// Validate a channel config entry from a subscription
+function validateChannel(channel) {
+    if (!channel || typeof channel !== 'object') {
+        throw new Error('Channel config must be an object');
+    }
+    
+    const definition = CHANNELS[channel.type];
+    if (!definition) {
+        throw new Error(`Unknown channel type: ${channel.type}. Supported: ${Object.keys(CHANNELS).join(', ')}`);
+    }
+    
+    const missing = definition.required.filter(key => !channel[key]);
+    if (missing.length > 0) {
+        throw new Error(`Channel ${channel.type} is missing: ${missing.join(', ')}`);
+    }
+}
+
+// Deliver a message through every configured channel. Channels are
+// independent: one failing does not stop the others from sending.
+// `clients` may hold replacement `http` and `ses` clients.
+async function deliverReport(channels, message, clients = {}) {
+    if (!message.subject || typeof message.subject !== 'string') {
+        throw new Error('Subject must be a non-empty string');
+    }
+    
+    const settled = await Promise.allSettled(channels.map(channel => {
+        const retries = channel.retries || CONFIG.MAX_RETRIES;
+        return CHANNELS[channel.type].send(channel, message, retries, clients);
+    }));
+    
+    return settled.map((outcome, index) => {
+        const type = channels[index].type;
+        if (outcome.status === 'fulfilled') {
+            return { type: type, status: 'sent' };
+        }
+        
+        getLogger().error('Channel failed', { channel: type, error: outcome.reason });
+        return { type: type, status: 'failed', error: outcome.reason.message };
+    });
+}
+
+module.exports = {
+    CHANNELS,
+    sendEmailNotification,
+    sendRawEmailNotification,
+    splitMessage,
+    validateChannel,
+    deliverReport
+};
@@ -0,0 +1,223 @@
+const zlib = require('zlib');
+
+// Forecast chart configuration
+const CONFIG = {
+    // Set EMAIL_CHARTS to false to send emails without the chart image
+    ENABLED: process.env.EMAIL_CHARTS !== 'false',
+    // Size the chart is shown at, in CSS pixels
+    WIDTH: 560,
+    HEIGHT: 180,
+    // Pixels per CSS pixel, so the chart stays sharp on high density screens
+    SCALE: 2,
+    PADDING: { top: 24, right: 8, bottom: 22, left: 8 }
+};
+
+// Colors matching the email template
+const COLORS = {
+    background: [255, 255, 255],
+    grid: [223, 230, 233],
+    bar: [116, 185, 255],
+    line: [225, 112, 85],
+    text: [99, 110, 114]
+};
+
+// 3x5 pixel glyphs for the labels: digits, times, degrees and percentages.
+// Other characters are drawn as spaces.
+const GLYPHS = {
+    '0': ['111', '101', '101', '101', '111'],
+    '1': ['010', '110', '010', '010', '111'],
+    '2': ['111', '001', '111', '100', '111'],
+    '3': ['111', '001', '111', '001', '111'],
+    '4': ['101', '101', '111', '001', '001'],
+    '5': ['111', '100', '111', '001', '111'],
+    '6': ['111', '100', '111', '101', '111'],
+    '7': ['111', '001', '001', '001', '001'],
+    '8': ['111', '101', '111', '101', '111'],
+    '9': ['111', '101', '111', '001', '111'],
+    ':': ['000', '010', '000', '010', '000'],
+    '.': ['000', '000', '000', '000', '010'],
+    '-': ['000', '000', '111', '000', '000'],
+    '%': ['101', '001', '010', '100', '101'],
+    '°': ['111', '101', '111', '000', '000']
+};
+
+// Size of a glyph pixel in CSS pixels, and the gap between characters
+const FONT_SIZE = 2;
+const CHAR_WIDTH = 4 * FONT_SIZE;
+
+// CRC-32 lookup table for PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+// CRC-32 of a buffer
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// An RGB pixel buffer drawn on in CSS pixels
+function createCanvas(width, height, scale) {
+    const canvas = {
+        width: width * scale,
+        height: height * scale,
+        scale: scale
+    };
+    canvas.pixels = Buffer.alloc(canvas.width * canvas.height * 3);
+    fillRect(canvas, 0, 0, width, height, COLORS.background);
+    return canvas;
+}
+
+// Fill a rectangle, clipped to the canvas
+function fillRect(canvas, x, y, width, height, color) {
+    const x0 = Math.max(0, Math.round(x * canvas.scale));
+    const y0 = Math.max(0, Math.round(y * canvas.scale));
+    const x1 = Math.min(canvas.width, Math.round((x + width) * canvas.scale));
+    const y1 = Math.min(canvas.height, Math.round((y + height) * canvas.scale));
+    
+    for (let py = y0; py < y1; py++) {
+        for (let px = x0; px < x1; px++) {
+            const offset = (py * canvas.width + px) * 3;
+            canvas.pixels[offset] = color[0];
+            canvas.pixels[offset + 1] = color[1];
+            canvas.pixels[offset + 2] = color[2];
+        }
+    }
+}
+
+// Filled circle, used for the points of the temperature line
+function fillCircle(canvas, cx, cy, radius, color) {
+    const steps = Math.ceil(radius * canvas.scale);
+    const size = 1 / canvas.scale;
+    for (let dy = -steps; dy <= steps; dy++) {
+        for (let dx = -steps; dx <= steps; dx++) {
+            if (dx * dx + dy * dy <= steps * steps) {
+                fillRect(canvas, cx + dx * size, cy + dy * size, size, size, color);
+            }
+        }
+    }
+}
+
+// Line of the given thickness between two points
+function drawLine(canvas, x0, y0, x1, y1, thickness, color) {
+    const steps = Math.ceil(Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0)) * canvas.scale);
+    for (let i = 0; i <= steps; i++) {
+        const x = x0 + (x1 - x0) * i / steps;
+        const y = y0 + (y1 - y0) * i / steps;
+        fillRect(canvas, x - thickness / 2, y - thickness / 2, thickness, thickness, color);
+    }
+}
+
+// Draw text centered on x with its top at y
+function drawText(canvas, text, x, y, color) {
+    const chars = Array.from(text);
+    const left = x - (chars.length * CHAR_WIDTH - FONT_SIZE) / 2;
+    
+    chars.forEach((char, index) => {
+        const glyph = GLYPHS[char];
+        if (!glyph) {
+            return;
+        }
+        glyph.forEach((row, gy) => {
+            Array.from(row).forEach((bit, gx) => {
+                if (bit === '1') {
+                    fillRect(canvas, left + index * CHAR_WIDTH + gx * FONT_SIZE, y + gy * FONT_SIZE, FONT_SIZE, FONT_SIZE, color);
+                }
+            });
+        });
+    });
+}
+
+// A PNG chunk: length, type, data and CRC
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// Encode the canvas as an 8-bit RGB PNG
+function encodePng(canvas) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(canvas.width, 0);
+    header.writeUInt32BE(canvas.height, 4);
+    header[8] = 8;
+    header[9] = 2;
+    
+    // Every scanline starts with filter type 0 (none)
+    const rowLength = canvas.width * 3;
+    const raw = Buffer.alloc((rowLength + 1) * canvas.height);
+    for (let y = 0; y < canvas.height; y++) {
+        canvas.pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+    
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// Render a report timeline as a PNG chart: chance of rain as bars and
+// temperature as a line, with the time of each slot underneath. Returns
+// null when fewer than two slots have a temperature.
+function renderForecastChart(timeline) {
+    const temps = timeline.map(slot => slot.temp).filter(temp => temp !== undefined);
+    if (temps.length < 2) {
+        return null;
+    }
+    
+    const { WIDTH, HEIGHT, SCALE, PADDING } = CONFIG;
+    const canvas = createCanvas(WIDTH, HEIGHT, SCALE);
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+    const baseline = PADDING.top + plotHeight;
+    const step = plotWidth / timeline.length;
+    const centerOf = index => PADDING.left + step * (index + 0.5);
+    
+    // Grid lines at 0, 50 and 100% chance of rain
+    [0, 0.5, 1].forEach(fraction => {
+        fillRect(canvas, PADDING.left, baseline - plotHeight * fraction, plotWidth, 1, COLORS.grid);
+    });
+    
+    timeline.forEach((slot, index) => {
+        const barHeight = plotHeight * slot.pop / 100;
+        fillRect(canvas, centerOf(index) - step * 0.3, baseline - barHeight, step * 0.6, barHeight, COLORS.bar);
+        drawText(canvas, slot.time, centerOf(index), baseline + 6, COLORS.text);
+    });
+    
+    // Temperatures use the upper part of the plot, leaving room for the labels above
+    const min = Math.min(...temps);
+    const range = Math.max(...temps) - min;
+    const yOf = temp => PADDING.top + (range === 0 ? 0.3 : (1 - (temp - min) / range) * 0.6) * plotHeight;
+    
+    const points = timeline
+        .map((slot, index) => (slot.temp === undefined ? null : { x: centerOf(index), y: yOf(slot.temp), temp: slot.temp }))
+        .filter(Boolean);
+    
+    points.slice(1).forEach((point, index) => {
+        drawLine(canvas, points[index].x, points[index].y, point.x, point.y, 2, COLORS.line);
+    });
+    points.forEach(point => {
+        fillCircle(canvas, point.x, point.y, 3, COLORS.line);
+        drawText(canvas, `${Math.round(point.temp)}°`, point.x, point.y - 16, COLORS.text);
+    });
+    
+    return encodePng(canvas);
+}
+
+module.exports = {
+    CONFIG,
+    crc32,
+    renderForecastChart
+};
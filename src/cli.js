@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+// Local CLI: build the weather report for one location from the live
+// providers or a saved forecast file, print it, and optionally send it.
+//
+//   node cli.js --lat 13.7563 --lon 100.5018 --lang en --dry-run
+//   node cli.js --forecast saved.json --date 2026-10-20 --html report.html --dry-run
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { buildSubscriberReport } = require('./index');
+const { deliverReport } = require('./channels');
+const { inlineImages } = require('./email');
+const { t, getLanguage, isSupportedLanguage, DEFAULT_LANGUAGE, LANGUAGES } = require('./i18n');
+const { getTimeZone, getLocalTime, formatDate } = require('./time');
+const { normalizeLocation, getForecastKey } = require('./subscriptions');
+const { loadRules } = require('./rules');
+const { fetchForecast, parseForecast } = require('./providers');
+const { CONFIG: OUTLOOK_CONFIG } = require('./outlook');
+const { CONFIG: AIR_CONFIG } = require('./airquality');
+
+const FORMATS = ['text', 'html', 'json'];
+
+// Hour of the local morning a date-only --date is run at, matching the
+// default daily schedule
+const DEFAULT_RUN_HOUR = 6;
+
+const USAGE = `Usage: node cli.js [options]
+
+Options:
+  --lat <lat>             Latitude (default: LATITUDE)
+  --lon <lon>             Longitude (default: LONGITUDE)
+  --name <name>           Location name shown in the report
+  --lang <th|en>          Report language (default: LANGUAGE or th)
+  --tz <zone>             IANA time zone (default: TIMEZONE or the provider's)
+  --date <date>           Run as if today were YYYY-MM-DD (06:00 local) or an ISO timestamp
+  --outlook               Include the multi-day outlook
+  --forecast <file>       Use a saved forecast instead of calling the providers
+  --save-forecast <file>  Save the fetched forecast for later runs
+  --format <text|html|json>  What to print (default: text)
+  --html <file>           Write the HTML email to a file
+  --email <address>       Send the report to this address (default: RECIPIENT_EMAIL)
+  --dry-run               Build the report without sending anything
+  --help                  Show this help
+`;
+
+// Parse and validate the command line
+function parseOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            lat: { type: 'string' },
+            lon: { type: 'string' },
+            name: { type: 'string' },
+            lang: { type: 'string' },
+            tz: { type: 'string' },
+            date: { type: 'string' },
+            outlook: { type: 'boolean', default: false },
+            forecast: { type: 'string' },
+            'save-forecast': { type: 'string' },
+            format: { type: 'string', default: 'text' },
+            html: { type: 'string' },
+            email: { type: 'string' },
+            'dry-run': { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    
+    const language = values.lang || process.env.LANGUAGE || DEFAULT_LANGUAGE;
+    if (!isSupportedLanguage(language)) {
+        throw new Error(`Unsupported language "${language}". Supported: ${Object.keys(LANGUAGES).join(', ')}`);
+    }
+    
+    if (!FORMATS.includes(values.format)) {
+        throw new Error(`Unknown format "${values.format}". Supported: ${FORMATS.join(', ')}`);
+    }
+    
+    const email = values.email || process.env.RECIPIENT_EMAIL;
+    if (!values['dry-run'] && !values.help && !email) {
+        throw new Error('No recipient: pass --email, set RECIPIENT_EMAIL, or use --dry-run');
+    }
+    
+    return Object.assign({}, values, { language: language, email: email });
+}
+
+// Read a saved forecast file
+function readForecastFile(filePath, options) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read forecast file ${filePath}: ${error.message}`);
+    }
+    return parseForecast(data, options);
+}
+
+// Resolve --date into the instant the report is built for. A date-only
+// value needs the forecast's zone to find that morning.
+function resolveNow(date, forecast, location) {
+    if (!date) {
+        return new Date();
+    }
+    
+    if (/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return getLocalTime(date, DEFAULT_RUN_HOUR, getTimeZone(forecast, location));
+    }
+    
+    const now = new Date(date);
+    if (isNaN(now.getTime())) {
+        throw new Error(`Invalid --date "${date}". Use YYYY-MM-DD or an ISO timestamp.`);
+    }
+    return now;
+}
+
+// Build the report and print, save or send it as requested
+async function run(argv) {
+    const options = parseOptions(argv);
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    
+    const location = normalizeLocation({
+        name: options.name,
+        lat: options.lat !== undefined ? options.lat : process.env.LATITUDE,
+        lon: options.lon !== undefined ? options.lon : process.env.LONGITUDE,
+        timezone: options.tz || process.env.TIMEZONE
+    }, 'cli');
+    
+    const forecast = options.forecast
+        ? readForecastFile(options.forecast, { language: options.language })
+        : await fetchForecast(location, {
+            language: options.language,
+            slotCount: options.outlook ? OUTLOOK_CONFIG.SLOT_COUNT : undefined,
+            airQuality: AIR_CONFIG.ENABLED
+        });
+    console.error(`Forecast from ${forecast.provider}, ${forecast.slots.length} slots`);
+    
+    if (options['save-forecast']) {
+        fs.writeFileSync(options['save-forecast'], JSON.stringify(forecast, null, 2));
+        console.error(`Forecast saved to ${options['save-forecast']}`);
+    }
+    
+    const now = resolveNow(options.date, forecast, location);
+    const subscription = {
+        id: 'cli',
+        language: options.language,
+        outlook: options.outlook,
+        locations: [location],
+        channels: options.email ? [{ type: 'ses', to: options.email }] : []
+    };
+    const forecasts = new Map([[getForecastKey(location), { data: forecast }]]);
+    
+    const zone = getTimeZone(forecast, location);
+    const report = buildSubscriberReport(subscription, forecasts, loadRules(), now);
+    const subject = t(options.language, 'subject.daily', {
+        date: formatDate(now, zone, getLanguage(options.language).locale)
+    });
+    // Saved and printed HTML has the charts inline, as there is no mail client to resolve cid: links
+    const html = inlineImages(report.html, report.images);
+    
+    if (options.html) {
+        fs.writeFileSync(options.html, html);
+        console.error(`HTML written to ${options.html}`);
+    }
+    
+    if (options.format === 'json') {
+        console.log(JSON.stringify({ subject: subject, text: report.text, html: html, reports: report.reports, forecast: forecast }, null, 2));
+    } else {
+        console.log(options.format === 'html' ? html : `${subject}\n\n${report.text}`);
+    }
+    
+    if (options['dry-run']) {
+        console.error('Dry run: nothing sent');
+        return;
+    }
+    
+    const results = await deliverReport(subscription.channels, {
+        subject: subject,
+        text: report.text,
+        html: report.html,
+        images: report.images,
+        headers: report.headers
+    });
+    const failed = results.filter(result => result.status !== 'sent');
+    if (failed.length > 0) {
+        throw new Error(`Delivery failed: ${failed.map(result => result.error).join('; ')}`);
+    }
+    console.error(`Sent to ${options.email}`);
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,157 @@
+const { t, getLanguage } = require('./i18n');
+const { formatDayLabel } = require('./time');
+
+// Delivery policies a subscriber can choose:
+//   always   send the daily report every day
+//   notable  send it only when rain, heat or a severe weather alert is forecast
+//   weekly   batch the days and send them with the report on the digest day
+const POLICIES = ['always', 'notable', 'weekly'];
+
+// Days of the week, in the order of Date.getUTCDay()
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Delivery configuration
+const CONFIG = {
+    DEFAULT_POLICY: 'always',
+    DEFAULT_DIGEST_DAY: 'sun',
+    // Batched days kept for a weekly digest
+    MAX_BATCHED_DAYS: 7
+};
+
+// Parse a list of weekdays: an array or a comma separated string of
+// three letter names such as "sat,sun"
+function parseWeekdays(value, subscriberId) {
+    const days = Array.isArray(value) ? value : String(value || '').split(',');
+    const names = days.map(day => String(day).trim().toLowerCase()).filter(Boolean);
+    
+    const unknown = names.filter(name => !WEEKDAYS.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Subscriber ${subscriberId}: unknown weekday(s) ${unknown.join(', ')}. Use ${WEEKDAYS.join(', ')}`);
+    }
+    
+    return WEEKDAYS.filter(day => names.includes(day));
+}
+
+// Normalize and validate a subscriber's delivery settings. A string is
+// shorthand for the policy; DELIVERY_POLICY and QUIET_DAYS are the defaults.
+function normalizeDelivery(delivery, subscriberId) {
+    const settings = typeof delivery === 'string' ? { policy: delivery } : (delivery || {});
+    const policy = settings.policy || process.env.DELIVERY_POLICY || CONFIG.DEFAULT_POLICY;
+    
+    if (!POLICIES.includes(policy)) {
+        throw new Error(`Subscriber ${subscriberId}: unknown delivery policy "${policy}". Supported: ${POLICIES.join(', ')}`);
+    }
+    
+    const quietDays = parseWeekdays(settings.quietDays !== undefined ? settings.quietDays : process.env.QUIET_DAYS, subscriberId);
+    const [digestDay] = parseWeekdays(settings.digestDay || CONFIG.DEFAULT_DIGEST_DAY, subscriberId);
+    
+    if (policy === 'weekly' && quietDays.includes(digestDay)) {
+        throw new Error(`Subscriber ${subscriberId}: the weekly digest day (${digestDay}) cannot be a quiet day`);
+    }
+    
+    return { policy: policy, quietDays: quietDays, digestDay: digestDay };
+}
+
+// Weekday name of a YYYY-MM-DD string
+function getWeekday(dateStr) {
+    return WEEKDAYS[new Date(`${dateStr}T12:00:00Z`).getUTCDay()];
+}
+
+// Why a day's reports are worth sending under the notable policy: rain,
+// a high above HIGH_TEMP_THRESHOLD, or severe weather alerts
+function getNotableReasons(reports, alerts, thresholds) {
+    const ok = reports.filter(report => report.ok);
+    const reasons = [];
+    
+    if (ok.some(report => report.prediction.hasRain)) {
+        reasons.push('rain');
+    }
+    if (ok.some(report => report.prediction.maxTemp > thresholds.HIGH_TEMP_THRESHOLD)) {
+        reasons.push('heat');
+    }
+    if (alerts.length > 0) {
+        reasons.push('alert');
+    }
+    
+    return reasons;
+}
+
+// Decide what to do with today's report for a subscriber: send it,
+// suppress it, or batch it for the weekly digest. `date` is today in the
+// subscriber's zone and `reasons` what makes the day notable.
+function decideDelivery(delivery, date, reasons) {
+    if (delivery.quietDays.includes(getWeekday(date))) {
+        return { action: 'suppress', reason: 'quiet-day' };
+    }
+    
+    if (delivery.policy === 'notable') {
+        return reasons.length > 0
+            ? { action: 'send', reasons: reasons }
+            : { action: 'suppress', reason: 'nothing-notable' };
+    }
+    
+    if (delivery.policy === 'weekly') {
+        return getWeekday(date) === delivery.digestDay ? { action: 'digest' } : { action: 'batch' };
+    }
+    
+    return { action: 'send' };
+}
+
+// Add today's location summaries to a subscriber's batched days, replacing
+// an earlier batch of the same date and keeping the most recent days
+function addToBatch(days, date, reports) {
+    const locations = reports.filter(report => report.ok).map(report => ({
+        city: report.city,
+        minTemp: report.summary.minTemp,
+        maxTemp: report.summary.maxTemp,
+        emoji: report.summary.emoji,
+        hasRain: report.prediction.hasRain
+    }));
+    
+    return (days || [])
+        .filter(day => day.date !== date)
+        .concat([{ date: date, locations: locations }])
+        .slice(-CONFIG.MAX_BATCHED_DAYS);
+}
+
+// Describe the batched days for the weekly digest, a line per day and
+// location. Returns null when nothing was batched.
+function describeBatch(days, language) {
+    const locale = getLanguage(language).locale;
+    const lines = [];
+    
+    (days || []).forEach(day => {
+        day.locations.forEach(location => {
+            lines.push(t(language, 'delivery.day', {
+                day: formatDayLabel(day.date, locale),
+                city: location.city,
+                emoji: location.emoji,
+                min: location.minTemp,
+                max: location.maxTemp,
+                rain: location.hasRain ? t(language, 'delivery.rain') : ''
+            }));
+        });
+    });
+    
+    return lines.length > 0 ? { header: t(language, 'delivery.header'), lines: lines } : null;
+}
+
+// Format described batched days as text
+function formatBatch(described) {
+    if (!described) {
+        return '';
+    }
+    return `\n${described.header}\n${described.lines.join('\n')}\n`;
+}
+
+module.exports = {
+    POLICIES,
+    WEEKDAYS,
+    CONFIG,
+    normalizeDelivery,
+    getNotableReasons,
+    decideDelivery,
+    addToBatch,
+    describeBatch,
+    formatBatch
+};
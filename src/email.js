@@ -0,0 +1,191 @@
+const { t, getLanguage } = require('./i18n');
+const { formatDateTime } = require('./time');
+const { render } = require('./template');
+const { CONFIG: CHART_CONFIG, renderForecastChart } = require('./chart');
+
+// Smallest width of a timeline temperature bar, in percent, so the
+// coolest slot still has room for its label
+const MIN_TEMP_BAR = 30;
+
+// Labels the templates use, in the report's language
+function getLabels(language) {
+    return {
+        timeline: t(language, 'html.timeline'),
+        temperature: t(language, 'html.temperature'),
+        rainChance: t(language, 'html.rainChance'),
+        recommendations: t(language, 'html.recommendations'),
+        dryingScore: t(language, 'html.dryingScore'),
+        outlookDay: t(language, 'outlook.columnDay'),
+        outlookWeather: t(language, 'outlook.columnWeather'),
+        outlookTemp: t(language, 'outlook.columnTemp'),
+        outlookRain: t(language, 'outlook.columnRain')
+    };
+}
+
+// Add bar widths to the timeline: temperatures are scaled between the
+// coolest and warmest slot, the chance of rain is used as is
+function toTimelineRows(timeline) {
+    const temps = timeline.map(slot => slot.temp).filter(temp => temp !== undefined);
+    const min = Math.min(...temps);
+    const range = Math.max(...temps) - min;
+    
+    return timeline.map(slot => Object.assign({}, slot, {
+        tempLabel: slot.temp === undefined ? '-' : `${Math.round(slot.temp)}°`,
+        tempWidth: slot.temp === undefined || range === 0
+            ? 100
+            : Math.round(MIN_TEMP_BAR + (100 - MIN_TEMP_BAR) * (slot.temp - min) / range),
+        popWidth: Math.max(slot.pop, 1)
+    }));
+}
+
+// Chart image of a location report's timeline, attached inline to the
+// email, or null when the report has no chart
+function createChartImage(report, index) {
+    if (!CHART_CONFIG.ENABLED || !report.ok) {
+        return null;
+    }
+    
+    const png = renderForecastChart(report.timeline);
+    if (!png) {
+        return null;
+    }
+    
+    return {
+        cid: `forecast-chart-${index + 1}@weather-report`,
+        filename: `forecast-${index + 1}.png`,
+        contentType: 'image/png',
+        content: png
+    };
+}
+
+// Description of the chart for clients that do not show images
+function describeChart(report, language) {
+    const temps = report.timeline.map(slot => slot.temp).filter(temp => temp !== undefined);
+    return t(language, 'html.chartAlt', {
+        min: Math.round(Math.min(...temps)),
+        max: Math.round(Math.max(...temps)),
+        pop: Math.max(...report.timeline.map(slot => slot.pop))
+    });
+}
+
+// Template view of one location report
+function toLocationView(report, image, language) {
+    if (!report.ok) {
+        return report;
+    }
+    
+    return Object.assign({}, report, {
+        hasDryingScore: report.summary.dryingScore !== undefined,
+        hasTimeline: report.timeline.length > 0,
+        timeline: toTimelineRows(report.timeline),
+        chart: image ? { cid: image.cid, alt: describeChart(report, language), width: CHART_CONFIG.WIDTH } : null
+    });
+}
+
+// Render a body template inside the email layout. With an
+// unsubscribeUrl the footer links to it.
+function renderEmail(template, view, { language, zone, now = new Date(), titleKey, unsubscribeUrl = null }) {
+    const page = {
+        lang: language,
+        title: t(language, titleKey),
+        generatedAt: t(language, 'html.generatedAt', { time: formatDateTime(now, zone, getLanguage(language).locale) }),
+        poweredBy: t(language, 'html.poweredBy'),
+        unsubscribe: unsubscribeUrl ? { url: unsubscribeUrl, label: t(language, 'html.unsubscribe') } : null
+    };
+    const content = render(template, Object.assign({ labels: getLabels(language) }, page, view));
+    
+    return render('layout', Object.assign({}, page, { content: content }));
+}
+
+// Render the daily report email for a subscriber's location reports, with
+// options.week, the described batched days, for a weekly digest. Returns
+// the HTML and the chart images it references by content ID.
+function renderDailyEmail(reports, options) {
+    const images = reports.map(createChartImage);
+    const html = renderEmail('daily', {
+        locations: reports.map((report, index) => toLocationView(report, images[index], options.language)),
+        week: options.week || null
+    }, Object.assign({ titleKey: 'html.title' }, options));
+    
+    return { html: html, images: images.filter(Boolean) };
+}
+
+// Render a severe weather alert email from described alerts per location
+function renderAlertEmail(sections, options) {
+    return renderEmail('alert', { sections: sections }, Object.assign({ titleKey: 'html.alertTitle' }, options));
+}
+
+// Render the forecast accuracy digest from a described digest
+function renderDigestEmail(described, options) {
+    return renderEmail('digest', described, Object.assign({ titleKey: 'html.digestTitle' }, options));
+}
+
+// Render the email telling a subscriber their report could not be built
+function renderErrorEmail(message, options) {
+    const { language, zone, now = new Date() } = options;
+    return renderEmail('error', {
+        heading: t(language, 'html.errorTitle'),
+        message: message,
+        time: t(language, 'html.time', { time: formatDateTime(now, zone, getLanguage(language).locale) })
+    }, Object.assign({ titleKey: 'html.errorTitle' }, options));
+}
+
+// Render the email telling ADMIN_EMAIL which stage of a run failed, from
+// a described failure
+function renderAdminEmail(described, options) {
+    return renderEmail('admin', described, Object.assign({ titleKey: 'html.adminTitle' }, options));
+}
+
+// Render the pages of an unsubscribe link. With options.action the page
+// asks for confirmation with a button that POSTs to it; without, it says
+// what happened.
+function renderUnsubscribePage(message, options) {
+    const titleKey = options.action ? 'html.unsubscribeConfirmTitle' : 'html.unsubscribeTitle';
+    return renderEmail('unsubscribe', {
+        heading: t(options.language, titleKey),
+        message: message,
+        form: options.action ? { action: options.action, label: t(options.language, 'html.unsubscribe') } : null
+    }, Object.assign({ titleKey: titleKey }, options));
+}
+
+// Render the email asking to confirm a subscription, with a link to the
+// confirmation page
+function renderConfirmEmail(message, url, options) {
+    return renderEmail('confirm', {
+        heading: t(options.language, 'html.confirmTitle'),
+        message: message,
+        link: { url: url, label: t(options.language, 'html.confirm') }
+    }, Object.assign({ titleKey: 'html.confirmTitle' }, options));
+}
+
+// Render the pages of a confirmation link. With options.action the page
+// asks for confirmation with a button that POSTs to it; with
+// options.confirmed it says the subscription is confirmed.
+function renderConfirmPage(message, options) {
+    const titleKey = options.confirmed ? 'html.confirmedTitle' : 'html.confirmTitle';
+    return renderEmail('confirm', {
+        heading: t(options.language, titleKey),
+        message: message,
+        form: options.action ? { action: options.action, label: t(options.language, 'html.confirm') } : null
+    }, Object.assign({ titleKey: titleKey }, options));
+}
+
+// Replace cid: references to attached images with data: URIs, for HTML
+// shown outside a mail client
+function inlineImages(html, images) {
+    return images.reduce((result, image) => (
+        result.split(`cid:${image.cid}`).join(`data:${image.contentType};base64,${image.content.toString('base64')}`)
+    ), html);
+}
+
+module.exports = {
+    renderDailyEmail,
+    renderAlertEmail,
+    renderDigestEmail,
+    renderErrorEmail,
+    renderAdminEmail,
+    renderUnsubscribePage,
+    renderConfirmEmail,
+    renderConfirmPage,
+    inlineImages
+};
@@ -0,0 +1,82 @@
+// Normalized forecast model shared by all weather providers.
+//
+// A forecast is:
+//   {
+//       provider: 'openweathermap',
+//       location: { name, timezone, timezoneOffset },
+//       slots: [Slot]
+//   }
+// where timezone is an IANA zone when the provider reports one and
+// timezoneOffset is the UTC offset in seconds. Each slot covers `hours`
+// hours starting at `dt` (unix seconds):
+//   {
+//       dt, hours, temp (°C), humidity (%), windSpeed (m/s), clouds (%),
+//       pop (0-1), precipitation (mm over the slot),
+//       condition, conditionCode, description, descriptionKey
+//   }
+// `condition` is one of CONDITIONS; `conditionCode` is the provider's own code.
+// `descriptionKey` is the message key of the description, so a forecast
+// fetched once can be described in each subscriber's language;
+// `description` is the provider's text, for forecasts saved without a key.
+//
+// When air quality was requested, the forecast also has `air`, a list of
+// hourly points, either value of which may be missing:
+//   { dt, pm25 (µg/m³), uvIndex }
+//
+// An observation of the current conditions uses the same fields for one
+// moment in time, with precipitation over the last hour:
+//   {
+//       provider, location: { name, timezone, timezoneOffset },
+//       dt, temp, humidity, windSpeed, clouds, precipitation,
+//       condition, conditionCode, description, descriptionKey
+//   }
+
+const { t } = require('./i18n');
+
+const CONDITIONS = ['clear', 'clouds', 'fog', 'drizzle', 'rain', 'snow', 'thunderstorm'];
+
+const RAIN_CONDITIONS = ['drizzle', 'rain', 'thunderstorm'];
+
+// Whether a slot has rain, drizzle or thunderstorms
+function isRainySlot(slot) {
+    return RAIN_CONDITIONS.includes(slot.condition);
+}
+
+// Weather description of a slot, observation or outlook day in a language
+function describeWeather(item, language) {
+    return item.descriptionKey ? t(language, item.descriptionKey) : (item.description || '');
+}
+
+// Validate that a provider returned a usable forecast
+function validateForecast(forecast) {
+    if (!forecast || !Array.isArray(forecast.slots)) {
+        throw new Error('Invalid weather data format received from provider');
+    }
+    return forecast;
+}
+
+// Validate that a provider returned a usable observation
+function validateObservation(observation) {
+    if (!observation || typeof observation.dt !== 'number' || !observation.condition) {
+        throw new Error('Invalid observation format received from provider');
+    }
+    return observation;
+}
+
+// Validate that a provider returned usable air quality points
+function validateAirQuality(air) {
+    if (!Array.isArray(air) || air.some(point => typeof point.dt !== 'number')) {
+        throw new Error('Invalid air quality format received from provider');
+    }
+    return air;
+}
+
+module.exports = {
+    CONDITIONS,
+    RAIN_CONDITIONS,
+    isRainySlot,
+    describeWeather,
+    validateForecast,
+    validateObservation,
+    validateAirQuality
+};
@@ -0,0 +1,183 @@
+const https = require('https');
+const { getLogger, recordMetric } = require('./run');
+
+// Configuration constants
+const CONFIG = {
+    MAX_RETRIES: 3,
+    // First retry delay, doubled on each further attempt
+    RETRY_DELAY: 1000,
+    // Longest wait before a retry, including a Retry-After asked for by the
+    // server; a longer Retry-After fails the request instead of outlasting
+    // the Lambda timeout
+    MAX_RETRY_DELAY: 10000,
+    // Milliseconds without a response before an attempt is abandoned
+    TIMEOUT: parseInt(process.env.REQUEST_TIMEOUT, 10) || 5000,
+    // Milliseconds a request may take across all its attempts and waits,
+    // so a hanging provider and the fallback after it both fit in the
+    // Lambda timeout
+    DEADLINE: parseInt(process.env.REQUEST_DEADLINE, 10) || 9000
+};
+
+// Sleep function for retry delays
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Milliseconds a Retry-After header asks to wait, given as seconds or an
+// HTTP date, or null without a usable one
+function parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (/^\d+$/.test(String(value).trim())) {
+        return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Error for an HTTP error status, with the status code and how long the
+// server asked to wait as `retryAfter`, which 429 and 503 responses send
+function createStatusError(res) {
+    const error = new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`);
+    error.statusCode = res.statusCode;
+    error.retryAfter = parseRetryAfter(res.headers && res.headers['retry-after']);
+    return error;
+}
+
+// Whether a failed attempt is worth repeating: network errors, timeouts,
+// rate limiting and server errors. Other error statuses, such as a 401
+// for a bad API key, would only fail again.
+function isRetryable(error) {
+    return error.statusCode === undefined || error.statusCode === 429 || error.statusCode >= 500;
+}
+
+// Delay before retrying after a failed attempt: the server's Retry-After
+// when it gave one, otherwise exponential backoff with jitter so clients
+// failing together do not retry together. Returns null when the server
+// asks for a longer wait than MAX_RETRY_DELAY.
+function getRetryDelay(attempt, error, random = Math.random) {
+    if (typeof error.retryAfter === 'number') {
+        return error.retryAfter <= CONFIG.MAX_RETRY_DELAY ? error.retryAfter : null;
+    }
+    
+    const backoff = Math.min(CONFIG.MAX_RETRY_DELAY, CONFIG.RETRY_DELAY * 2 ** (attempt - 1));
+    return Math.round(backoff / 2 + random() * backoff / 2);
+}
+
+// Helper function to make HTTPS requests with retry logic. The client can
+// be replaced by anything with the same request() signature as https.
+// Server errors, network errors and timeouts are retried with backoff,
+// and a 429 waits as long as its Retry-After asks, all within
+// CONFIG.DEADLINE: the last attempt gets only the time left, and a retry
+// that would start past the deadline is not made. `beforeAttempt` runs
+// before every attempt, retries included, e.g. to count each call against
+// a budget; an error it throws fails the request without retrying. The
+// latency and retries of each request go to the run's metrics.
+async function makeRequest(options, postData = null, retries = CONFIG.MAX_RETRIES, client = https, beforeAttempt = null) {
+    const deadline = Date.now() + CONFIG.DEADLINE;
+    
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        if (beforeAttempt) {
+            await beforeAttempt(attempt);
+        }
+        
+        const start = Date.now();
+        const timeout = Math.min(CONFIG.TIMEOUT, deadline - start);
+        try {
+            const result = await new Promise((resolve, reject) => {
+                const req = client.request(options, (res) => {
+                    // Check for HTTP error status codes
+                    if (res.statusCode >= 400) {
+                        res.resume();
+                        reject(createStatusError(res));
+                        return;
+                    }
+                    
+                    const chunks = [];
+                    res.on('data', (chunk) => chunks.push(chunk));
+                    res.on('end', () => {
+                        const data = Buffer.concat(chunks).toString();
+                        try {
+                            const jsonData = JSON.parse(data);
+                            resolve(jsonData);
+                        } catch (error) {
+                            resolve(data);
+                        }
+                    });
+                });
+                
+                req.on('error', reject);
+                req.setTimeout(timeout, () => {
+                    req.destroy();
+                    reject(new Error(`Request timeout after ${timeout}ms`));
+                });
+                
+                if (postData) {
+                    req.write(postData);
+                }
+                
+                req.end();
+            });
+            
+            recordMetric('ApiLatency', Date.now() - start, 'Milliseconds');
+            recordMetric('ApiRetries', attempt - 1);
+            if (attempt > 1) {
+                getLogger().info('Request succeeded after retries', { host: options.hostname, retries: attempt - 1 });
+            }
+            return result;
+        } catch (error) {
+            const retryDelay = attempt < retries && isRetryable(error) ? getRetryDelay(attempt, error) : null;
+            const delay = retryDelay !== null && Date.now() + retryDelay < deadline ? retryDelay : null;
+            getLogger().warn('Request attempt failed', {
+                host: options.hostname,
+                attempt: attempt,
+                statusCode: error.statusCode,
+                retryAfter: error.retryAfter !== null ? error.retryAfter : undefined,
+                error: error
+            });
+            if (error.statusCode === 429) {
+                recordMetric('ApiRateLimited', 1);
+            }
+            
+            if (delay === null) {
+                recordMetric('ApiRetries', attempt - 1);
+                recordMetric('ApiFailures', 1);
+                throw error;
+            }
+            
+            await sleep(delay);
+        }
+    }
+}
+
+// POST a JSON body to a URL, e.g. a webhook endpoint. Like any request,
+// only rate limiting, server and network errors are retried.
+async function postJson(url, body, retries = CONFIG.MAX_RETRIES, headers = {}, client = https) {
+    const target = new URL(url);
+    const payload = JSON.stringify(body);
+    
+    const options = {
+        hostname: target.hostname,
+        port: target.port || undefined,
+        path: `${target.pathname}${target.search}`,
+        method: 'POST',
+        headers: Object.assign({
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload),
+            'User-Agent': 'WeatherNotificationBot/1.0'
+        }, headers)
+    };
+    
+    return makeRequest(options, payload, retries, client);
+}
+
+module.exports = {
+    CONFIG,
+    sleep,
+    parseRetryAfter,
+    isRetryable,
+    getRetryDelay,
+    makeRequest,
+    postJson
+};
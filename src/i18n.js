@@ -0,0 +1,36 @@
+// Supported report languages with their date locale and OpenWeatherMap language code
+const LANGUAGES = {
+    th: { locale: 'th-TH', owmLang: 'th', messages: require('./locales/th') },
+    en: { locale: 'en-GB', owmLang: 'en', messages: require('./locales/en') }
+};
+
+const DEFAULT_LANGUAGE = 'th';
+
+// Resolve a language code, falling back to the default for unknown codes
+function getLanguage(language) {
+    return LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+// Check whether a language code has a message catalog
+function isSupportedLanguage(language) {
+    return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+}
+
+// Translate a message key, substituting {placeholders} from params.
+// Missing keys fall back to the default language, then to the key itself.
+function t(language, key, params = {}) {
+    const messages = getLanguage(language).messages;
+    const template = messages[key] || LANGUAGES[DEFAULT_LANGUAGE].messages[key] || key;
+    
+    return template.replace(/\{(\w+)\}/g, (match, name) => (
+        params[name] !== undefined ? String(params[name]) : match
+    ));
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    getLanguage,
+    isSupportedLanguage,
+    t
+};
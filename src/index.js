@@ -1,514 +1,717 @@
-const https = require('https');
-const AWS = require('aws-sdk');
+const { deliverReport } = require('./channels');
+const { t, getLanguage, DEFAULT_LANGUAGE } = require('./i18n');
+const { getTimeZone, getConfiguredTimeZone, getLocalDateString, getTodayDateString, formatDate, formatDayLabel } = require('./time');
+const { loadSubscriptions, getLocationKey, getForecastKey, getUniqueForecasts } = require('./subscriptions');
+const { loadRules } = require('./rules');
+const { detectAlerts, diffAlerts, describeAlerts, formatAlerts } = require('./alerts');
+const { createStore } = require('./store');
+const { fetchForecast, fetchObservation, getProviderChain } = require('./providers');
+const { CONFIG: OUTLOOK_CONFIG } = require('./outlook');
+const { CONFIG: AIR_CONFIG } = require('./airquality');
+const { analyzeWeather, analyzeRainTiming, formatRainTiming, buildLocationReport, renderText, getCityName } = require('./report');
+const { renderDailyEmail, renderAlertEmail, renderDigestEmail, renderErrorEmail, renderAdminEmail } = require('./email');
+const { createArchive, appendRecord } = require('./archive');
+const { buildAccuracyDigest, describeDigest, formatDigest } = require('./accuracy');
+const { summarizeDay, updateHistory } = require('./trend');
+const { getUnsubscribeUrl, getUnsubscribeHeaders, formatUnsubscribe } = require('./links');
+const { createApi, isApiEvent, fromApiEvent } = require('./api');
+const { createRun, withRun, getLogger, timeStage, flushMetrics } = require('./run');
+const { getNotableReasons, decideDelivery, addToBatch, describeBatch, formatBatch } = require('./delivery');
 
-// Initialize AWS SES
-const ses = new AWS.SES({ region: process.env.AWS_REGION || 'us-east-1' });
-
-// Configuration constants
-const CONFIG = {
-    TEMP_THRESHOLD: 30,
-    HIGH_TEMP_THRESHOLD: 35,
-    MAX_RETRIES: 3,
-    RETRY_DELAY: 1000
-};
+// Modes the handler runs in, chosen by the event's "mode"
+const MODES = ['daily', 'alert', 'digest'];
 
 // Validate required environment variables
 function validateEnvironment() {
-    const required = ['OPENWEATHER_API_KEY', 'SENDER_EMAIL', 'RECIPIENT_EMAIL', 'LATITUDE', 'LONGITUDE'];
+    const required = ['SENDER_EMAIL'];
+    if (getProviderChain().includes('openweathermap')) {
+        required.unshift('OPENWEATHER_API_KEY');
+    }
     const missing = required.filter(key => !process.env[key]);
     
     if (missing.length > 0) {
         throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
     }
     
-    // Validate email addresses
+    // Validate sender email address
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(process.env.SENDER_EMAIL)) {
         throw new Error('Invalid SENDER_EMAIL format.');
     }
-    if (!emailRegex.test(process.env.RECIPIENT_EMAIL)) {
-        throw new Error('Invalid RECIPIENT_EMAIL format.');
-    }
-    
-    // Validate latitude and longitude
-    const lat = parseFloat(process.env.LATITUDE);
-    const lon = parseFloat(process.env.LONGITUDE);
-    
-    if (isNaN(lat) || lat < -90 || lat > 90) {
-        throw new Error('Invalid LATITUDE value. Must be between -90 and 90.');
-    }
     
-    if (isNaN(lon) || lon < -180 || lon > 180) {
-        throw new Error('Invalid LONGITUDE value. Must be between -180 and 180.');
-    }
+    // Every subscriber without a zone of their own uses TIMEZONE
+    getConfiguredTimeZone();
 }
 
-// Sleep function for retry delays
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+// Get a normalized forecast for a single location from the provider chain.
+// The language controls the weather descriptions in the response, the
+// full 5-day forecast is requested when the outlook is needed, and the
+// air quality and UV index are added when asked for. `now` is the run's
+// clock, which decides the slots that have already passed.
+async function getWeatherData(location, language = DEFAULT_LANGUAGE, outlook = false, httpClient = undefined, airQuality = false, now = new Date()) {
+    validateEnvironment();
+    
+    return fetchForecast(location, {
+        language: language,
+        slotCount: outlook ? OUTLOOK_CONFIG.SLOT_COUNT : undefined,
+        airQuality: airQuality,
+        httpClient: httpClient,
+        now: now
+    });
 }
 
-// Helper function to make HTTPS requests with retry logic
-async function makeRequest(options, postData = null, retries = CONFIG.MAX_RETRIES) {
-    for (let attempt = 1; attempt <= retries; attempt++) {
+// Fetch one forecast per unique location, shared across subscribers
+// whatever their language. The outlook and air quality are only fetched for the
+// daily report.
+async function fetchForecasts(subscriptions, daily = false, context = {}) {
+    const requests = getUniqueForecasts(subscriptions);
+    const forecasts = new Map();
+    
+    await Promise.all(Array.from(requests.entries()).map(async ([key, { location, language, outlook }]) => {
         try {
-            const result = await new Promise((resolve, reject) => {
-                const req = https.request(options, (res) => {
-                    // Check for HTTP error status codes
-                    if (res.statusCode >= 400) {
-                        reject(new Error(`HTTP ${res.statusCode}: ${res.statusMessage}`));
-                        return;
-                    }
-                    
-                    const chunks = [];
-                    res.on('data', (chunk) => chunks.push(chunk));
-                    res.on('end', () => {
-                        const data = Buffer.concat(chunks).toString();
-                        try {
-                            const jsonData = JSON.parse(data);
-                            resolve(jsonData);
-                        } catch (error) {
-                            resolve(data);
-                        }
-                    });
-                });
-                
-                req.on('error', reject);
-                req.setTimeout(10000, () => {
-                    req.destroy();
-                    reject(new Error('Request timeout'));
-                });
-                
-                if (postData) {
-                    req.write(postData);
-                }
-                
-                req.end();
-            });
-            
-            return result;
+            const forecast = await getWeatherData(location, language, daily && outlook, context.http, daily && AIR_CONFIG.ENABLED, context.now);
+            getLogger().info('Weather data received', { forecast: key, provider: forecast.provider, slots: forecast.slots.length });
+            forecasts.set(key, { data: forecast });
         } catch (error) {
-            console.warn(`Request attempt ${attempt} failed:`, error.message);
-            
-            if (attempt === retries) {
-                throw error;
-            }
-            
-            await sleep(CONFIG.RETRY_DELAY * attempt);
+            getLogger().error('Weather data unavailable', { forecast: key, error: error });
+            // Reports that need this forecast fail in the fetch stage
+            error.stage = 'fetch';
+            forecasts.set(key, { error: error });
         }
-    }
+    }));
+    
+    return forecasts;
 }
 
-// Get weather data from OpenWeatherMap
-async function getWeatherData() {
-    validateEnvironment();
-    
-    const apiKey = process.env.OPENWEATHER_API_KEY;
-    const lat = process.env.LATITUDE;
-    const lon = process.env.LONGITUDE;
-    
-    const options = {
-        hostname: 'api.openweathermap.org',
-        path: `/data/2.5/forecast?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric&cnt=8`,
-        method: 'GET',
-        headers: {
-            'User-Agent': 'WeatherNotificationBot/1.0'
+// Build the reports for all of a subscriber's locations. The histories,
+// by location key, add the comparison with yesterday.
+function buildLocationReports(subscription, forecasts, ruleSet, now, histories) {
+    const language = subscription.language;
+    return subscription.locations.map(location => {
+        const forecast = forecasts.get(getForecastKey(location));
+        if (!forecast || forecast.error) {
+            throw forecast ? forecast.error : Object.assign(new Error('Weather data unavailable'), { stage: 'fetch' });
         }
+        return buildLocationReport(forecast.data, location, language, ruleSet, now, {
+            outlook: subscription.outlook,
+            history: histories.get(getLocationKey(location)) || []
+        });
+    });
+}
+
+// Render a subscriber's reports as one text message and one HTML email
+// with its chart images. The batched days of a weekly digest, if any,
+// follow the reports, and both end with the unsubscribe link, which the
+// email headers also offer.
+function renderSubscriberReport(subscription, reports, forecasts, now, batch = null) {
+    const language = subscription.language;
+    const week = describeBatch(batch, language);
+    const unsubscribeUrl = getUnsubscribeUrl(subscription.id);
+    const email = renderDailyEmail(reports, {
+        language: language,
+        zone: getSubscriberTimeZone(subscription, forecasts),
+        now: now,
+        week: week,
+        unsubscribeUrl: unsubscribeUrl
+    });
+    
+    return {
+        reports: reports,
+        text: reports.map(renderText).join('\n\n') + formatBatch(week) + formatUnsubscribe(unsubscribeUrl, language),
+        html: email.html,
+        images: email.images,
+        headers: getUnsubscribeHeaders(unsubscribeUrl)
     };
+}
+
+// Build the reports for all of a subscriber's locations and render them
+// as one text message and one HTML email with its chart images
+function buildSubscriberReport(subscription, forecasts, ruleSet, now = new Date(), histories = new Map()) {
+    const reports = buildLocationReports(subscription, forecasts, ruleSet, now, histories);
+    return renderSubscriberReport(subscription, reports, forecasts, now);
+}
+
+// Zone used for a subscriber's subject line and timestamps: that of
+// their first location, using its forecast when one was fetched
+function getSubscriberTimeZone(subscription, forecasts) {
+    const location = subscription.locations[0];
+    const forecast = forecasts.get(getForecastKey(location));
+    return getTimeZone(forecast && forecast.data, location);
+}
+
+// Summarize channel results into a single delivery status
+function getDeliveryStatus(channelResults) {
+    const sent = channelResults.filter(result => result.status === 'sent').length;
+    if (sent === channelResults.length) {
+        return 'sent';
+    }
+    return sent > 0 ? 'partial' : 'failed';
+}
+
+// Send an error notification to a subscriber whose report could not be built
+async function sendErrorNotification(subscription, error, zone, context) {
+    const language = subscription.language;
+    const locale = getLanguage(language).locale;
+    const now = context.now;
+    const errorSubject = t(language, 'subject.error', { date: formatDate(now, zone, locale) });
+    const errorMessage = t(language, 'error.notification', { message: error.message });
+    const unsubscribeUrl = getUnsubscribeUrl(subscription.id);
+    const errorHtml = renderErrorEmail(errorMessage, { language: language, zone: zone, now: now, unsubscribeUrl: unsubscribeUrl });
+    
+    const channelResults = await timeStage('send', () => deliverReport(subscription.channels, {
+        subject: errorSubject,
+        text: errorMessage + formatUnsubscribe(unsubscribeUrl, language),
+        html: errorHtml,
+        headers: getUnsubscribeHeaders(unsubscribeUrl)
+    }, context));
+    getLogger().info('Error notification delivered', { subscriber: subscription.id, status: getDeliveryStatus(channelResults) });
+}
+
+// Severe weather forecast at any of a subscriber's locations
+function getSubscriberAlerts(subscription, forecasts, now) {
+    return subscription.locations.reduce((alerts, location) => {
+        const forecast = forecasts.get(getForecastKey(location));
+        return forecast && forecast.data ? alerts.concat(detectAlerts(forecast.data, now)) : alerts;
+    }, []);
+}
+
+// Load the days batched for a subscriber's weekly digest. A batch that
+// cannot be read leaves the digest without the earlier days.
+async function loadBatch(subscription, batchStore) {
+    try {
+        const batch = await batchStore.get(subscription.id);
+        return batch ? batch.days : [];
+    } catch (error) {
+        getLogger().error('Failed to load batched days', { subscriber: subscription.id, error: error });
+        return [];
+    }
+}
+
+// Keep today's reports for a subscriber's weekly digest instead of sending them
+async function batchReports(subscription, reports, date, batchStore) {
+    try {
+        const batch = await batchStore.get(subscription.id);
+        const days = addToBatch(batch ? batch.days : [], date, reports);
+        await batchStore.put(subscription.id, { days: days });
+        getLogger().info('Notification batched', { subscriber: subscription.id, days: days.length });
+        return { subscriber: subscription.id, status: 'batched', batched: days.length };
+    } catch (error) {
+        getLogger().error('Failed to batch the report', { subscriber: subscription.id, error: error });
+        return { subscriber: subscription.id, status: 'failed', stage: 'send', error: error.message };
+    }
+}
+
+// Build the report for a single subscriber and deliver it as their
+// delivery policy says: send it, suppress it, or batch it for the weekly
+// digest. `daily` holds what all subscribers share: the rule set, the
+// location histories and the store of batched days.
+async function notifySubscriber(subscription, forecasts, daily, context) {
+    const zone = getSubscriberTimeZone(subscription, forecasts);
+    const locale = getLanguage(subscription.language).locale;
+    const date = getTodayDateString(zone, context.now);
+    const alerts = getSubscriberAlerts(subscription, forecasts, context.now);
+    let reports;
+    try {
+        reports = timeStage('analyze', () => buildLocationReports(subscription, forecasts, daily.ruleSet, context.now, daily.histories));
+    } catch (error) {
+        getLogger().error('Weather report failed', { subscriber: subscription.id, stage: error.stage, error: error });
+        
+        // The error email stands in for the report, so it goes out only
+        // when the report would have. Without reports only the alerts can
+        // make the day notable.
+        const decision = decideDelivery(subscription.delivery, date, getNotableReasons([], alerts, daily.ruleSet.thresholds));
+        if (decision.action === 'send' || decision.action === 'digest') {
+            await sendErrorNotification(subscription, error, zone, context);
+        } else {
+            getLogger().info('Error notification withheld', { subscriber: subscription.id, reason: decision.reason || decision.action });
+        }
+        return { subscriber: subscription.id, status: 'failed', stage: error.stage, error: error.message };
+    }
     
-    const data = await makeRequest(options);
+    const reasons = getNotableReasons(reports, alerts, daily.ruleSet.thresholds);
+    const decision = decideDelivery(subscription.delivery, date, reasons);
     
-    // Validate API response
-    if (data.cod && data.cod !== '200' && data.cod !== 200) {
-        throw new Error(`OpenWeatherMap API error: ${data.message || 'Unknown error'}`);
+    if (decision.action === 'suppress') {
+        getLogger().info('Notification suppressed', { subscriber: subscription.id, reason: decision.reason });
+        return { subscriber: subscription.id, status: 'suppressed', reason: decision.reason };
     }
     
-    if (!data.list || !Array.isArray(data.list)) {
-        throw new Error('Invalid weather data format received from API');
+    if (decision.action === 'batch') {
+        return batchReports(subscription, reports, date, daily.batchStore);
     }
     
-    return data;
+    const weekly = decision.action === 'digest';
+    const batch = weekly ? await loadBatch(subscription, daily.batchStore) : null;
+    const report = timeStage('render', () => renderSubscriberReport(subscription, reports, forecasts, context.now, batch));
+    getLogger().debug('Generated message', { subscriber: subscription.id, characters: report.text.length });
+    
+    const channelResults = await timeStage('send', () => deliverReport(subscription.channels, {
+        subject: t(subscription.language, weekly ? 'subject.weekly' : 'subject.daily', { date: formatDate(context.now, zone, locale) }),
+        text: report.text,
+        html: report.html,
+        images: report.images,
+        headers: report.headers
+    }, context));
+    
+    const status = getDeliveryStatus(channelResults);
+    getLogger().info('Notification delivered', { subscriber: subscription.id, status: status });
+    
+    // Start a new week once the digest reached the subscriber, so a failed
+    // one goes out again with the same days
+    if (weekly && status !== 'failed') {
+        try {
+            await daily.batchStore.delete(subscription.id);
+        } catch (error) {
+            getLogger().error('Failed to clear batched days', { subscriber: subscription.id, error: error });
+        }
+    }
+    
+    const result = { subscriber: subscription.id, status: status, channels: channelResults };
+    if (decision.reasons) {
+        result.reasons = decision.reasons;
+    }
+    return result;
 }
 
-// Send email notification using SES
-async function sendEmailNotification(subject, htmlBody, textBody) {
-    if (!subject || typeof subject !== 'string') {
-        throw new Error('Subject must be a non-empty string');
+// Check a subscriber's locations for severe weather and send a short alert
+// covering only what changed since the last alert
+async function checkSubscriberAlerts(subscription, forecasts, alertStore, context) {
+    const now = context.now;
+    const language = subscription.language;
+    const sections = [];
+    const stateUpdates = [];
+    const errors = [];
+    
+    for (const location of subscription.locations) {
+        const forecast = forecasts.get(getForecastKey(location));
+        if (!forecast || forecast.error) {
+            errors.push(forecast ? forecast.error.message : 'Weather data unavailable');
+            continue;
+        }
+        
+        const stateKey = `${subscription.id}|${getLocationKey(location)}`;
+        const previousState = await alertStore.get(stateKey);
+        const { changed, state } = timeStage('analyze', () => diffAlerts(detectAlerts(forecast.data, now), previousState));
+        stateUpdates.push([stateKey, state]);
+        
+        if (changed.length > 0) {
+            const zone = getTimeZone(forecast.data, location);
+            sections.push(describeAlerts(changed, getCityName(forecast.data, location, language), zone, language, now));
+        }
     }
     
-    if (!htmlBody || typeof htmlBody !== 'string') {
-        throw new Error('HTML body must be a non-empty string');
+    if (errors.length === subscription.locations.length) {
+        return { subscriber: subscription.id, status: 'failed', stage: 'fetch', error: errors[0] };
     }
     
-    const senderEmail = process.env.SENDER_EMAIL;
-    const recipientEmail = process.env.RECIPIENT_EMAIL;
+    if (sections.length === 0) {
+        await Promise.all(stateUpdates.map(([key, state]) => alertStore.put(key, state)));
+        return { subscriber: subscription.id, status: 'unchanged' };
+    }
     
-    if (!senderEmail || !recipientEmail) {
-        throw new Error('Both SENDER_EMAIL and RECIPIENT_EMAIL are required');
+    const zone = getSubscriberTimeZone(subscription, forecasts);
+    const unsubscribeUrl = getUnsubscribeUrl(subscription.id);
+    const message = timeStage('render', () => ({
+        subject: t(language, 'subject.alert', { date: formatDate(now, zone, getLanguage(language).locale) }),
+        text: sections.map(formatAlerts).join('\n') + formatUnsubscribe(unsubscribeUrl, language),
+        html: renderAlertEmail(sections, { language: language, zone: zone, now: now, unsubscribeUrl: unsubscribeUrl }),
+        headers: getUnsubscribeHeaders(unsubscribeUrl)
+    }));
+    const channelResults = await timeStage('send', () => deliverReport(subscription.channels, message, context));
+    
+    const status = getDeliveryStatus(channelResults);
+    getLogger().info('Alert delivered', { subscriber: subscription.id, status: status });
+    
+    // Only remember alerts that reached the subscriber, so failed ones are retried
+    if (status !== 'failed') {
+        await Promise.all(stateUpdates.map(([key, state]) => alertStore.put(key, state)));
     }
     
-    const params = {
-        Source: senderEmail,
-        Destination: {
-            ToAddresses: [recipientEmail]
-        },
-        Message: {
-            Subject: {
-                Data: subject,
-                Charset: 'UTF-8'
-            },
-            Body: {
-                Html: {
-                    Data: htmlBody,
-                    Charset: 'UTF-8'
-                },
-                Text: {
-                    Data: textBody || htmlBody.replace(/<[^>]*>/g, ''),
-                    Charset: 'UTF-8'
-                }
-            }
+    return { subscriber: subscription.id, status: status, channels: channelResults };
+}
+
+// Build one report per subscribed location from its fetched forecast,
+// for what the daily report predicted there. Returns a map of
+// location key to { location, forecast, report }, without locations
+// whose forecast could not be used.
+function buildLocationPredictions(subscriptions, forecasts, ruleSet, now) {
+    const predictions = new Map();
+    
+    for (const [key, { location, language }] of getUniqueForecasts(subscriptions)) {
+        const forecast = forecasts.get(key);
+        if (!forecast || forecast.error) {
+            continue;
+        }
+        
+        const report = buildLocationReport(forecast.data, location, language, ruleSet, now);
+        if (report.ok) {
+            predictions.set(key, { location: location, forecast: forecast, report: report });
         }
-    };
-    
-    try {
-        const result = await ses.sendEmail(params).promise();
-        console.log('Email sent successfully:', result.MessageId);
-        return result;
-    } catch (error) {
-        console.error('SES Error:', error);
-        throw new Error(`Failed to send email: ${error.message}`);
     }
+    
+    return predictions;
 }
 
-// Convert plain text weather message to HTML format
-function formatWeatherAsHtml(textMessage) {
-    // Convert Thai weather message to HTML with better formatting
-    let html = textMessage
-        .replace(/🌤️/g, '<span style="font-size: 1.2em;">🌤️</span>')
-        .replace(/📍/g, '<span style="color: #e74c3c;">📍</span>')
-        .replace(/🌡️/g, '<span style="color: #f39c12;">🌡️</span>')
-        .replace(/☁️/g, '<span style="color: #95a5a6;">☁️</span>')
-        .replace(/❌/g, '<span style="color: #e74c3c; font-weight: bold;">❌</span>')
-        .replace(/✅/g, '<span style="color: #27ae60; font-weight: bold;">✅</span>')
-        .replace(/⚠️/g, '<span style="color: #f39c12; font-weight: bold;">⚠️</span>')
-        .replace(/☔/g, '<span style="color: #3498db;">☔</span>')
-        .replace(/🌂/g, '<span style="color: #f39c12;">🌂</span>')
-        .replace(/👍/g, '<span style="color: #27ae60;">👍</span>')
-        .replace(/🏠/g, '<span style="color: #8e44ad;">🏠</span>')
-        .replace(/👕/g, '<span style="color: #2980b9;">👕</span>')
-        .replace(/☀️/g, '<span style="color: #f1c40f;">☀️</span>')
-        .replace(/🌧️/g, '<span style="color: #3498db; font-weight: bold;">🌧️</span>')
-        .replace(/🌦️/g, '<span style="color: #74b9ff;">🌦️</span>')
-        .replace(/🌨️/g, '<span style="color: #74b9ff;">🌨️</span>')
-        .replace(/⛈️/g, '<span style="color: #e74c3c; font-weight: bold;">⛈️</span>')
-        .replace(/📅/g, '<span style="color: #6c5ce7; font-weight: bold;">📅</span>')
-        .replace(/⏰/g, '<span style="color: #fd79a8;">⏰</span>')
-        .replace(/\n/g, '<br>');
-    
-    return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-        <meta charset="UTF-8">
-        <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(135deg,rgb(246, 246, 246), #0984e3); color: white; padding: 20px; border-radius: 10px; text-align: center; margin-bottom: 20px; }
-            .content { background: #f8f9fa; padding: 20px; border-radius: 10px; border-left: 4px solid #74b9ff; }
-            .footer { text-align: center; margin-top: 20px; color: #666; font-size: 0.9em; }
-        </style>
-    </head>
-    <body>
-        <div class="header">
-            <h1>🌤️ Daily Weather Report</h1>
-        </div>
-        <div class="content">
-            ${html}
-        </div>
-        <div class="footer">
-            <p>Generated at ${new Date().toLocaleString('th-TH', { timeZone: 'Asia/Bangkok' })}</p>
-            <p>Powered by OpenWeatherMap & AWS</p>
-        </div>
-    </body>
-    </html>
-    `;
+// Load the day summaries kept for every subscribed location, as a map of
+// location key to days. A location whose history cannot be read gets
+// none, so the report goes out without the comparison.
+async function loadHistories(subscriptions, historyStore) {
+    const histories = new Map();
+    const keys = new Set();
+    subscriptions.forEach(subscription => {
+        subscription.locations.forEach(location => keys.add(getLocationKey(location)));
+    });
+    
+    await Promise.all(Array.from(keys).map(async key => {
+        try {
+            const history = await historyStore.get(key);
+            histories.set(key, history ? history.days : []);
+        } catch (error) {
+            getLogger().error('Failed to load history', { location: key, error: error });
+        }
+    }));
+    
+    return histories;
 }
 
-// Get today's date in local timezone
-function getTodayDateString() {
-    const today = new Date();
-    // Adjust for timezone offset to get local date
-    const localDate = new Date(today.getTime() - (today.getTimezoneOffset() * 60000));
-    return localDate.toISOString().split('T')[0];
+// Add today's summary to each location's history for tomorrow's comparison
+async function saveHistories(predictions, histories, historyStore) {
+    await Promise.all(Array.from(predictions.entries()).map(async ([key, { report }]) => {
+        // Keep a history that failed to load rather than overwrite it
+        if (!histories.has(key)) {
+            return;
+        }
+        try {
+            const days = updateHistory(histories.get(key), summarizeDay(report.prediction));
+            await historyStore.put(key, { days: days });
+        } catch (error) {
+            getLogger().error('Failed to save history', { location: key, error: error });
+        }
+    }));
 }
 
-// Extract rain forecast timing information
-function analyzeRainTiming(weatherData) {
-    const todayStr = getTodayDateString();
-    const rainForecast = [];
-    
-    // Get today and tomorrow's forecasts
-    const relevantWeather = weatherData.list.filter(item => {
-        if (!item.dt) return false;
-        const itemDate = new Date(item.dt * 1000);
-        const localItemDate = new Date(itemDate.getTime() - (itemDate.getTimezoneOffset() * 60000));
-        const dateStr = localItemDate.toISOString().split('T')[0];
-        
-        // Include today and tomorrow
-        const today = new Date(todayStr);
-        const tomorrow = new Date(today.getTime() + 24 * 60 * 60 * 1000);
-        const tomorrowStr = tomorrow.toISOString().split('T')[0];
-        
-        return dateStr === todayStr || dateStr === tomorrowStr;
-    });
-    
-    relevantWeather.forEach(item => {
-        const weather = item.weather && item.weather[0];
-        const hasRain = weather && (
-            weather.main.toLowerCase().includes('rain') ||
-            weather.main.toLowerCase().includes('thunderstorm') ||
-            weather.main.toLowerCase().includes('drizzle')
-        );
-        
-        if (hasRain) {
-            const forecastTime = new Date(item.dt * 1000);
-            const localTime = new Date(forecastTime.getTime() - (forecastTime.getTimezoneOffset() * 60000));
-            const timeStr = localTime.toLocaleTimeString('th-TH', { 
-                hour: '2-digit', 
-                minute: '2-digit',
-                timeZone: 'Asia/Bangkok'
-            });
-            
-            const isToday = localTime.toISOString().split('T')[0] === todayStr;
-            const rainProbability = item.pop ? Math.round(item.pop * 100) : 0;
-            const rainVolume = item.rain ? (item.rain['3h'] || item.rain['1h'] || 0) : 0;
-            
-            rainForecast.push({
-                time: timeStr,
-                isToday: isToday,
-                probability: rainProbability,
-                volume: rainVolume,
-                description: weather.description,
-                intensity: weather.main.toLowerCase()
+// Archive each location's forecast with the prediction the daily report
+// made from it, so the accuracy digest can grade it against what happened
+async function archiveForecasts(predictions, archive, context) {
+    for (const [locationKey, { location, forecast, report }] of predictions) {
+        try {
+            await appendRecord(archive, 'forecasts', report.prediction.date, location, {
+                fetchedAt: context.now.toISOString(),
+                provider: forecast.data.provider,
+                name: report.city,
+                zone: getTimeZone(forecast.data, location),
+                prediction: report.prediction,
+                forecast: forecast.data
             });
+        } catch (error) {
+            getLogger().error('Failed to archive forecast', { location: locationKey, error: error });
         }
-    });
+    }
+}
+
+// Record the current conditions at every subscribed location, filed under
+// the location's local date
+async function recordObservations(subscriptions, archive, context) {
+    const locations = getUniqueForecasts(subscriptions);
     
-    return rainForecast;
+    await Promise.all(Array.from(locations.entries()).map(async ([key, { location, language }]) => {
+        try {
+            const observation = await fetchObservation(location, { language: language, httpClient: context.http });
+            const date = getLocalDateString(new Date(observation.dt * 1000), getTimeZone(observation, location));
+            await appendRecord(archive, 'observations', date, location, observation);
+        } catch (error) {
+            getLogger().error('Failed to record observation', { location: key, error: error });
+        }
+    }));
 }
 
-// Format rain timing message
-function formatRainTiming(rainForecast) {
-    if (rainForecast.length === 0) {
-        return "";
+// Grade the archived forecasts of the last week or month and send the
+// digest to DIGEST_EMAIL, or RECIPIENT_EMAIL when that is not set
+async function sendAccuracyDigest(period, archive, context) {
+    const language = process.env.LANGUAGE || DEFAULT_LANGUAGE;
+    const locale = getLanguage(language).locale;
+    const zone = getTimeZone(null);
+    const digest = await timeStage('analyze', () => buildAccuracyDigest(archive, { period: period, zone: zone, now: context.now }));
+    const recipient = process.env.DIGEST_EMAIL || process.env.RECIPIENT_EMAIL;
+    
+    if (!recipient) {
+        getLogger().warn('Accuracy digest not sent: set DIGEST_EMAIL or RECIPIENT_EMAIL');
+        return { digest: digest, status: 'skipped' };
     }
     
-    const todayRain = rainForecast.filter(r => r.isToday);
-    const tomorrowRain = rainForecast.filter(r => !r.isToday);
-    
-    let rainMessage = "\n🌧️ การพยากรณ์ฝน:\n";
-    
-    if (todayRain.length > 0) {
-        rainMessage += "📅 วันนี้:\n";
-        todayRain.forEach(rain => {
-            const intensityEmoji = rain.intensity.includes('thunderstorm') ? '⛈️' : 
-                                 rain.volume > 2.5 ? '🌧️' : '🌦️';
-            rainMessage += `   ${intensityEmoji} ${rain.time} - โอกาส ${rain.probability}%`;
-            if (rain.volume > 0) {
-                rainMessage += ` (${rain.volume.toFixed(1)}mm)`;
-            }
-            rainMessage += "\n";
-        });
+    const described = describeDigest(digest, language);
+    const message = timeStage('render', () => ({
+        subject: t(language, 'subject.digest', {
+            start: formatDayLabel(digest.start, locale),
+            end: formatDayLabel(digest.end, locale)
+        }),
+        text: formatDigest(described),
+        html: renderDigestEmail(described, { language: language, zone: zone, now: context.now })
+    }));
+    const channelResults = await timeStage('send', () => deliverReport([{ type: 'ses', to: recipient }], message, context));
+    
+    return { digest: digest, status: getDeliveryStatus(channelResults), channels: channelResults };
+}
+
+// Run the accuracy digest and build the handler response
+async function runDigest(event, context, run) {
+    const archive = createArchive();
+    if (!archive) {
+        throw new Error('The accuracy digest needs ARCHIVE_BUCKET or ARCHIVE_DIR');
     }
     
-    if (tomorrowRain.length > 0) {
-        rainMessage += "📅 พรุ่งนี้:\n";
-        tomorrowRain.slice(0, 3).forEach(rain => { // Limit to first 3 forecasts
-            const intensityEmoji = rain.intensity.includes('thunderstorm') ? '⛈️' : 
-                                 rain.volume > 2.5 ? '🌧️' : '🌦️';
-            rainMessage += `   ${intensityEmoji} ${rain.time} - โอกาส ${rain.probability}%`;
-            if (rain.volume > 0) {
-                rainMessage += ` (${rain.volume.toFixed(1)}mm)`;
-            }
-            rainMessage += "\n";
-        });
+    const period = event.period || 'week';
+    const result = await sendAccuracyDigest(period, archive, context);
+    const duration = Date.now() - run.startTime;
+    const failed = result.status === 'failed' || result.status === 'partial';
+    run.logger.info('Accuracy digest completed', {
+        period: period,
+        status: result.status,
+        days: result.digest.overall.days,
+        duration: duration,
+        stages: run.stages
+    });
+    
+    run.metrics.put('RunFailed', failed ? 1 : 0);
+    if (failed) {
+        await sendAdminNotification(run, {
+            mode: 'digest',
+            failures: [{ subscriber: 'digest', stage: 'send', error: getChannelErrors(result.channels) }]
+        }, context);
     }
     
-    return rainMessage;
+    return {
+        statusCode: failed ? 500 : 200,
+        body: JSON.stringify({
+            message: `Accuracy digest ${result.status}`,
+            mode: 'digest',
+            runId: run.id,
+            period: period,
+            start: result.digest.start,
+            end: result.digest.end,
+            overall: result.digest.overall,
+            locations: result.digest.locations,
+            channels: result.channels,
+            duration: duration,
+            timestamp: new Date().toISOString()
+        })
+    };
 }
 
-// Analyze weather and create message
-function analyzeWeather(weatherData) {
-    if (!weatherData || !weatherData.list || weatherData.list.length === 0) {
-        return "ไม่สามารถดึงข้อมูลสภาพอากาศได้ครับ";
+// Errors of the channels that failed, joined
+function getChannelErrors(channelResults) {
+    return (channelResults || [])
+        .filter(result => result.status === 'failed')
+        .map(result => `${result.type}: ${result.error}`)
+        .join('; ');
+}
+
+// Subscribers a run did not fully deliver to, with the stage that failed
+// and why. Delivery failures have no stage of their own and count as send.
+function getFailures(results) {
+    return results
+        .filter(result => result.status === 'failed' || result.status === 'partial')
+        .map(result => ({
+            subscriber: result.subscriber,
+            stage: result.stage || 'send',
+            error: result.error || getChannelErrors(result.channels)
+        }));
+}
+
+// Tell ADMIN_EMAIL that a run failed, or did not reach every subscriber,
+// and in which stage. Does nothing without ADMIN_EMAIL.
+async function sendAdminNotification(run, failure, context) {
+    const recipient = process.env.ADMIN_EMAIL;
+    if (!recipient) {
+        return;
     }
     
-    const todayStr = getTodayDateString();
-    
-    // Filter today's weather (convert UTC to local date)
-    const todayWeather = weatherData.list.filter(item => {
-        if (!item.dt) return false;
-        const itemDate = new Date(item.dt * 1000);
-        const localItemDate = new Date(itemDate.getTime() - (itemDate.getTimezoneOffset() * 60000));
-        return localItemDate.toISOString().split('T')[0] === todayStr;
+    const language = process.env.LANGUAGE || DEFAULT_LANGUAGE;
+    const zone = getTimeZone(null);
+    const lines = [t(language, 'admin.run', { runId: run.id, mode: failure.mode })];
+    if (failure.error) {
+        lines.push(t(language, 'admin.failed', { stage: failure.stage, error: failure.error }));
+    }
+    (failure.failures || []).forEach(item => {
+        lines.push(t(language, 'admin.subscriber', item));
     });
+    const described = { header: t(language, 'admin.header'), lines: lines };
     
-    if (todayWeather.length === 0) {
-        return "ไม่มีข้อมูลสภาพอากาศสำหรับวันนี้ครับ";
+    try {
+        const channelResults = await deliverReport([{ type: 'ses', to: recipient }], {
+            subject: t(language, 'subject.admin', { mode: failure.mode, date: formatDate(context.now, zone, getLanguage(language).locale) }),
+            text: `${described.header}\n${lines.join('\n')}`,
+            html: renderAdminEmail(described, { language: language, zone: zone, now: context.now })
+        }, context);
+        run.logger.info('Admin notification delivered', { status: getDeliveryStatus(channelResults) });
+    } catch (error) {
+        run.logger.error('Admin notification failed', { error: error });
+    }
+}
+
+// Run the daily report or the alert check and build the handler response
+async function runNotifications(mode, context, run) {
+    const { allSubscriptions, subscriptions, ruleSet, historyStore, histories } = await timeStage('setup', async () => {
+        const loaded = await loadSubscriptions();
+        const selected = mode === 'alert' ? loaded.filter(subscription => subscription.alerts) : loaded;
+        const store = mode === 'daily' ? createStore('history') : null;
+        return {
+            allSubscriptions: loaded,
+            subscriptions: selected,
+            ruleSet: mode === 'daily' ? loadRules() : null,
+            historyStore: store,
+            histories: store ? await loadHistories(selected, store) : new Map()
+        };
+    });
+    run.logger.info('Subscriptions loaded', { subscriptions: subscriptions.length });
+    const daily = { ruleSet: ruleSet, histories: histories, batchStore: mode === 'daily' ? createStore('batches') : null };
+    
+    // Fetch each unique location once
+    const forecasts = await timeStage('fetch', () => fetchForecasts(subscriptions, mode === 'daily', context));
+    
+    // Analyze and notify each subscriber
+    const alertStore = mode === 'alert' ? createStore('alerts') : null;
+    const results = [];
+    for (const subscription of subscriptions) {
+        results.push(mode === 'alert'
+            ? await checkSubscriberAlerts(subscription, forecasts, alertStore, context)
+            : await notifySubscriber(subscription, forecasts, daily, context));
     }
     
-    // Analyze weather conditions more comprehensively
-    const weatherConditions = todayWeather.map(item => {
-        const weather = item.weather && item.weather[0];
-        return weather ? weather.main.toLowerCase() : '';
-    }).filter(Boolean);
-    
-    const hasRain = weatherConditions.some(condition => 
-        condition.includes('rain') || condition.includes('thunderstorm') || condition.includes('drizzle')
-    );
-    
-    const hasClouds = weatherConditions.some(condition => 
-        condition.includes('cloud')
-    );
-    
-    // Get temperature info with validation
-    const temps = todayWeather
-        .map(item => item.main && item.main.temp)
-        .filter(temp => typeof temp === 'number' && !isNaN(temp));
-    
-    if (temps.length === 0) {
-        return "ไม่สามารถดึงข้อมูลอุณหภูมิได้ครับ";
+    const predictions = mode === 'daily'
+        ? timeStage('analyze', () => buildLocationPredictions(subscriptions, forecasts, ruleSet, context.now))
+        : new Map();
+    if (historyStore) {
+        await saveHistories(predictions, histories, historyStore);
     }
     
-    const maxTemp = Math.max(...temps);
-    const minTemp = Math.min(...temps);
-    const avgTemp = temps.reduce((a, b) => a + b, 0) / temps.length;
-    
-    // Get main weather condition safely
-    const firstWeather = todayWeather[0] && todayWeather[0].weather && todayWeather[0].weather[0];
-    const description = firstWeather ? firstWeather.description : 'ไม่ทราบ';
-    
-    // Create message
-    const cityName = weatherData.city && weatherData.city.name ? weatherData.city.name : 'Unknown Location';
-    const lat = parseFloat(process.env.LATITUDE).toFixed(4);
-    const lon = parseFloat(process.env.LONGITUDE).toFixed(4);
-    
-    let message = `🌤️ สภาพอากาศวันนี้\n`;
-    message += `📍 ${cityName} (${lat}, ${lon})\n`;
-    message += `🌡️ อุณหภูมิ: ${minTemp.toFixed(1)}°C - ${maxTemp.toFixed(1)}°C\n`;
-    message += `☁️ สภาพอากาศ: ${description}\n\n`;
-    
-    // Washing clothes recommendation
-    if (hasRain) {
-        message += `🌧️ วันนี้ฝนตก ไม่ควรซักผ้าแขวนข้างนอกนะครับ\n`;
-        message += `🏠 แนะนำซักผ้าแล้วไปตากข้างใน หรือใช้เครื่องอบผ้า\n`;
-    } else if (hasClouds && avgTemp < CONFIG.TEMP_THRESHOLD) {
-        message += `⚠️ วันนี้มีเมฆ อาจจะแห้งช้าหน่อย\n`;
-        message += `👕 ซักผ้าได้ แต่ควรตากในที่ที่มีลมผ่าน\n`;
-    } else {
-        message += `✅ วันนี้อากาศดี ซักผ้าได้เลยครับ!\n`;
-        message += `☀️ แดดดี ผ้าจะแห้งเร็ว\n`;
+    // Both modes observe every subscribed location, so hourly alert
+    // checks give the accuracy digest a picture of the whole day
+    const archive = createArchive();
+    if (archive) {
+        if (mode === 'daily') {
+            await archiveForecasts(predictions, archive, context);
+        }
+        await recordObservations(allSubscriptions, archive, context);
     }
     
-    // Add rain forecast timing
-    const rainForecast = analyzeRainTiming(weatherData);
-    const rainTimingMessage = formatRainTiming(rainForecast);
-    if (rainTimingMessage) {
-        message += rainTimingMessage;
+    const failures = getFailures(results);
+    const counts = {};
+    results.forEach(result => {
+        counts[result.status] = (counts[result.status] || 0) + 1;
+    });
+    const rainDays = Array.from(predictions.values()).filter(({ report }) => report.prediction.hasRain).length;
+    const duration = Date.now() - run.startTime;
+    
+    run.metrics.put('RunFailed', 0);
+    run.metrics.put('NotificationsSent', (counts.sent || 0) + (counts.partial || 0));
+    run.metrics.put('NotificationsFailed', failures.length);
+    run.metrics.put('NotificationsSuppressed', counts.suppressed || 0);
+    run.metrics.put('NotificationsBatched', counts.batched || 0);
+    if (mode === 'daily') {
+        run.metrics.put('Locations', predictions.size);
+        run.metrics.put('RainDays', rainDays);
     }
     
-    // Umbrella recommendation
-    if (hasRain) {
-        message += `\n☔ อย่าลืมเอาร่มไปด้วยนะครับ\n`;
-        if (rainForecast.length > 0) {
-            const nextRain = rainForecast.find(r => r.isToday);
-            if (nextRain) {
-                message += `⏰ ฝนจะตกประมาณ ${nextRain.time}\n`;
-            }
-        }
-    } else if (maxTemp > CONFIG.HIGH_TEMP_THRESHOLD) {
-        message += `\n🌂 ร้อนมาก ควรเอาร่มไปกันแดดด้วย\n`;
-    } else {
-        message += `\n👍 ไม่ต้องเอาร่มก็ได้ อากาศโอเค\n`;
+    run.logger.info('Weather notification completed', {
+        subscribers: results.length,
+        results: counts,
+        failed: failures.length,
+        rainDays: mode === 'daily' ? rainDays : undefined,
+        retries: run.metrics.sum('ApiRetries'),
+        duration: duration,
+        stages: run.stages
+    });
+    
+    if (failures.length > 0) {
+        await sendAdminNotification(run, { mode: mode, failures: failures }, context);
     }
     
-    return message;
+    return {
+        statusCode: failures.length === 0 ? 200 : 500,
+        body: JSON.stringify({
+            message: failures.length === 0
+                ? 'Weather notification sent successfully'
+                : `Weather notification not fully delivered for ${failures.length} of ${results.length} subscriber(s)`,
+            mode: mode,
+            runId: run.id,
+            forecasts: forecasts.size,
+            results: results,
+            stages: run.stages,
+            duration: duration,
+            timestamp: new Date().toISOString()
+        })
+    };
 }
 
-// Main Lambda handler
-exports.handler = async () => {
-    const startTime = Date.now();
-    console.log('Weather notification started at', new Date().toISOString());
+// Run the handler in one mode and build the response. A failure of the
+// whole run is answered with 500 and reported to ADMIN_EMAIL with the
+// stage it happened in. The run's metrics are written either way.
+async function runHandler(event, mode, context, run) {
+    run.logger.info('Weather notification started', { now: context.now.toISOString() });
     
     try {
         // Validate environment first
-        validateEnvironment();
-        
-        // Get weather data
-        console.log('Fetching weather data...');
-        const weatherData = await getWeatherData();
-        
-        // Log success without sensitive data
-        const city = weatherData.city && weatherData.city.name ? weatherData.city.name : 'Unknown';
-        const forecastCount = weatherData.list ? weatherData.list.length : 0;
-        console.log(`Weather data received for ${city}, ${forecastCount} forecast items`);
-        
-        // Analyze weather and create message
-        console.log('Analyzing weather data...');
-        const message = analyzeWeather(weatherData);
-        console.log('Generated message length:', message.length, 'characters');
-        
-        // Send email notification
-        console.log('Sending email notification...');
-        const subject = `🌤️ Daily Weather Report - ${new Date().toLocaleDateString('th-TH')}`;
-        const htmlContent = formatWeatherAsHtml(message);
-        await sendEmailNotification(subject, htmlContent, message);
-        console.log('Email notification sent successfully');
-        
-        const duration = Date.now() - startTime;
-        console.log(`Weather notification completed in ${duration}ms`);
-        
-        return {
-            statusCode: 200,
-            body: JSON.stringify({
-                message: 'Weather notification sent successfully',
-                city: city,
-                duration: duration,
-                timestamp: new Date().toISOString()
-            })
-        };
+        timeStage('setup', validateEnvironment);
         
+        return mode === 'digest'
+            ? await runDigest(event, context, run)
+            : await runNotifications(mode, context, run);
+    
     } catch (error) {
-        const duration = Date.now() - startTime;
-        console.error('Weather notification failed:', {
-            error: error.message,
-            duration: duration,
-            timestamp: new Date().toISOString()
-        });
-        
-        // Send error notification via email
-        try {
-            const errorSubject = `⚠️ Weather Service Error - ${new Date().toLocaleDateString('th-TH')}`;
-            const errorMessage = `เกิดข้อผิดพลาดในการดึงข้อมูลสภาพอากาศครับ: ${error.message}`;
-            const errorHtml = `
-                <div style="background: #fee; border: 1px solid #fcc; padding: 15px; border-radius: 5px;">
-                    <h3 style="color: #c33;">⚠️ Weather Service Error</h3>
-                    <p>${errorMessage}</p>
-                    <p><small>Time: ${new Date().toLocaleString('th-TH', { timeZone: 'Asia/Bangkok' })}</small></p>
-                </div>
-            `;
-            await sendEmailNotification(errorSubject, errorHtml, errorMessage);
-            console.log('Error notification sent via email');
-        } catch (emailError) {
-            console.error('Failed to send error notification via email:', emailError.message);
-        }
+        const duration = Date.now() - run.startTime;
+        const stage = error.stage || 'setup';
+        run.logger.error('Weather notification failed', { stage: stage, error: error, duration: duration, stages: run.stages });
+        run.metrics.put('RunFailed', 1);
+        await sendAdminNotification(run, { mode: mode, stage: stage, error: error.message }, context);
         
         return {
             statusCode: 500,
             body: JSON.stringify({
                 error: error.message,
+                stage: stage,
+                runId: run.id,
                 duration: duration,
                 timestamp: new Date().toISOString()
             })
         };
+    } finally {
+        flushMetrics(run);
     }
-};
\ No newline at end of file
+}
+
+// Create the Lambda handler. The HTTP client (anything with the request()
+// signature of https), the SES client and the clock can be replaced, which
+// is how the tests run the whole pipeline offline.
+function createHandler(dependencies = {}) {
+    const clock = dependencies.clock || (() => new Date());
+    const api = createApi(dependencies);
+    
+    // Invoked with { "mode": "alert" } the handler runs the severe weather
+    // check instead of the daily report, and with { "mode": "digest" } the
+    // forecast accuracy digest. API Gateway requests go to the HTTP API.
+    return async (event = {}, invocation = {}) => {
+        event = event || {};
+        if (isApiEvent(event)) {
+            return api(fromApiEvent(event));
+        }
+        
+        const mode = MODES.includes(event.mode) ? event.mode : 'daily';
+        // The Lambda request ID doubles as the run ID, so the run's entries
+        // can be found from the Lambda console
+        const run = createRun({ mode: mode }, (invocation && invocation.awsRequestId) || undefined);
+        // Everything about this run shares one clock reading and the clients
+        const context = { now: clock(), http: dependencies.httpClient, ses: dependencies.sesClient };
+        
+        return withRun(run, () => runHandler(event, mode, context, run));
+    };
+}
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
+
+// Report building blocks shared with the local CLI and the tests
+exports.analyzeWeather = analyzeWeather;
+exports.analyzeRainTiming = analyzeRainTiming;
+exports.formatRainTiming = formatRainTiming;
+exports.buildSubscriberReport = buildSubscriberReport;
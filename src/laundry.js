@@ -0,0 +1,124 @@
+const { getLocalHour } = require('./time');
+const { isRainySlot } = require('./forecast');
+
+// Drying score configuration
+const CONFIG = {
+    DAYTIME_START_HOUR: 6,
+    DAYTIME_END_HOUR: 18,
+    GOOD_SLOT_SCORE: 50,
+    // Weights of each factor in the 0-100 score; they add up to 100
+    WEIGHTS: {
+        temperature: 30,
+        humidity: 30,
+        wind: 20,
+        sun: 20
+    }
+};
+
+// Clamp a value to the 0-1 range
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+// Score how well laundry dries during one forecast slot, from 0 to 100.
+// Warm, dry, breezy and sunny slots score highest; rain scores zero and
+// the chance of rain scales the score down.
+function scoreSlot(slot) {
+    if (isRainySlot(slot)) {
+        return 0;
+    }
+    
+    // Neutral defaults for fields a provider did not report
+    const temp = typeof slot.temp === 'number' ? slot.temp : 25;
+    const humidity = typeof slot.humidity === 'number' ? slot.humidity : 70;
+    const windSpeed = typeof slot.windSpeed === 'number' ? slot.windSpeed : 0;
+    const clouds = typeof slot.clouds === 'number' ? slot.clouds : 50;
+    const pop = typeof slot.pop === 'number' ? slot.pop : 0;
+    
+    const factors = {
+        temperature: clamp01((temp - 15) / 20),   // 15°C dries poorly, 35°C fully
+        humidity: clamp01((95 - humidity) / 60),  // 95% barely dries, 35% fully
+        wind: clamp01(windSpeed / 5),             // 5 m/s or more is a full breeze
+        sun: clamp01((100 - clouds) / 100)
+    };
+    
+    const score = Object.keys(CONFIG.WEIGHTS)
+        .reduce((total, factor) => total + factors[factor] * CONFIG.WEIGHTS[factor], 0);
+    
+    return Math.round(score * (1 - pop));
+}
+
+// Whether a slot starts during daylight hours in the location's zone
+function isDaytimeSlot(slot, zone) {
+    const hour = getLocalHour(new Date(slot.dt * 1000), zone);
+    return hour >= CONFIG.DAYTIME_START_HOUR && hour < CONFIG.DAYTIME_END_HOUR;
+}
+
+// Find the best run of consecutive daytime slots that all score at least
+// GOOD_SLOT_SCORE. Runs are compared by their total score, so longer good
+// runs beat short excellent ones.
+function findBestWindow(scoredSlots) {
+    let best = null;
+    let current = null;
+    
+    scoredSlots.forEach(slot => {
+        if (slot.score >= CONFIG.GOOD_SLOT_SCORE) {
+            if (!current) {
+                current = { slots: [], total: 0 };
+            }
+            current.slots.push(slot);
+            current.total += slot.score;
+            if (!best || current.total > best.total) {
+                best = { slots: current.slots.slice(), total: current.total };
+            }
+        } else {
+            current = null;
+        }
+    });
+    
+    if (!best) {
+        return null;
+    }
+    
+    const first = best.slots[0];
+    const last = best.slots[best.slots.length - 1];
+    return {
+        start: new Date(first.dt * 1000),
+        end: new Date((last.dt + last.hours * 3600) * 1000),
+        score: Math.round(best.total / best.slots.length)
+    };
+}
+
+// Analyze today's drying conditions: an overall drying score, the best
+// window to hang clothes and the first rain after the window opens
+function analyzeDrying(todaySlots, zone, rainForecast = []) {
+    const daytime = todaySlots.filter(slot => isDaytimeSlot(slot, zone));
+    // Late runs may have no daylight slots left, so score the whole day instead
+    const candidates = daytime.length > 0 ? daytime : todaySlots;
+    
+    if (candidates.length === 0) {
+        return { score: undefined, hasDaytime: false, window: null, nextRain: null };
+    }
+    
+    const scoredSlots = candidates
+        .slice()
+        .sort((a, b) => a.dt - b.dt)
+        .map(slot => ({ dt: slot.dt, hours: slot.hours, score: scoreSlot(slot) }));
+    
+    const score = Math.round(scoredSlots.reduce((total, slot) => total + slot.score, 0) / scoredSlots.length);
+    const window = daytime.length > 0 ? findBestWindow(scoredSlots) : null;
+    
+    // Rain slots score zero, so any rain after the window opens falls after it ends
+    const nextRain = window
+        ? rainForecast.find(rain => rain.isToday && rain.timestamp * 1000 >= window.start.getTime()) || null
+        : null;
+    
+    return { score: score, hasDaytime: daytime.length > 0, window: window, nextRain: nextRain };
+}
+
+module.exports = {
+    CONFIG,
+    scoreSlot,
+    findBestWindow,
+    analyzeDrying
+};
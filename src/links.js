@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { t } = require('./i18n');
+
+// What a signed token allows: "unsubscribe" goes in every email footer,
+// "confirm" in the email confirming a subscription made through the API,
+// and "manage", given once it is confirmed, also allows changing the
+// subscriber's locations
+const PURPOSES = ['unsubscribe', 'confirm', 'manage'];
+
+// Secret the tokens are signed with, or null when subscription
+// management is not configured
+function getSecret() {
+    return process.env.UNSUBSCRIBE_SECRET || null;
+}
+
+// Sign a subscriber ID for one purpose, as URL-safe base64 of an
+// HMAC-SHA256. Throws without UNSUBSCRIBE_SECRET.
+function signToken(subscriberId, purpose) {
+    if (!PURPOSES.includes(purpose)) {
+        throw new Error(`Unknown token purpose "${purpose}"`);
+    }
+    
+    const secret = getSecret();
+    if (!secret) {
+        throw new Error('UNSUBSCRIBE_SECRET is not set');
+    }
+    
+    return crypto.createHmac('sha256', secret).update(`${purpose}:${subscriberId}`).digest('base64url');
+}
+
+// Subscriber ID for an email address signing up through the API, so the
+// same address always gets the same ID without searching the store. An
+// HMAC rather than a plain hash keeps addresses from being guessed from
+// IDs in links. Throws without UNSUBSCRIBE_SECRET.
+function getSubscriberId(email) {
+    const secret = getSecret();
+    if (!secret) {
+        throw new Error('UNSUBSCRIBE_SECRET is not set');
+    }
+    
+    return crypto.createHmac('sha256', secret).update(`subscriber:${email.toLowerCase()}`).digest('hex').slice(0, 16);
+}
+
+// Check a token against the subscriber ID and purpose it should be signed for.
+// A manage token also allows unsubscribing.
+function verifyToken(subscriberId, purpose, token) {
+    if (!getSecret() || typeof token !== 'string' || !subscriberId) {
+        return false;
+    }
+    
+    const purposes = purpose === 'unsubscribe' ? ['unsubscribe', 'manage'] : [purpose];
+    return purposes.some(candidate => {
+        const expected = Buffer.from(signToken(subscriberId, candidate));
+        const actual = Buffer.from(token);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    });
+}
+
+// Link to a signed page of the API for a subscriber, or null unless both
+// UNSUBSCRIBE_SECRET and PUBLIC_BASE_URL are set
+function getSignedUrl(path, subscriberId, purpose) {
+    const baseUrl = process.env.PUBLIC_BASE_URL;
+    if (!getSecret() || !baseUrl) {
+        return null;
+    }
+    
+    const token = signToken(subscriberId, purpose);
+    return `${baseUrl.replace(/\/+$/, '')}${path}?id=${encodeURIComponent(subscriberId)}&token=${token}`;
+}
+
+// One-click unsubscribe link for a subscriber, or null unless both
+// UNSUBSCRIBE_SECRET and PUBLIC_BASE_URL are set
+function getUnsubscribeUrl(subscriberId) {
+    return getSignedUrl('/unsubscribe', subscriberId, 'unsubscribe');
+}
+
+// Link confirming a subscription made through the API, or null unless
+// both UNSUBSCRIBE_SECRET and PUBLIC_BASE_URL are set
+function getConfirmUrl(subscriberId) {
+    return getSignedUrl('/confirm', subscriberId, 'confirm');
+}
+
+// Email headers offering one-click unsubscribe (RFC 8058): mail clients
+// POST "List-Unsubscribe=One-Click" to the link. None without a link.
+function getUnsubscribeHeaders(url) {
+    return url ? { 'List-Unsubscribe': `<${url}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' } : {};
+}
+
+// Line ending a text message with the unsubscribe link, or nothing
+// without one
+function formatUnsubscribe(url, language) {
+    return url ? `\n\n${t(language, 'unsubscribe.footer', { url: url })}` : '';
+}
+
+module.exports = {
+    PURPOSES,
+    signToken,
+    verifyToken,
+    getSubscriberId,
+    getUnsubscribeUrl,
+    getConfirmUrl,
+    getUnsubscribeHeaders,
+    formatUnsubscribe
+};
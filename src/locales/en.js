@@ -0,0 +1,192 @@
+// English message catalog
+module.exports = {
+    'subject.daily': '🌤️ Daily Weather Report - {date}',
+    'subject.alert': '⚠️ Weather Alert - {date}',
+    'subject.error': '⚠️ Weather Service Error - {date}',
+    'subject.digest': '📊 Forecast Accuracy - {start} to {end}',
+    'subject.admin': '🚨 Weather Notification Failed ({mode}) - {date}',
+    'subject.weekly': '🗓️ Weekly Weather Report - {date}',
+    'subject.confirm': '✉️ Confirm your weather report subscription',
+    
+    'error.noData': 'Unable to retrieve weather data.',
+    'error.noDataToday': 'No weather data available for today.',
+    'error.noTemperature': 'Unable to retrieve temperature data.',
+    'error.notification': 'An error occurred while fetching weather data: {message}',
+    
+    'report.title': '🌤️ Today\'s Weather',
+    'report.location': '📍 {city} ({lat}, {lon})',
+    'report.temperature': '🌡️ Temperature: {min}°C - {max}°C',
+    'report.condition': '☁️ Conditions: {description}',
+    'report.unknownCondition': 'Unknown',
+    'report.unknownLocation': 'Unknown Location',
+    
+    'laundry.rain': '🌧️ Rain today, don\'t hang laundry outside',
+    'laundry.rainAdvice': '🏠 Dry your clothes indoors or use a tumble dryer',
+    'laundry.cloudy': '⚠️ Cloudy today, laundry may dry slowly',
+    'laundry.cloudyAdvice': '👕 Fine to wash, but hang clothes somewhere with a breeze',
+    'laundry.good': '✅ Nice weather today, go ahead and do the laundry!',
+    'laundry.goodAdvice': '☀️ Plenty of sun, clothes will dry quickly',
+    'laundry.rainLater': '🌦️ Rain on and off today, laundry can go out but must come in before the rain',
+    'laundry.score': '🧺 Drying score: {score}/100',
+    'laundry.window': '🕘 Best time to hang laundry: {start} - {end}',
+    'laundry.bringInBeforeRain': '⏰ Bring laundry in before {time}, rain is expected',
+    'laundry.noWindow': '🏠 No good window to dry laundry outside today',
+    'laundry.dust': '😷 Dust (PM2.5) is high today, dry clothes indoors if you can',
+    
+    'rain.header': '🌧️ Rain forecast:',
+    'rain.today': '📅 Today:',
+    'rain.tomorrow': '📅 Tomorrow:',
+    'rain.slot': '{emoji} {time} - {probability}% chance',
+    'rain.volume': ' ({volume}mm)',
+    
+    'umbrella.rain': '☔ Don\'t forget your umbrella',
+    'umbrella.nextRain': '⏰ Rain expected around {nextRainTime}',
+    'umbrella.hot': '🌂 Very hot, take an umbrella for shade',
+    'umbrella.none': '👍 No umbrella needed, the weather looks fine',
+    
+    'outdoor.uv': '🧴 UV index up to {maxUv}, use sunscreen and stay out of the midday sun',
+    'outdoor.pm25': '😷 PM2.5 up to {maxPm25} µg/m³, wear a mask outside',
+    'outdoor.pm25High': '😷 PM2.5 up to {maxPm25} µg/m³, wear an N95 mask and keep time outside short',
+    
+    'air.header': '🍃 Air quality and UV:',
+    'air.pm25': '🌫️ PM2.5 up to {value} µg/m³ ({category}), worst {start} - {end}',
+    'air.veryGood': 'very good',
+    'air.good': 'good',
+    'air.moderate': 'moderate',
+    'air.unhealthy': 'starting to affect health',
+    'air.veryUnhealthy': 'unhealthy',
+    'uv.index': '☀️ UV index up to {value} ({category}), highest {start} - {end}',
+    'uv.low': 'low',
+    'uv.moderate': 'moderate',
+    'uv.high': 'high',
+    'uv.veryHigh': 'very high',
+    'uv.extreme': 'extreme',
+    
+    'trend.header': '📈 Compared with yesterday:',
+    'trend.warmer': '🌡️ {delta}°C hotter than yesterday, high of {max}°C',
+    'trend.cooler': '🌡️ {delta}°C cooler than yesterday, high of {max}°C',
+    'trend.sameTemp': '🌡️ About as hot as yesterday, high of {max}°C',
+    'trend.rainStreak': '🌧️ {days} rainy days in a row',
+    'trend.dryStreak': '☀️ {days} dry days in a row',
+    'trend.dryAfterRain': '🧺 First dry day after {days} days of rain, a good day for laundry',
+    'trend.rainAfterDry': '☔ Rain returns after {days} dry days',
+    'trend.muchWarmer': '🥵 A big jump in temperature, drink plenty of water',
+    'trend.muchCooler': '🧥 A lot cooler than yesterday, bring a jacket',
+    
+    'delivery.header': '🗓️ Earlier this week:',
+    'delivery.day': '{day} {city}: {emoji} {min}-{max}°C{rain}',
+    'delivery.rain': ' ☔ rain',
+    
+    'unsubscribe.confirm': 'Stop sending weather reports to this subscriber?',
+    'unsubscribe.done': 'You will no longer receive weather reports.',
+    'unsubscribe.invalid': 'This unsubscribe link is not valid.',
+    'unsubscribe.footer': 'Unsubscribe: {url}',
+    
+    'confirm.request': 'Someone asked to send daily weather reports to this address. If it was you, confirm the subscription within {days} days. Otherwise ignore this email and nothing more will be sent.',
+    'confirm.link': 'Confirm: {url}',
+    'confirm.prompt': 'Start sending daily weather reports to this address?',
+    'confirm.done': 'Your subscription is confirmed. To change your location later, use this token: {token}',
+    'confirm.invalid': 'This confirmation link is not valid or has expired.',
+    
+    'admin.header': '🚨 Weather notification run needs attention:',
+    'admin.run': 'Run {runId} ({mode})',
+    'admin.failed': 'Failed in the {stage} stage: {error}',
+    'admin.subscriber': 'Subscriber {subscriber}: {stage} failed, {error}',
+    
+    'outlook.header': '📆 Outlook:',
+    'outlook.today': 'Today',
+    'outlook.day': '{day} {emoji} {temp}°C, ☔ {pop}% ({rain}mm)',
+    'outlook.bestDay': '🧺 Best laundry day this week: {day} (drying score {score}/100)',
+    'outlook.noGoodDay': '🏠 No good laundry day in the coming days',
+    'outlook.columnDay': 'Day',
+    'outlook.columnWeather': 'Weather',
+    'outlook.columnTemp': 'Temp',
+    'outlook.columnRain': 'Rain',
+    
+    'alert.location': '📍 {city}',
+    'alert.thunderstorm': '⛈️ Thunderstorms {time} ({peak}% chance)',
+    'alert.heavyRain': '🌧️ Heavy rain {time}, up to {peak}mm in 3 hours',
+    'alert.extremeHeat': '🔥 Extreme heat {time}, up to {peak}°C',
+    'alert.tomorrow': 'tomorrow',
+    
+    'digest.title': '📊 Forecast Accuracy',
+    'digest.period': '{start} - {end} ({days} days)',
+    'digest.overall': '🌍 All locations',
+    'digest.location': '📍 {name}',
+    'digest.graded': '📅 {graded} day(s) graded, {ungraded} without enough observations',
+    'digest.rainPredicted': '🌧️ Rain forecast on {predicted} day(s), it rained on {hits} ({percent}%)',
+    'digest.rainObserved': '☔ It rained on {observed} day(s), {hits} of them were forecast ({percent}%)',
+    'digest.rainNone': '☀️ No rain forecast or observed',
+    'digest.temperature': '🌡️ Temperature off by {error}°C on average, bias {bias}°C ({samples} readings)',
+    'digest.laundry': '🧺 Laundry advice wrong on {wrong} of {graded} day(s) ({percent}%)',
+    'digest.noData': 'ℹ️ Not enough archived forecasts and observations to grade yet',
+    
+    'owm.thunderstormLightRain': 'thunderstorm with light rain',
+    'owm.thunderstormRain': 'thunderstorm with rain',
+    'owm.thunderstormHeavyRain': 'thunderstorm with heavy rain',
+    'owm.lightThunderstorm': 'light thunderstorm',
+    'owm.thunderstorm': 'thunderstorm',
+    'owm.heavyThunderstorm': 'heavy thunderstorm',
+    'owm.lightDrizzle': 'light intensity drizzle',
+    'owm.drizzle': 'drizzle',
+    'owm.heavyDrizzle': 'heavy intensity drizzle',
+    'owm.lightRain': 'light rain',
+    'owm.moderateRain': 'moderate rain',
+    'owm.heavyRain': 'heavy intensity rain',
+    'owm.veryHeavyRain': 'very heavy rain',
+    'owm.extremeRain': 'extreme rain',
+    'owm.freezingRain': 'freezing rain',
+    'owm.lightShowerRain': 'light intensity shower rain',
+    'owm.showerRain': 'shower rain',
+    'owm.heavyShowerRain': 'heavy intensity shower rain',
+    'owm.rain': 'rain',
+    'owm.lightSnow': 'light snow',
+    'owm.snow': 'snow',
+    'owm.heavySnow': 'heavy snow',
+    'owm.sleet': 'sleet',
+    'owm.mist': 'mist',
+    'owm.smoke': 'smoke',
+    'owm.haze': 'haze',
+    'owm.dust': 'dust',
+    'owm.fog': 'fog',
+    'owm.squalls': 'squalls',
+    'owm.tornado': 'tornado',
+    'owm.clear': 'clear sky',
+    'owm.fewClouds': 'few clouds',
+    'owm.scatteredClouds': 'scattered clouds',
+    'owm.brokenClouds': 'broken clouds',
+    'owm.overcast': 'overcast clouds',
+    
+    'wmo.clear': 'clear sky',
+    'wmo.mainlyClear': 'mainly clear',
+    'wmo.partlyCloudy': 'partly cloudy',
+    'wmo.overcast': 'overcast clouds',
+    'wmo.fog': 'fog',
+    'wmo.drizzle': 'drizzle',
+    'wmo.rain': 'rain',
+    'wmo.heavyRain': 'heavy rain',
+    'wmo.showers': 'rain showers',
+    'wmo.snow': 'snow',
+    'wmo.thunderstorm': 'thunderstorm',
+    
+    'html.title': '🌤️ Daily Weather Report',
+    'html.alertTitle': '⚠️ Weather Alert',
+    'html.digestTitle': '📊 Forecast Accuracy',
+    'html.errorTitle': '⚠️ Weather Service Error',
+    'html.generatedAt': 'Generated at {time}',
+    'html.time': 'Time: {time}',
+    'html.timeline': 'Next 24 hours',
+    'html.temperature': 'Temperature',
+    'html.rainChance': 'Chance of rain',
+    'html.recommendations': 'Recommendations',
+    'html.dryingScore': 'Drying score',
+    'html.chartAlt': 'Forecast chart: {min}-{max}°C, chance of rain up to {pop}%',
+    'html.adminTitle': '🚨 Weather Notification Failed',
+    'html.unsubscribe': 'Unsubscribe',
+    'html.unsubscribeTitle': '👋 Unsubscribed',
+    'html.unsubscribeConfirmTitle': '📭 Unsubscribe',
+    'html.confirm': 'Confirm subscription',
+    'html.confirmTitle': '✉️ Confirm Your Subscription',
+    'html.confirmedTitle': '🎉 Subscribed',
+    'html.poweredBy': 'Powered by OpenWeatherMap & AWS'
+};
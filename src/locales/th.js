@@ -0,0 +1,192 @@
+// Thai message catalog
+module.exports = {
+    'subject.daily': '🌤️ รายงานสภาพอากาศประจำวัน - {date}',
+    'subject.alert': '⚠️ แจ้งเตือนสภาพอากาศ - {date}',
+    'subject.error': '⚠️ บริการสภาพอากาศขัดข้อง - {date}',
+    'subject.digest': '📊 ความแม่นยำของพยากรณ์ - {start} ถึง {end}',
+    'subject.admin': '🚨 การส่งรายงานสภาพอากาศล้มเหลว ({mode}) - {date}',
+    'subject.weekly': '🗓️ รายงานสภาพอากาศประจำสัปดาห์ - {date}',
+    'subject.confirm': '✉️ ยืนยันการสมัครรับรายงานสภาพอากาศ',
+    
+    'error.noData': 'ไม่สามารถดึงข้อมูลสภาพอากาศได้ครับ',
+    'error.noDataToday': 'ไม่มีข้อมูลสภาพอากาศสำหรับวันนี้ครับ',
+    'error.noTemperature': 'ไม่สามารถดึงข้อมูลอุณหภูมิได้ครับ',
+    'error.notification': 'เกิดข้อผิดพลาดในการดึงข้อมูลสภาพอากาศครับ: {message}',
+    
+    'report.title': '🌤️ สภาพอากาศวันนี้',
+    'report.location': '📍 {city} ({lat}, {lon})',
+    'report.temperature': '🌡️ อุณหภูมิ: {min}°C - {max}°C',
+    'report.condition': '☁️ สภาพอากาศ: {description}',
+    'report.unknownCondition': 'ไม่ทราบ',
+    'report.unknownLocation': 'ไม่ทราบตำแหน่ง',
+    
+    'laundry.rain': '🌧️ วันนี้ฝนตก ไม่ควรซักผ้าแขวนข้างนอกนะครับ',
+    'laundry.rainAdvice': '🏠 แนะนำซักผ้าแล้วไปตากข้างใน หรือใช้เครื่องอบผ้า',
+    'laundry.cloudy': '⚠️ วันนี้มีเมฆ อาจจะแห้งช้าหน่อย',
+    'laundry.cloudyAdvice': '👕 ซักผ้าได้ แต่ควรตากในที่ที่มีลมผ่าน',
+    'laundry.good': '✅ วันนี้อากาศดี ซักผ้าได้เลยครับ!',
+    'laundry.goodAdvice': '☀️ แดดดี ผ้าจะแห้งเร็ว',
+    'laundry.rainLater': '🌦️ วันนี้มีฝนบางช่วง ตากผ้าได้แต่ต้องเก็บก่อนฝนตกนะครับ',
+    'laundry.score': '🧺 คะแนนการตากผ้า: {score}/100',
+    'laundry.window': '🕘 ช่วงตากผ้าที่ดีที่สุด: {start} - {end}',
+    'laundry.bringInBeforeRain': '⏰ เก็บผ้าก่อน {time} เพราะฝนจะตก',
+    'laundry.noWindow': '🏠 วันนี้ไม่มีช่วงที่เหมาะกับการตากผ้าข้างนอก',
+    'laundry.dust': '😷 วันนี้ฝุ่น PM2.5 สูง ถ้าเป็นไปได้ควรตากผ้าในบ้านนะครับ',
+    
+    'rain.header': '🌧️ การพยากรณ์ฝน:',
+    'rain.today': '📅 วันนี้:',
+    'rain.tomorrow': '📅 พรุ่งนี้:',
+    'rain.slot': '{emoji} {time} - โอกาส {probability}%',
+    'rain.volume': ' ({volume}mm)',
+    
+    'umbrella.rain': '☔ อย่าลืมเอาร่มไปด้วยนะครับ',
+    'umbrella.nextRain': '⏰ ฝนจะตกประมาณ {nextRainTime}',
+    'umbrella.hot': '🌂 ร้อนมาก ควรเอาร่มไปกันแดดด้วย',
+    'umbrella.none': '👍 ไม่ต้องเอาร่มก็ได้ อากาศโอเค',
+    
+    'outdoor.uv': '🧴 ดัชนี UV สูงถึง {maxUv} ทาครีมกันแดดและหลีกเลี่ยงแดดช่วงเที่ยง',
+    'outdoor.pm25': '😷 PM2.5 สูงถึง {maxPm25} µg/m³ ควรใส่หน้ากากเมื่อออกข้างนอก',
+    'outdoor.pm25High': '😷 PM2.5 สูงถึง {maxPm25} µg/m³ ควรใส่หน้ากาก N95 และอยู่ข้างนอกให้น้อยที่สุด',
+    
+    'air.header': '🍃 คุณภาพอากาศและรังสี UV:',
+    'air.pm25': '🌫️ PM2.5 สูงสุด {value} µg/m³ ({category}) ช่วงที่แย่ที่สุด {start} - {end}',
+    'air.veryGood': 'ดีมาก',
+    'air.good': 'ดี',
+    'air.moderate': 'ปานกลาง',
+    'air.unhealthy': 'เริ่มมีผลกระทบต่อสุขภาพ',
+    'air.veryUnhealthy': 'มีผลกระทบต่อสุขภาพ',
+    'uv.index': '☀️ ดัชนี UV สูงสุด {value} ({category}) ช่วงที่แรงที่สุด {start} - {end}',
+    'uv.low': 'ต่ำ',
+    'uv.moderate': 'ปานกลาง',
+    'uv.high': 'สูง',
+    'uv.veryHigh': 'สูงมาก',
+    'uv.extreme': 'อันตราย',
+    
+    'trend.header': '📈 เทียบกับเมื่อวาน:',
+    'trend.warmer': '🌡️ ร้อนกว่าเมื่อวาน {delta}°C สูงสุด {max}°C',
+    'trend.cooler': '🌡️ เย็นกว่าเมื่อวาน {delta}°C สูงสุด {max}°C',
+    'trend.sameTemp': '🌡️ อุณหภูมิใกล้เคียงกับเมื่อวาน สูงสุด {max}°C',
+    'trend.rainStreak': '🌧️ ฝนตกติดต่อกัน {days} วันแล้ว',
+    'trend.dryStreak': '☀️ ไม่มีฝนติดต่อกัน {days} วันแล้ว',
+    'trend.dryAfterRain': '🧺 วันแรกที่ไม่มีฝนหลังจากฝนตกมา {days} วัน เหมาะกับการซักผ้า',
+    'trend.rainAfterDry': '☔ ฝนกลับมาตกหลังจากไม่มีฝนมา {days} วัน',
+    'trend.muchWarmer': '🥵 อากาศร้อนขึ้นมาก ดื่มน้ำเยอะๆ นะครับ',
+    'trend.muchCooler': '🧥 อากาศเย็นลงมากจากเมื่อวาน พกเสื้อกันหนาวไปด้วยนะครับ',
+    
+    'delivery.header': '🗓️ ช่วงต้นสัปดาห์:',
+    'delivery.day': '{day} {city}: {emoji} {min}-{max}°C{rain}',
+    'delivery.rain': ' ☔ มีฝน',
+    
+    'unsubscribe.confirm': 'ต้องการหยุดรับรายงานสภาพอากาศใช่ไหมครับ',
+    'unsubscribe.done': 'คุณจะไม่ได้รับรายงานสภาพอากาศอีกต่อไปครับ',
+    'unsubscribe.invalid': 'ลิงก์ยกเลิกการรับรายงานนี้ไม่ถูกต้องครับ',
+    'unsubscribe.footer': 'ยกเลิกการรับรายงาน: {url}',
+    
+    'confirm.request': 'มีผู้ขอให้ส่งรายงานสภาพอากาศประจำวันมาที่อีเมลนี้ หากเป็นคุณ กรุณายืนยันการสมัครภายใน {days} วัน หากไม่ใช่ ไม่ต้องทำอะไร จะไม่มีอีเมลส่งมาอีกครับ',
+    'confirm.link': 'ยืนยัน: {url}',
+    'confirm.prompt': 'ต้องการเริ่มรับรายงานสภาพอากาศประจำวันที่อีเมลนี้ใช่ไหมครับ',
+    'confirm.done': 'ยืนยันการสมัครเรียบร้อยแล้วครับ หากต้องการเปลี่ยนตำแหน่งภายหลัง ใช้โทเค็นนี้: {token}',
+    'confirm.invalid': 'ลิงก์ยืนยันนี้ไม่ถูกต้องหรือหมดอายุแล้วครับ',
+    
+    'admin.header': '🚨 การส่งรายงานสภาพอากาศมีปัญหา:',
+    'admin.run': 'รอบการทำงาน {runId} ({mode})',
+    'admin.failed': 'ล้มเหลวในขั้นตอน {stage}: {error}',
+    'admin.subscriber': 'ผู้รับ {subscriber}: ขั้นตอน {stage} ล้มเหลว {error}',
+    
+    'outlook.header': '📆 พยากรณ์ล่วงหน้า:',
+    'outlook.today': 'วันนี้',
+    'outlook.day': '{day} {emoji} {temp}°C, ☔ {pop}% ({rain}mm)',
+    'outlook.bestDay': '🧺 วันที่เหมาะกับการซักผ้าที่สุดในสัปดาห์นี้: {day} (คะแนน {score}/100)',
+    'outlook.noGoodDay': '🏠 ช่วงนี้ไม่มีวันที่เหมาะกับการตากผ้าข้างนอก',
+    'outlook.columnDay': 'วัน',
+    'outlook.columnWeather': 'สภาพอากาศ',
+    'outlook.columnTemp': 'อุณหภูมิ',
+    'outlook.columnRain': 'ฝน',
+    
+    'alert.location': '📍 {city}',
+    'alert.thunderstorm': '⛈️ พายุฝนฟ้าคะนอง {time} (โอกาส {peak}%)',
+    'alert.heavyRain': '🌧️ ฝนตกหนัก {time} สูงสุด {peak}mm ใน 3 ชั่วโมง',
+    'alert.extremeHeat': '🔥 อากาศร้อนจัด {time} สูงสุด {peak}°C',
+    'alert.tomorrow': 'พรุ่งนี้',
+    
+    'digest.title': '📊 ความแม่นยำของพยากรณ์',
+    'digest.period': '{start} - {end} ({days} วัน)',
+    'digest.overall': '🌍 ทุกพื้นที่',
+    'digest.location': '📍 {name}',
+    'digest.graded': '📅 ประเมินได้ {graded} วัน ข้อมูลไม่พอ {ungraded} วัน',
+    'digest.rainPredicted': '🌧️ พยากรณ์ว่าฝนตก {predicted} วัน ฝนตกจริง {hits} วัน ({percent}%)',
+    'digest.rainObserved': '☔ ฝนตกจริง {observed} วัน พยากรณ์ไว้ถูก {hits} วัน ({percent}%)',
+    'digest.rainNone': '☀️ ไม่มีฝนทั้งในพยากรณ์และที่ตกจริง',
+    'digest.temperature': '🌡️ อุณหภูมิคลาดเคลื่อนเฉลี่ย {error}°C ค่าเอนเอียง {bias}°C ({samples} ครั้ง)',
+    'digest.laundry': '🧺 คำแนะนำการตากผ้าผิด {wrong} จาก {graded} วัน ({percent}%)',
+    'digest.noData': 'ℹ️ ยังมีข้อมูลพยากรณ์และสภาพอากาศจริงไม่พอสำหรับการประเมิน',
+    
+    'owm.thunderstormLightRain': 'พายุฝนฟ้าคะนอง ฝนตกเล็กน้อย',
+    'owm.thunderstormRain': 'พายุฝนฟ้าคะนอง มีฝนตก',
+    'owm.thunderstormHeavyRain': 'พายุฝนฟ้าคะนอง ฝนตกหนัก',
+    'owm.lightThunderstorm': 'ฟ้าคะนองเล็กน้อย',
+    'owm.thunderstorm': 'พายุฝนฟ้าคะนอง',
+    'owm.heavyThunderstorm': 'พายุฝนฟ้าคะนองรุนแรง',
+    'owm.lightDrizzle': 'ฝนปรอยเล็กน้อย',
+    'owm.drizzle': 'ฝนปรอย',
+    'owm.heavyDrizzle': 'ฝนปรอยหนัก',
+    'owm.lightRain': 'ฝนตกเล็กน้อย',
+    'owm.moderateRain': 'ฝนตกปานกลาง',
+    'owm.heavyRain': 'ฝนตกหนัก',
+    'owm.veryHeavyRain': 'ฝนตกหนักมาก',
+    'owm.extremeRain': 'ฝนตกหนักรุนแรง',
+    'owm.freezingRain': 'ฝนเยือกแข็ง',
+    'owm.lightShowerRain': 'ฝนซู่เล็กน้อย',
+    'owm.showerRain': 'ฝนซู่',
+    'owm.heavyShowerRain': 'ฝนซู่หนัก',
+    'owm.rain': 'ฝนตก',
+    'owm.lightSnow': 'หิมะตกเล็กน้อย',
+    'owm.snow': 'หิมะตก',
+    'owm.heavySnow': 'หิมะตกหนัก',
+    'owm.sleet': 'ลูกเห็บปนหิมะ',
+    'owm.mist': 'หมอกบาง',
+    'owm.smoke': 'ควัน',
+    'owm.haze': 'หมอกควัน',
+    'owm.dust': 'ฝุ่น',
+    'owm.fog': 'หมอก',
+    'owm.squalls': 'ลมกระโชกแรง',
+    'owm.tornado': 'พายุทอร์นาโด',
+    'owm.clear': 'ท้องฟ้าแจ่มใส',
+    'owm.fewClouds': 'มีเมฆเล็กน้อย',
+    'owm.scatteredClouds': 'มีเมฆกระจาย',
+    'owm.brokenClouds': 'มีเมฆมาก',
+    'owm.overcast': 'เมฆครึ้ม',
+    
+    'wmo.clear': 'ท้องฟ้าแจ่มใส',
+    'wmo.mainlyClear': 'ท้องฟ้าโปร่งเป็นส่วนใหญ่',
+    'wmo.partlyCloudy': 'มีเมฆบางส่วน',
+    'wmo.overcast': 'เมฆครึ้ม',
+    'wmo.fog': 'หมอก',
+    'wmo.drizzle': 'ฝนปรอย',
+    'wmo.rain': 'ฝนตก',
+    'wmo.heavyRain': 'ฝนตกหนัก',
+    'wmo.showers': 'ฝนซู่',
+    'wmo.snow': 'หิมะตก',
+    'wmo.thunderstorm': 'พายุฝนฟ้าคะนอง',
+    
+    'html.title': '🌤️ รายงานสภาพอากาศประจำวัน',
+    'html.alertTitle': '⚠️ แจ้งเตือนสภาพอากาศ',
+    'html.digestTitle': '📊 ความแม่นยำของพยากรณ์',
+    'html.errorTitle': '⚠️ บริการสภาพอากาศขัดข้อง',
+    'html.generatedAt': 'สร้างเมื่อ {time}',
+    'html.time': 'เวลา: {time}',
+    'html.timeline': '24 ชั่วโมงข้างหน้า',
+    'html.temperature': 'อุณหภูมิ',
+    'html.rainChance': 'โอกาสฝน',
+    'html.recommendations': 'คำแนะนำ',
+    'html.dryingScore': 'คะแนนการตากผ้า',
+    'html.chartAlt': 'กราฟพยากรณ์: {min}-{max}°C โอกาสฝนสูงสุด {pop}%',
+    'html.adminTitle': '🚨 การส่งรายงานสภาพอากาศล้มเหลว',
+    'html.unsubscribe': 'ยกเลิกการรับรายงาน',
+    'html.unsubscribeTitle': '👋 ยกเลิกการรับรายงานแล้ว',
+    'html.unsubscribeConfirmTitle': '📭 ยกเลิกการรับรายงาน',
+    'html.confirm': 'ยืนยันการสมัคร',
+    'html.confirmTitle': '✉️ ยืนยันการสมัครรับรายงาน',
+    'html.confirmedTitle': '🎉 สมัครเรียบร้อยแล้ว',
+    'html.poweredBy': 'ให้บริการโดย OpenWeatherMap และ AWS'
+};
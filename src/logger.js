@@ -0,0 +1,61 @@
+// Logging configuration
+const CONFIG = {
+    // JSON lines for CloudWatch Logs Insights, or LOG_FORMAT=text to read
+    // the logs locally
+    FORMAT: process.env.LOG_FORMAT === 'text' ? 'text' : 'json',
+    // Lowest level written: debug, info, warn or error
+    LEVEL: process.env.LOG_LEVEL || 'info'
+};
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Console method each level is written with
+const WRITERS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+// Field values as they go into the log: errors by their message
+function toLogValue(value) {
+    return value instanceof Error ? value.message : value;
+}
+
+// Write one log entry at a level, with the logger's fields and the
+// entry's own
+function write(level, message, fields) {
+    if (LEVELS[level] < (LEVELS[CONFIG.LEVEL] || LEVELS.info)) {
+        return;
+    }
+    
+    const values = {};
+    Object.keys(fields).forEach(key => {
+        if (fields[key] !== undefined) {
+            values[key] = toLogValue(fields[key]);
+        }
+    });
+    
+    const line = CONFIG.FORMAT === 'text'
+        ? `${level.toUpperCase()} ${message}${Object.keys(values).length > 0 ? ` ${JSON.stringify(values)}` : ''}`
+        : JSON.stringify(Object.assign({ timestamp: new Date().toISOString(), level: level, message: message }, values));
+    console[WRITERS[level]](line);
+}
+
+// Create a logger that adds `fields`, e.g. the run ID, to every entry.
+// Each method takes a message and optional fields of its own.
+function createLogger(fields = {}) {
+    const log = (level) => (message, extra = {}) => write(level, message, Object.assign({}, fields, extra));
+    
+    return {
+        fields: fields,
+        debug: log('debug'),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+        // Logger adding more fields to these ones
+        child(extra) {
+            return createLogger(Object.assign({}, fields, extra));
+        }
+    };
+}
+
+module.exports = {
+    CONFIG,
+    createLogger
+};
@@ -0,0 +1,77 @@
+// Metrics configuration
+const CONFIG = {
+    // Set METRICS to false to stop writing metrics to the log
+    ENABLED: process.env.METRICS !== 'false',
+    NAMESPACE: process.env.METRICS_NAMESPACE || 'WeatherNotification',
+    // Values of one metric that fit in a single EMF document
+    MAX_VALUES: 100
+};
+
+// Collect metric values for one run. `dimensions` apply to all of them,
+// e.g. { Mode: 'daily' }.
+function createMetrics(dimensions = {}) {
+    const metrics = new Map();
+    
+    return {
+        dimensions: dimensions,
+        // Add a value to a metric; CloudWatch aggregates repeated values
+        put(name, value, unit = 'Count') {
+            if (typeof value !== 'number' || isNaN(value)) {
+                return;
+            }
+            if (!metrics.has(name)) {
+                metrics.set(name, { unit: unit, values: [] });
+            }
+            metrics.get(name).values.push(value);
+        },
+        // Sum of a metric's values, 0 when it has none
+        sum(name) {
+            return metrics.has(name) ? metrics.get(name).values.reduce((total, value) => total + value, 0) : 0;
+        },
+        entries() {
+            return Array.from(metrics.entries());
+        }
+    };
+}
+
+// Format collected metrics as CloudWatch Embedded Metric Format documents,
+// which CloudWatch turns into metrics when they are written to the log.
+// Metrics with more values than fit in one document are split across
+// several. `properties` are added for searching the logs, e.g. the run ID.
+function formatEmf(metrics, timestamp, properties = {}) {
+    const entries = metrics.entries();
+    const dimensionNames = Object.keys(metrics.dimensions);
+    const documents = [];
+    
+    for (let offset = 0; entries.some(([, metric]) => metric.values.length > offset); offset += CONFIG.MAX_VALUES) {
+        const document = Object.assign({}, properties, metrics.dimensions);
+        const definitions = [];
+        
+        entries.forEach(([name, metric]) => {
+            const values = metric.values.slice(offset, offset + CONFIG.MAX_VALUES);
+            if (values.length === 0) {
+                return;
+            }
+            definitions.push({ Name: name, Unit: metric.unit });
+            document[name] = values.length === 1 ? values[0] : values;
+        });
+        
+        document._aws = {
+            Timestamp: timestamp.getTime(),
+            CloudWatchMetrics: [{
+                Namespace: CONFIG.NAMESPACE,
+                Dimensions: [dimensionNames],
+                Metrics: definitions
+            }]
+        };
+        documents.push(document);
+    }
+    
+    return documents;
+}
+
+module.exports = {
+    CONFIG,
+    createMetrics,
+    formatEmf
+};
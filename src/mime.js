@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+// Longest line of a base64 body, as required by RFC 2045
+const LINE_LENGTH = 76;
+
+// Bytes of UTF-8 text per encoded word, keeping each word within the
+// 75 characters allowed by RFC 2047
+const WORD_BYTES = 45;
+
+// Encode a header value, using UTF-8 encoded words when it is not plain ASCII
+function encodeHeader(value) {
+    if (/^[\x20-\x7e]*$/.test(value)) {
+        return value;
+    }
+    
+    // Split between characters so no character spans two encoded words
+    const words = [''];
+    Array.from(value).forEach(char => {
+        if (Buffer.byteLength(words[words.length - 1] + char) > WORD_BYTES) {
+            words.push('');
+        }
+        words[words.length - 1] += char;
+    });
+    
+    return words.map(word => `=?UTF-8?B?${Buffer.from(word).toString('base64')}?=`).join('\r\n ');
+}
+
+// Base64 encode a body, wrapped to the maximum line length
+function encodeBody(content) {
+    const encoded = Buffer.from(content).toString('base64');
+    return encoded.match(new RegExp(`.{1,${LINE_LENGTH}}`, 'g')).join('\r\n');
+}
+
+// A unique multipart boundary
+function createBoundary(name) {
+    return `----=_${name}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Headers and body of a base64 encoded part
+function encodePart(headers, content) {
+    return headers.concat(['Content-Transfer-Encoding: base64', '', encodeBody(content)]);
+}
+
+// Build a raw MIME message with a text part for clients without HTML and
+// an HTML part with inline images referenced as cid:<image.cid>:
+//
+//   multipart/alternative
+//   ├── text/plain
+//   └── multipart/related
+//       ├── text/html
+//       └── image/png, ...
+//
+// `headers` adds header fields, such as List-Unsubscribe, by name.
+function buildRawEmail({ from, to, subject, text, html, images = [], headers = {} }) {
+    const alternative = createBoundary('alt');
+    const related = createBoundary('rel');
+    
+    const imageParts = images.flatMap(image => [`--${related}`].concat(encodePart([
+        `Content-Type: ${image.contentType}; name="${image.filename}"`,
+        `Content-ID: <${image.cid}>`,
+        `Content-Disposition: inline; filename="${image.filename}"`
+    ], image.content)));
+    
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        ...Object.keys(headers).map(name => `${name}: ${headers[name]}`),
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${alternative}"`,
+        '',
+        `--${alternative}`,
+        ...encodePart(['Content-Type: text/plain; charset=UTF-8'], text),
+        `--${alternative}`,
+        `Content-Type: multipart/related; type="text/html"; boundary="${related}"`,
+        '',
+        `--${related}`,
+        ...encodePart(['Content-Type: text/html; charset=UTF-8'], html),
+        ...imageParts,
+        `--${related}--`,
+        `--${alternative}--`,
+        ''
+    ].join('\r\n');
+}
+
+module.exports = {
+    encodeHeader,
+    buildRawEmail
+};
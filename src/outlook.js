@@ -0,0 +1,167 @@
+const { t, getLanguage } = require('./i18n');
+const { getLocalDateString, getTodayDateString, formatDayLabel } = require('./time');
+const { CONDITIONS, describeWeather } = require('./forecast');
+const { analyzeDrying, CONFIG: DRYING_CONFIG } = require('./laundry');
+
+// Outlook configuration
+const CONFIG = {
+    // The full 5 day / 3 hour forecast
+    SLOT_COUNT: 40,
+    // Days after today covering fewer hours than this are left out
+    MIN_DAY_HOURS: 12
+};
+
+// Emoji shown for each normalized condition
+const CONDITION_EMOJI = {
+    clear: '☀️',
+    clouds: '☁️',
+    fog: '🌫️',
+    drizzle: '🌦️',
+    rain: '🌧️',
+    snow: '🌨️',
+    thunderstorm: '⛈️'
+};
+
+// The condition covering the most hours of a day. Ties go to the more
+// severe condition, which is the later one in CONDITIONS.
+function getDominantCondition(daySlots) {
+    const hours = {};
+    daySlots.forEach(slot => {
+        hours[slot.condition] = (hours[slot.condition] || 0) + slot.hours;
+    });
+    
+    return Object.keys(hours).sort((a, b) => (
+        hours[b] - hours[a] || CONDITIONS.indexOf(b) - CONDITIONS.indexOf(a)
+    ))[0];
+}
+
+// Aggregate one day's slots into an outlook row
+function summarizeDay(date, daySlots, zone) {
+    const temps = daySlots.map(slot => slot.temp).filter(temp => typeof temp === 'number');
+    const condition = getDominantCondition(daySlots);
+    const representative = daySlots.find(slot => slot.condition === condition);
+    const drying = analyzeDrying(daySlots, zone);
+    
+    return {
+        date: date,
+        hours: daySlots.reduce((total, slot) => total + slot.hours, 0),
+        minTemp: temps.length > 0 ? Math.min(...temps) : undefined,
+        maxTemp: temps.length > 0 ? Math.max(...temps) : undefined,
+        condition: condition,
+        description: representative.description,
+        descriptionKey: representative.descriptionKey,
+        totalRain: daySlots.reduce((total, slot) => total + (slot.precipitation || 0), 0),
+        maxPop: Math.round(Math.max(...daySlots.map(slot => slot.pop || 0)) * 100),
+        // Only days with daylight left can be used for drying laundry
+        dryingScore: drying.hasDaytime ? drying.score : undefined
+    };
+}
+
+// Build the day-by-day outlook from today onwards in the location's zone,
+// with the best day for laundry: the highest drying score, earliest first,
+// as long as it reaches the score of a good drying slot
+function buildOutlook(forecast, zone, now = new Date()) {
+    const todayStr = getTodayDateString(zone, now);
+    const byDate = new Map();
+    
+    forecast.slots.forEach(slot => {
+        const date = getLocalDateString(new Date(slot.dt * 1000), zone);
+        if (date < todayStr) {
+            return;
+        }
+        if (!byDate.has(date)) {
+            byDate.set(date, []);
+        }
+        byDate.get(date).push(slot);
+    });
+    
+    const days = Array.from(byDate.entries())
+        .sort(([a], [b]) => (a < b ? -1 : 1))
+        .map(([date, daySlots]) => summarizeDay(date, daySlots, zone))
+        // The last forecast day is usually cut short
+        .filter(day => day.date === todayStr || day.hours >= CONFIG.MIN_DAY_HOURS);
+    
+    const bestLaundryDay = days
+        .filter(day => day.dryingScore !== undefined && day.dryingScore >= DRYING_CONFIG.GOOD_SLOT_SCORE)
+        .reduce((best, day) => (!best || day.dryingScore > best.dryingScore ? day : best), null);
+    
+    return { today: todayStr, days: days, bestLaundryDay: bestLaundryDay };
+}
+
+// Label of an outlook day: "Today" or a short weekday and date
+function getDayLabel(day, outlook, language) {
+    return day.date === outlook.today
+        ? t(language, 'outlook.today')
+        : formatDayLabel(day.date, getLanguage(language).locale);
+}
+
+// Temperature range of an outlook day, e.g. "24-32"
+function formatTempRange(day) {
+    return day.minTemp === undefined ? '-' : `${Math.round(day.minTemp)}-${Math.round(day.maxTemp)}`;
+}
+
+// Describe the best laundry day
+function describeBestLaundryDay(outlook, language) {
+    if (!outlook.bestLaundryDay) {
+        return t(language, 'outlook.noGoodDay');
+    }
+    return t(language, 'outlook.bestDay', {
+        day: getDayLabel(outlook.bestLaundryDay, outlook, language),
+        score: outlook.bestLaundryDay.dryingScore
+    });
+}
+
+// Describe the outlook for display: a labelled row per day and the best
+// laundry day. Returns null when there are no days to show.
+function describeOutlook(outlook, language) {
+    if (outlook.days.length === 0) {
+        return null;
+    }
+    
+    return {
+        header: t(language, 'outlook.header'),
+        days: outlook.days.map(day => {
+            const row = {
+                label: getDayLabel(day, outlook, language),
+                emoji: CONDITION_EMOJI[day.condition] || '',
+                description: describeWeather(day, language),
+                temp: formatTempRange(day),
+                pop: day.maxPop,
+                rain: day.totalRain.toFixed(1),
+                best: Boolean(outlook.bestLaundryDay && day.date === outlook.bestLaundryDay.date)
+            };
+            row.line = t(language, 'outlook.day', {
+                day: row.label,
+                emoji: row.emoji,
+                temp: row.temp,
+                pop: row.pop,
+                rain: row.rain
+            });
+            return row;
+        }),
+        bestDay: describeBestLaundryDay(outlook, language)
+    };
+}
+
+// Format a described outlook as text lines, one per day
+function formatOutlook(described) {
+    if (!described) {
+        return '';
+    }
+    
+    let message = `\n${described.header}\n`;
+    described.days.forEach(day => {
+        message += `   ${day.line}\n`;
+    });
+    message += `${described.bestDay}\n`;
+    
+    return message;
+}
+
+module.exports = {
+    CONFIG,
+    CONDITION_EMOJI,
+    buildOutlook,
+    describeOutlook,
+    formatOutlook
+};
@@ -0,0 +1,115 @@
+const openWeatherMap = require('./openweathermap');
+const openMeteo = require('./open-meteo');
+const { validateForecast, validateObservation, validateAirQuality } = require('../forecast');
+const { getLogger } = require('../run');
+const { getCacheKey, cached } = require('../cache');
+
+// Available weather providers by name
+const PROVIDERS = {
+    [openWeatherMap.name]: openWeatherMap,
+    [openMeteo.name]: openMeteo
+};
+
+const DEFAULT_PROVIDER_CHAIN = ['openweathermap', 'open-meteo'];
+
+// Provider names to try in order, from WEATHER_PROVIDERS (comma separated)
+function getProviderChain() {
+    const names = process.env.WEATHER_PROVIDERS
+        ? process.env.WEATHER_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+        : DEFAULT_PROVIDER_CHAIN;
+    
+    const unknown = names.filter(name => !PROVIDERS[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown weather provider(s): ${unknown.join(', ')}. Supported: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    
+    return names;
+}
+
+// Fetch a normalized forecast, falling back to the next provider in the
+// chain when one fails after its request retries. With options.airQuality
+// the forecast also gets the hourly air quality and UV index as `air`, and
+// options.now, the run's clock, decides which slots have already passed.
+// Each provider's forecast is cached by rounded coordinates for
+// FORECAST_CACHE_TTL seconds.
+async function fetchForecast(location, options = {}) {
+    const errors = [];
+    
+    for (const name of getProviderChain()) {
+        let forecast;
+        try {
+            forecast = await cached(getCacheKey('forecast', name, location, options), async () => (
+                validateForecast(await PROVIDERS[name].fetchForecast(location, options))
+            ));
+        } catch (error) {
+            getLogger().warn('Weather provider failed', { provider: name, error: error });
+            errors.push(`${name}: ${error.message}`);
+            continue;
+        }
+        
+        if (options.airQuality) {
+            forecast.air = await fetchAirQuality(location, options);
+        }
+        return forecast;
+    }
+    
+    throw new Error(`All weather providers failed (${errors.join('; ')})`);
+}
+
+// Fetch hourly air quality and UV index, falling back through the chain
+// and cached like the forecast. They only add to the report, so this
+// returns null rather than failing when no provider has them.
+async function fetchAirQuality(location, options = {}) {
+    for (const name of getProviderChain()) {
+        try {
+            return await cached(getCacheKey('air', name, location), async () => (
+                validateAirQuality(await PROVIDERS[name].fetchAirQuality(location, options))
+            ));
+        } catch (error) {
+            getLogger().warn('Air quality provider failed', { provider: name, error: error });
+        }
+    }
+    
+    return null;
+}
+
+// Fetch the current conditions, falling back through the chain like fetchForecast
+async function fetchObservation(location, options = {}) {
+    const errors = [];
+    
+    for (const name of getProviderChain()) {
+        try {
+            return validateObservation(await PROVIDERS[name].fetchObservation(location, options));
+        } catch (error) {
+            getLogger().warn('Weather provider failed', { provider: name, error: error });
+            errors.push(`${name}: ${error.message}`);
+        }
+    }
+    
+    throw new Error(`All weather providers failed (${errors.join('; ')})`);
+}
+
+// Normalize a saved forecast: either a normalized forecast or a raw
+// response from one of the providers
+function parseForecast(data, options = {}) {
+    if (data && Array.isArray(data.slots)) {
+        return validateForecast(data);
+    }
+    if (data && Array.isArray(data.list)) {
+        return validateForecast(openWeatherMap.normalize(data));
+    }
+    if (data && data.hourly) {
+        // Keep every slot in the file; the report picks the days it needs
+        return validateForecast(openMeteo.normalize(data, Object.assign({}, options, { now: new Date(0), slotCount: Infinity })));
+    }
+    throw new Error('Unrecognized forecast format: expected a normalized forecast or an OpenWeatherMap or Open-Meteo response');
+}
+
+module.exports = {
+    PROVIDERS,
+    getProviderChain,
+    fetchForecast,
+    fetchObservation,
+    fetchAirQuality,
+    parseForecast
+};
@@ -0,0 +1,236 @@
+const { CONFIG: HTTP_CONFIG, makeRequest } = require('../http');
+const { t } = require('../i18n');
+
+const SLOT_HOURS = 3;
+
+// Map a WMO weather code to a normalized condition and description key
+function toCondition(code) {
+    if (code === 0) return { condition: 'clear', key: 'wmo.clear' };
+    if (code === 1) return { condition: 'clear', key: 'wmo.mainlyClear' };
+    if (code === 2) return { condition: 'clouds', key: 'wmo.partlyCloudy' };
+    if (code === 3) return { condition: 'clouds', key: 'wmo.overcast' };
+    if (code === 45 || code === 48) return { condition: 'fog', key: 'wmo.fog' };
+    if (code >= 51 && code <= 57) return { condition: 'drizzle', key: 'wmo.drizzle' };
+    if (code >= 61 && code <= 67) return { condition: 'rain', key: code >= 65 ? 'wmo.heavyRain' : 'wmo.rain' };
+    if (code >= 71 && code <= 77) return { condition: 'snow', key: 'wmo.snow' };
+    if (code >= 80 && code <= 82) return { condition: 'rain', key: 'wmo.showers' };
+    if (code === 85 || code === 86) return { condition: 'snow', key: 'wmo.snow' };
+    if (code >= 95) return { condition: 'thunderstorm', key: 'wmo.thunderstorm' };
+    return { condition: 'clouds', key: 'wmo.overcast' };
+}
+
+// Average of the defined numbers in a list
+function average(values) {
+    const numbers = values.filter(value => typeof value === 'number');
+    return numbers.length > 0 ? numbers.reduce((a, b) => a + b, 0) / numbers.length : undefined;
+}
+
+// Maximum of the defined numbers in a list
+function maximum(values) {
+    const numbers = values.filter(value => typeof value === 'number');
+    return numbers.length > 0 ? Math.max(...numbers) : undefined;
+}
+
+// Group hourly values into 3-hour slots aligned to UTC, matching the
+// granularity of OpenWeatherMap so the analysis treats both alike
+function toSlots(hourly, language) {
+    const groups = new Map();
+    
+    hourly.time.forEach((time, index) => {
+        const slotStart = Math.floor(time / (SLOT_HOURS * 3600)) * SLOT_HOURS * 3600;
+        if (!groups.has(slotStart)) {
+            groups.set(slotStart, []);
+        }
+        groups.get(slotStart).push(index);
+    });
+    
+    return Array.from(groups.entries()).map(([dt, indexes]) => {
+        const pick = (field) => indexes.map(index => hourly[field] ? hourly[field][index] : undefined);
+        // The highest WMO code in the slot is the most severe weather
+        const code = maximum(pick('weather_code'));
+        const { condition, key } = toCondition(code);
+        const pop = maximum(pick('precipitation_probability'));
+        
+        return {
+            dt: dt,
+            hours: SLOT_HOURS,
+            temp: average(pick('temperature_2m')),
+            humidity: average(pick('relative_humidity_2m')),
+            windSpeed: maximum(pick('wind_speed_10m')),
+            clouds: average(pick('cloud_cover')),
+            pop: typeof pop === 'number' ? pop / 100 : 0,
+            precipitation: pick('precipitation').reduce((total, value) => total + (value || 0), 0),
+            condition: condition,
+            conditionCode: code,
+            description: t(language, key),
+            descriptionKey: key
+        };
+    });
+}
+
+// Convert an Open-Meteo /v1/forecast response into the normalized model
+function normalize(data, options = {}) {
+    const nowSeconds = Math.floor((options.now || new Date()).getTime() / 1000);
+    const slotCount = options.slotCount || 8;
+    
+    // Drop slots that have already ended, then keep as many as requested
+    const slots = toSlots(data.hourly, options.language)
+        .filter(slot => slot.dt + slot.hours * 3600 > nowSeconds)
+        .slice(0, slotCount);
+    
+    return {
+        provider: 'open-meteo',
+        location: {
+            name: null,
+            timezone: data.timezone && data.timezone !== 'GMT' ? data.timezone : null,
+            timezoneOffset: typeof data.utc_offset_seconds === 'number' ? data.utc_offset_seconds : null
+        },
+        slots: slots
+    };
+}
+
+// Fetch the hourly forecast from Open-Meteo. No API key is needed.
+async function fetchForecast(location, options = {}) {
+    const slotCount = options.slotCount || 8;
+    // One extra day covers the slots already elapsed today
+    const forecastDays = Math.min(16, Math.ceil(slotCount * SLOT_HOURS / 24) + 1);
+    const hourly = [
+        'temperature_2m',
+        'relative_humidity_2m',
+        'precipitation_probability',
+        'precipitation',
+        'weather_code',
+        'cloud_cover',
+        'wind_speed_10m'
+    ].join(',');
+    
+    const requestOptions = {
+        hostname: 'api.open-meteo.com',
+        path: `/v1/forecast?latitude=${location.lat}&longitude=${location.lon}&hourly=${hourly}` +
+            `&wind_speed_unit=ms&timezone=auto&timeformat=unixtime&forecast_days=${forecastDays}`,
+        method: 'GET',
+        headers: {
+            'User-Agent': 'WeatherNotificationBot/1.0'
+        }
+    };
+    
+    const data = await makeRequest(requestOptions, null, HTTP_CONFIG.MAX_RETRIES, options.httpClient);
+    
+    if (data.error) {
+        throw new Error(`Open-Meteo API error: ${data.reason || 'Unknown error'}`);
+    }
+    
+    if (!data.hourly || !Array.isArray(data.hourly.time)) {
+        throw new Error('Invalid weather data format received from API');
+    }
+    
+    return normalize(data, Object.assign({}, options, { slotCount: slotCount }));
+}
+
+// Convert the current block of an Open-Meteo response into a normalized observation
+function normalizeObservation(data, options = {}) {
+    const current = data.current;
+    const { condition, key } = toCondition(current.weather_code);
+    
+    return {
+        provider: 'open-meteo',
+        location: {
+            name: null,
+            timezone: data.timezone && data.timezone !== 'GMT' ? data.timezone : null,
+            timezoneOffset: typeof data.utc_offset_seconds === 'number' ? data.utc_offset_seconds : null
+        },
+        dt: current.time,
+        temp: current.temperature_2m,
+        humidity: current.relative_humidity_2m,
+        windSpeed: current.wind_speed_10m,
+        clouds: current.cloud_cover,
+        precipitation: current.precipitation || 0,
+        condition: condition,
+        conditionCode: current.weather_code,
+        description: t(options.language, key),
+        descriptionKey: key
+    };
+}
+
+// Fetch the current conditions from Open-Meteo
+async function fetchObservation(location, options = {}) {
+    const current = [
+        'temperature_2m',
+        'relative_humidity_2m',
+        'precipitation',
+        'weather_code',
+        'cloud_cover',
+        'wind_speed_10m'
+    ].join(',');
+    
+    const requestOptions = {
+        hostname: 'api.open-meteo.com',
+        path: `/v1/forecast?latitude=${location.lat}&longitude=${location.lon}&current=${current}` +
+            '&wind_speed_unit=ms&timezone=auto&timeformat=unixtime',
+        method: 'GET',
+        headers: {
+            'User-Agent': 'WeatherNotificationBot/1.0'
+        }
+    };
+    
+    const data = await makeRequest(requestOptions, null, HTTP_CONFIG.MAX_RETRIES, options.httpClient);
+    
+    if (data.error) {
+        throw new Error(`Open-Meteo API error: ${data.reason || 'Unknown error'}`);
+    }
+    
+    if (!data.current || typeof data.current.time !== 'number') {
+        throw new Error('Invalid current weather format received from API');
+    }
+    
+    return normalizeObservation(data, options);
+}
+
+// Convert an Open-Meteo /v1/air-quality response into hourly air points
+function normalizeAirQuality(data) {
+    const hourly = data.hourly;
+    const valueAt = (field, index) => (hourly[field] && typeof hourly[field][index] === 'number' ? hourly[field][index] : undefined);
+    
+    return hourly.time.map((time, index) => ({
+        dt: time,
+        pm25: valueAt('pm2_5', index),
+        uvIndex: valueAt('uv_index', index)
+    }));
+}
+
+// Fetch today's and tomorrow's hourly PM2.5 and UV index from the Open-Meteo
+// air quality API. No API key is needed.
+async function fetchAirQuality(location, options = {}) {
+    const requestOptions = {
+        hostname: 'air-quality-api.open-meteo.com',
+        path: `/v1/air-quality?latitude=${location.lat}&longitude=${location.lon}&hourly=pm2_5,uv_index` +
+            '&timezone=auto&timeformat=unixtime&forecast_days=2',
+        method: 'GET',
+        headers: {
+            'User-Agent': 'WeatherNotificationBot/1.0'
+        }
+    };
+    
+    const data = await makeRequest(requestOptions, null, HTTP_CONFIG.MAX_RETRIES, options.httpClient);
+    
+    if (data.error) {
+        throw new Error(`Open-Meteo API error: ${data.reason || 'Unknown error'}`);
+    }
+    
+    if (!data.hourly || !Array.isArray(data.hourly.time)) {
+        throw new Error('Invalid air quality format received from API');
+    }
+    
+    return normalizeAirQuality(data);
+}
+
+module.exports = {
+    name: 'open-meteo',
+    fetchForecast,
+    fetchObservation,
+    fetchAirQuality,
+    normalizeObservation,
+    normalizeAirQuality,
+    normalize,
+    toCondition
+};
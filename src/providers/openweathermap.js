@@ -0,0 +1,264 @@
+const { CONFIG: HTTP_CONFIG, makeRequest } = require('../http');
+const { getLanguage } = require('../i18n');
+const { getLogger } = require('../run');
+const { spendBudget } = require('../budget');
+
+const SLOT_HOURS = 3;
+
+// Map an OpenWeatherMap condition id to a normalized condition
+function toCondition(id) {
+    if (id >= 200 && id < 300) return 'thunderstorm';
+    if (id >= 300 && id < 400) return 'drizzle';
+    if (id >= 500 && id < 600) return 'rain';
+    if (id >= 600 && id < 700) return 'snow';
+    if (id >= 700 && id < 800) return 'fog';
+    if (id === 800) return 'clear';
+    return 'clouds';
+}
+
+// Message keys of the descriptions of OpenWeatherMap condition ids, so a
+// forecast is described in each subscriber's language whatever language
+// it was fetched in
+const DESCRIPTION_KEYS = {
+    200: 'owm.thunderstormLightRain',
+    201: 'owm.thunderstormRain',
+    202: 'owm.thunderstormHeavyRain',
+    210: 'owm.lightThunderstorm',
+    211: 'owm.thunderstorm',
+    212: 'owm.heavyThunderstorm',
+    300: 'owm.lightDrizzle',
+    301: 'owm.drizzle',
+    302: 'owm.heavyDrizzle',
+    500: 'owm.lightRain',
+    501: 'owm.moderateRain',
+    502: 'owm.heavyRain',
+    503: 'owm.veryHeavyRain',
+    504: 'owm.extremeRain',
+    511: 'owm.freezingRain',
+    520: 'owm.lightShowerRain',
+    521: 'owm.showerRain',
+    522: 'owm.heavyShowerRain',
+    531: 'owm.showerRain',
+    600: 'owm.lightSnow',
+    601: 'owm.snow',
+    602: 'owm.heavySnow',
+    611: 'owm.sleet',
+    612: 'owm.sleet',
+    613: 'owm.sleet',
+    701: 'owm.mist',
+    711: 'owm.smoke',
+    721: 'owm.haze',
+    731: 'owm.dust',
+    741: 'owm.fog',
+    751: 'owm.dust',
+    761: 'owm.dust',
+    762: 'owm.dust',
+    771: 'owm.squalls',
+    781: 'owm.tornado',
+    800: 'owm.clear',
+    801: 'owm.fewClouds',
+    802: 'owm.scatteredClouds',
+    803: 'owm.brokenClouds',
+    804: 'owm.overcast'
+};
+
+// Message key describing a condition id: its own, else that of its
+// condition. Null without an id.
+function toDescriptionKey(id) {
+    if (typeof id !== 'number') {
+        return null;
+    }
+    if (DESCRIPTION_KEYS[id]) {
+        return DESCRIPTION_KEYS[id];
+    }
+    const condition = toCondition(id);
+    return condition === 'clouds' ? 'owm.overcast' : `owm.${condition}`;
+}
+
+// GET an OpenWeatherMap endpoint, counting every attempt, retries
+// included, against the API key's budget
+async function get(path, apiKey, options) {
+    return makeRequest({
+        hostname: 'api.openweathermap.org',
+        path: path,
+        method: 'GET',
+        headers: {
+            'User-Agent': 'WeatherNotificationBot/1.0'
+        }
+    }, null, HTTP_CONFIG.MAX_RETRIES, options.httpClient, () => spendBudget('OpenWeatherMap', apiKey));
+}
+
+// Convert one /data/2.5/forecast list item into a normalized slot
+function toSlot(item) {
+    const weather = (item.weather && item.weather[0]) || {};
+    const main = item.main || {};
+    
+    return {
+        dt: item.dt,
+        hours: SLOT_HOURS,
+        temp: main.temp,
+        humidity: main.humidity,
+        windSpeed: item.wind ? item.wind.speed : undefined,
+        clouds: item.clouds ? item.clouds.all : undefined,
+        pop: typeof item.pop === 'number' ? item.pop : 0,
+        precipitation: item.rain ? (item.rain['3h'] || item.rain['1h'] || 0) : 0,
+        condition: toCondition(weather.id),
+        conditionCode: weather.id,
+        description: weather.description,
+        descriptionKey: toDescriptionKey(weather.id)
+    };
+}
+
+// Convert a /data/2.5/forecast response into the normalized model
+function normalize(data) {
+    const city = data.city || {};
+    
+    return {
+        provider: 'openweathermap',
+        location: {
+            name: city.name || null,
+            timezone: null,
+            timezoneOffset: typeof city.timezone === 'number' ? city.timezone : null
+        },
+        slots: data.list.filter(item => item.dt).map(toSlot)
+    };
+}
+
+// Fetch the 3-hourly forecast from OpenWeatherMap
+async function fetchForecast(location, options = {}) {
+    const apiKey = process.env.OPENWEATHER_API_KEY;
+    if (!apiKey) {
+        throw new Error('Missing required environment variable: OPENWEATHER_API_KEY');
+    }
+    
+    const { lat, lon } = location;
+    const lang = getLanguage(options.language).owmLang;
+    const slotCount = options.slotCount || 8;
+    
+    const data = await get(`/data/2.5/forecast?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric&cnt=${slotCount}&lang=${lang}`, apiKey, options);
+    
+    // Validate API response
+    if (data.cod && data.cod !== '200' && data.cod !== 200) {
+        throw new Error(`OpenWeatherMap API error: ${data.message || 'Unknown error'}`);
+    }
+    
+    if (!data.list || !Array.isArray(data.list)) {
+        throw new Error('Invalid weather data format received from API');
+    }
+    
+    return normalize(data);
+}
+
+// Convert a /data/2.5/weather response into a normalized observation
+function normalizeObservation(data) {
+    const weather = (data.weather && data.weather[0]) || {};
+    const main = data.main || {};
+    
+    return {
+        provider: 'openweathermap',
+        location: {
+            name: data.name || null,
+            timezone: null,
+            timezoneOffset: typeof data.timezone === 'number' ? data.timezone : null
+        },
+        dt: data.dt,
+        temp: main.temp,
+        humidity: main.humidity,
+        windSpeed: data.wind ? data.wind.speed : undefined,
+        clouds: data.clouds ? data.clouds.all : undefined,
+        precipitation: data.rain ? (data.rain['1h'] || 0) : 0,
+        condition: toCondition(weather.id),
+        conditionCode: weather.id,
+        description: weather.description,
+        descriptionKey: toDescriptionKey(weather.id)
+    };
+}
+
+// Fetch the current conditions from OpenWeatherMap
+async function fetchObservation(location, options = {}) {
+    const apiKey = process.env.OPENWEATHER_API_KEY;
+    if (!apiKey) {
+        throw new Error('Missing required environment variable: OPENWEATHER_API_KEY');
+    }
+    
+    const lang = getLanguage(options.language).owmLang;
+    const data = await get(`/data/2.5/weather?lat=${location.lat}&lon=${location.lon}&appid=${apiKey}&units=metric&lang=${lang}`, apiKey, options);
+    
+    if (data.cod && data.cod !== '200' && data.cod !== 200) {
+        throw new Error(`OpenWeatherMap API error: ${data.message || 'Unknown error'}`);
+    }
+    
+    if (!data.main || typeof data.dt !== 'number') {
+        throw new Error('Invalid current weather format received from API');
+    }
+    
+    return normalizeObservation(data);
+}
+
+// Merge a /data/2.5/air_pollution/forecast response and, when there is
+// one, the hourly UV index of a One Call response into hourly air points
+function normalizeAirQuality(pollution, oneCall = null) {
+    const points = new Map();
+    const pointAt = (dt) => {
+        if (!points.has(dt)) {
+            points.set(dt, { dt: dt });
+        }
+        return points.get(dt);
+    };
+    
+    pollution.list.forEach(item => {
+        if (item.dt && item.components) {
+            pointAt(item.dt).pm25 = item.components.pm2_5;
+        }
+    });
+    
+    if (oneCall && Array.isArray(oneCall.hourly)) {
+        oneCall.hourly.forEach(item => {
+            if (item.dt && typeof item.uvi === 'number') {
+                pointAt(item.dt).uvIndex = item.uvi;
+            }
+        });
+    }
+    
+    return Array.from(points.values()).sort((a, b) => a.dt - b.dt);
+}
+
+// Fetch the hourly air pollution forecast from OpenWeatherMap. The UV
+// index is only available from One Call API 3.0, which needs its own
+// subscription, so it is fetched when OPENWEATHER_ONECALL is true.
+async function fetchAirQuality(location, options = {}) {
+    const apiKey = process.env.OPENWEATHER_API_KEY;
+    if (!apiKey) {
+        throw new Error('Missing required environment variable: OPENWEATHER_API_KEY');
+    }
+    
+    const { lat, lon } = location;
+    const pollution = await get(`/data/2.5/air_pollution/forecast?lat=${lat}&lon=${lon}&appid=${apiKey}`, apiKey, options);
+    
+    if (!pollution.list || !Array.isArray(pollution.list)) {
+        throw new Error('Invalid air pollution format received from API');
+    }
+    
+    let oneCall = null;
+    if (process.env.OPENWEATHER_ONECALL === 'true') {
+        try {
+            oneCall = await get(`/data/3.0/onecall?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric&exclude=current,minutely,daily,alerts`, apiKey, options);
+        } catch (error) {
+            getLogger().warn('OpenWeatherMap UV index unavailable', { error: error });
+        }
+    }
+    
+    return normalizeAirQuality(pollution, oneCall);
+}
+
+module.exports = {
+    name: 'openweathermap',
+    fetchForecast,
+    fetchObservation,
+    fetchAirQuality,
+    normalizeObservation,
+    normalizeAirQuality,
+    normalize,
+    toCondition,
+    toDescriptionKey
+};
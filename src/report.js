@@ -0,0 +1,349 @@
+const { t, getLanguage, DEFAULT_LANGUAGE } = require('./i18n');
+const { getTimeZone, getLocalDateString, getTodayDateString, addDays, formatTime } = require('./time');
+const { loadRules, evaluateRules } = require('./rules');
+const { analyzeDrying } = require('./laundry');
+const { isRainySlot, describeWeather } = require('./forecast');
+const { CONDITION_EMOJI, buildOutlook, describeOutlook, formatOutlook } = require('./outlook');
+const { summarizeDay, buildTrend, describeTrend, formatTrend } = require('./trend');
+const { analyzeAirQuality, describeAirQuality, formatAirQuality } = require('./airquality');
+
+// Number of slots in the report's timeline, 24 hours of 3-hour slots
+const TIMELINE_SLOTS = 8;
+
+// Rain slots listed for tomorrow
+const TOMORROW_RAIN_SLOTS = 3;
+
+// Extract rain forecast timing information.
+// Slots are bucketed into today and tomorrow in the location's zone.
+function analyzeRainTiming(forecast, language = DEFAULT_LANGUAGE, zone = getTimeZone(forecast), now = new Date()) {
+    const todayStr = getTodayDateString(zone, now);
+    const tomorrowStr = addDays(todayStr, 1);
+    const rainForecast = [];
+    
+    // Get today and tomorrow's forecasts
+    const relevantWeather = forecast.slots.filter(slot => {
+        const dateStr = getLocalDateString(new Date(slot.dt * 1000), zone);
+        return dateStr === todayStr || dateStr === tomorrowStr;
+    });
+    
+    relevantWeather.forEach(slot => {
+        if (isRainySlot(slot)) {
+            const forecastTime = new Date(slot.dt * 1000);
+            const timeStr = formatTime(forecastTime, zone, getLanguage(language).locale);
+            const isToday = getLocalDateString(forecastTime, zone) === todayStr;
+            const rainProbability = slot.pop ? Math.round(slot.pop * 100) : 0;
+            const rainVolume = slot.precipitation || 0;
+            
+            rainForecast.push({
+                timestamp: slot.dt,
+                time: timeStr,
+                isToday: isToday,
+                probability: rainProbability,
+                volume: rainVolume,
+                description: describeWeather(slot, language),
+                intensity: slot.condition
+            });
+        }
+    });
+    
+    return rainForecast;
+}
+
+// Emoji for the intensity of a rain slot
+function getRainEmoji(rain) {
+    if (rain.intensity.includes('thunderstorm')) {
+        return '⛈️';
+    }
+    return rain.volume > 2.5 ? '🌧️' : '🌦️';
+}
+
+// Describe a single rain slot, e.g. "🌧️ 13:00 - 85% chance (4.1mm)"
+function describeRainSlot(rain, language) {
+    let line = t(language, 'rain.slot', { emoji: getRainEmoji(rain), time: rain.time, probability: rain.probability });
+    if (rain.volume > 0) {
+        line += t(language, 'rain.volume', { volume: rain.volume.toFixed(1) });
+    }
+    return line;
+}
+
+// Group rain slots under today and tomorrow, listing only the first few
+// of tomorrow's. Returns null when no rain is forecast.
+function describeRainTiming(rainForecast, language = DEFAULT_LANGUAGE) {
+    if (rainForecast.length === 0) {
+        return null;
+    }
+    
+    const todayRain = rainForecast.filter(r => r.isToday);
+    const tomorrowRain = rainForecast.filter(r => !r.isToday).slice(0, TOMORROW_RAIN_SLOTS);
+    const groups = [];
+    
+    if (todayRain.length > 0) {
+        groups.push({ label: t(language, 'rain.today'), lines: todayRain.map(rain => describeRainSlot(rain, language)) });
+    }
+    
+    if (tomorrowRain.length > 0) {
+        groups.push({ label: t(language, 'rain.tomorrow'), lines: tomorrowRain.map(rain => describeRainSlot(rain, language)) });
+    }
+    
+    return { header: t(language, 'rain.header'), groups: groups };
+}
+
+// Render the rain timing description as text
+function renderRainText(rain) {
+    if (!rain) {
+        return '';
+    }
+    
+    let rainMessage = `\n${rain.header}\n`;
+    rain.groups.forEach(group => {
+        rainMessage += `${group.label}\n`;
+        group.lines.forEach(line => {
+            rainMessage += `   ${line}\n`;
+        });
+    });
+    
+    return rainMessage;
+}
+
+// Format rain timing message
+function formatRainTiming(rainForecast, language = DEFAULT_LANGUAGE) {
+    return renderRainText(describeRainTiming(rainForecast, language));
+}
+
+// Average of a list of numbers, or undefined when empty
+function average(values) {
+    return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : undefined;
+}
+
+// Maximum of a list of numbers, or undefined when empty
+function maximum(values) {
+    return values.length > 0 ? Math.max(...values) : undefined;
+}
+
+// Aggregate a day's forecast slots into the metrics rules are evaluated against
+function computeDayMetrics(daySlots) {
+    const numbers = (pick) => daySlots
+        .map(pick)
+        .filter(value => typeof value === 'number' && !isNaN(value));
+    
+    const temps = numbers(slot => slot.temp);
+    const humidity = numbers(slot => slot.humidity);
+    const clouds = numbers(slot => slot.clouds);
+    const rainVolumes = numbers(slot => slot.precipitation);
+    
+    return {
+        hasRain: daySlots.some(isRainySlot),
+        hasThunderstorm: daySlots.some(slot => slot.condition === 'thunderstorm'),
+        hasClouds: daySlots.some(slot => slot.condition === 'clouds'),
+        minTemp: temps.length > 0 ? Math.min(...temps) : undefined,
+        maxTemp: maximum(temps),
+        avgTemp: average(temps),
+        avgHumidity: average(humidity),
+        maxHumidity: maximum(humidity),
+        maxWindSpeed: maximum(numbers(slot => slot.windSpeed)),
+        maxPop: maximum(numbers(slot => typeof slot.pop === 'number' ? Math.round(slot.pop * 100) : undefined)),
+        totalRain: rainVolumes.reduce((a, b) => a + b, 0),
+        avgClouds: average(clouds)
+    };
+}
+
+// Describe the drying score and the best time to hang and bring in laundry
+function describeDrying(drying, zone, language) {
+    if (drying.score === undefined) {
+        return [];
+    }
+    
+    const locale = getLanguage(language).locale;
+    const lines = [t(language, 'laundry.score', { score: drying.score })];
+    
+    // Only mention the window while there is daylight left to use it
+    if (!drying.window) {
+        return drying.hasDaytime ? lines.concat([t(language, 'laundry.noWindow')]) : lines;
+    }
+    
+    lines.push(t(language, 'laundry.window', {
+        start: formatTime(drying.window.start, zone, locale),
+        end: formatTime(drying.window.end, zone, locale)
+    }));
+    
+    if (drying.nextRain) {
+        lines.push(t(language, 'laundry.bringInBeforeRain', { time: drying.nextRain.time }));
+    }
+    
+    return lines;
+}
+
+// The slots of the next 24 hours, including the one in progress
+function buildTimeline(forecast, zone, language, now) {
+    const nowSeconds = Math.floor(now.getTime() / 1000);
+    const locale = getLanguage(language).locale;
+    
+    return forecast.slots
+        .filter(slot => slot.dt + slot.hours * 3600 > nowSeconds)
+        .slice(0, TIMELINE_SLOTS)
+        .map(slot => ({
+            time: formatTime(new Date(slot.dt * 1000), zone, locale),
+            temp: typeof slot.temp === 'number' ? slot.temp : undefined,
+            pop: Math.round((slot.pop || 0) * 100),
+            precipitation: slot.precipitation || 0,
+            condition: slot.condition,
+            emoji: CONDITION_EMOJI[slot.condition] || '',
+            description: describeWeather(slot, language)
+        }));
+}
+
+// Display name of a location: its configured name, else the provider's name for it
+function getCityName(forecast, location, language) {
+    if (location.name) {
+        return location.name;
+    }
+    return forecast.location && forecast.location.name ? forecast.location.name : t(language, 'report.unknownLocation');
+}
+
+// Build the structured report for one location. Both the text message and
+// the HTML email are rendered from it, and `prediction` is what gets
+// archived to grade the forecast later. With options.history, the days
+// summarized before, the report compares today with yesterday. When the
+// forecast cannot be used the report has ok: false and a message
+// explaining why.
+function buildLocationReport(forecast, location, language = DEFAULT_LANGUAGE, ruleSet = loadRules(), now = new Date(), options = {}) {
+    if (!forecast || !forecast.slots || forecast.slots.length === 0) {
+        return { ok: false, message: t(language, 'error.noData') };
+    }
+    
+    const zone = getTimeZone(forecast, location);
+    const todayStr = getTodayDateString(zone, now);
+    
+    // Filter today's weather in the location's zone
+    const todayWeather = forecast.slots.filter(slot => (
+        getLocalDateString(new Date(slot.dt * 1000), zone) === todayStr
+    ));
+    
+    if (todayWeather.length === 0) {
+        return { ok: false, message: t(language, 'error.noDataToday') };
+    }
+    
+    const metrics = computeDayMetrics(todayWeather);
+    
+    if (metrics.maxTemp === undefined) {
+        return { ok: false, message: t(language, 'error.noTemperature') };
+    }
+    
+    // Get main weather condition safely
+    const description = describeWeather(todayWeather[0], language) || t(language, 'report.unknownCondition');
+    
+    const cityName = getCityName(forecast, location, language);
+    const lat = location.lat.toFixed(4);
+    const lon = location.lon.toFixed(4);
+    
+    // Rain timing feeds both the report and the umbrella rules
+    const rainForecast = analyzeRainTiming(forecast, language, zone, now);
+    const nextRain = rainForecast.find(r => r.isToday);
+    metrics.nextRainTime = nextRain ? nextRain.time : undefined;
+    
+    const drying = analyzeDrying(todayWeather, zone, rainForecast);
+    metrics.dryingScore = drying.score;
+    metrics.hasDryingWindow = Boolean(drying.window);
+    
+    // Air quality and UV feed the laundry and outdoor rules
+    const air = analyzeAirQuality(forecast.air, zone, now);
+    metrics.maxPm25 = air && air.pm25 ? air.pm25.max : undefined;
+    metrics.maxUv = air && air.uv ? air.uv.max : undefined;
+    
+    const advice = evaluateRules(ruleSet, metrics, language);
+    
+    const prediction = {
+        date: todayStr,
+        hasRain: metrics.hasRain,
+        minTemp: metrics.minTemp,
+        maxTemp: metrics.maxTemp,
+        maxPop: metrics.maxPop,
+        laundry: advice.verdicts.laundry || null,
+        dryingWindow: drying.window ? {
+            start: Math.floor(drying.window.start.getTime() / 1000),
+            end: Math.floor(drying.window.end.getTime() / 1000)
+        } : null
+    };
+    
+    return {
+        ok: true,
+        title: t(language, 'report.title'),
+        city: cityName,
+        lat: lat,
+        lon: lon,
+        header: [
+            t(language, 'report.location', { city: cityName, lat: lat, lon: lon }),
+            t(language, 'report.temperature', { min: metrics.minTemp.toFixed(1), max: metrics.maxTemp.toFixed(1) }),
+            t(language, 'report.condition', { description: description })
+        ],
+        summary: {
+            minTemp: metrics.minTemp.toFixed(1),
+            maxTemp: metrics.maxTemp.toFixed(1),
+            description: description,
+            emoji: CONDITION_EMOJI[todayWeather[0].condition] || '',
+            dryingScore: drying.score
+        },
+        laundry: advice.laundry.concat(describeDrying(drying, zone, language)),
+        rain: describeRainTiming(rainForecast, language),
+        umbrella: advice.umbrella,
+        outdoor: advice.outdoor,
+        air: describeAirQuality(air, zone, language),
+        timeline: buildTimeline(forecast, zone, language, now),
+        trend: options.history ? describeTrend(buildTrend(options.history, summarizeDay(prediction)), language) : null,
+        outlook: options.outlook ? describeOutlook(buildOutlook(forecast, zone, now), language) : null,
+        prediction: prediction
+    };
+}
+
+// Render a location report as the plain text message
+function renderText(report) {
+    if (!report.ok) {
+        return report.message;
+    }
+    
+    let message = `${report.title}\n${report.header.join('\n')}\n\n`;
+    
+    // Washing clothes recommendation
+    report.laundry.forEach(line => {
+        message += `${line}\n`;
+    });
+    
+    // Add rain forecast timing
+    message += renderRainText(report.rain);
+    
+    // Umbrella recommendation
+    if (report.umbrella.length > 0) {
+        message += `\n${report.umbrella.join('\n')}\n`;
+    }
+    
+    // Air quality, UV and what to do about them outside
+    message += formatAirQuality(report.air);
+    if (report.outdoor.length > 0) {
+        message += `${report.air ? '' : '\n'}${report.outdoor.join('\n')}\n`;
+    }
+    
+    message += formatTrend(report.trend);
+    
+    if (report.outlook) {
+        message += formatOutlook(report.outlook);
+    }
+    
+    return message;
+}
+
+// Analyze weather for one location and create message. `now` decides
+// which day is today, so a saved forecast can be replayed.
+function analyzeWeather(forecast, location, language = DEFAULT_LANGUAGE, ruleSet = loadRules(), now = new Date()) {
+    return renderText(buildLocationReport(forecast, location, language, ruleSet, now));
+}
+
+module.exports = {
+    analyzeRainTiming,
+    describeRainTiming,
+    formatRainTiming,
+    computeDayMetrics,
+    getCityName,
+    buildLocationReport,
+    renderText,
+    analyzeWeather
+};
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const { t, getLanguage } = require('./i18n');
+const DEFAULT_RULES = require('./default-rules.json');
+
+// Sections of the report that rules can contribute advice to
+const SECTIONS = ['laundry', 'umbrella', 'outdoor'];
+
+// Verdicts a rule can give for its section, used to grade the advice
+// against what the weather actually did
+const VERDICTS = {
+    laundry: ['hang', 'dont-hang']
+};
+
+// Comparison operators available in rule conditions
+const OPERATORS = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b
+};
+
+// Validate a condition tree: { all: [...] }, { any: [...] }, { not: {...} }
+// or a leaf { field, op, value }. A "$NAME" value must name one of the
+// thresholds, so a typo fails when the rules load rather than mid-run.
+function validateCondition(condition, ruleId, thresholds) {
+    if (!condition || typeof condition !== 'object') {
+        throw new Error(`Rule ${ruleId}: condition must be an object`);
+    }
+    
+    if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+        (condition.all || condition.any).forEach(child => validateCondition(child, ruleId, thresholds));
+        return;
+    }
+    
+    if (condition.not) {
+        validateCondition(condition.not, ruleId, thresholds);
+        return;
+    }
+    
+    if (!condition.field || typeof condition.field !== 'string') {
+        throw new Error(`Rule ${ruleId}: condition is missing a field`);
+    }
+    
+    if (!OPERATORS[condition.op]) {
+        throw new Error(`Rule ${ruleId}: unknown operator "${condition.op}". Supported: ${Object.keys(OPERATORS).join(', ')}`);
+    }
+    
+    const value = condition.value;
+    if (typeof value === 'string' && value.startsWith('$') && !Object.prototype.hasOwnProperty.call(thresholds, value.slice(1))) {
+        throw new Error(`Rule ${ruleId}: unknown threshold "${value.slice(1)}". Defined: ${Object.keys(thresholds).join(', ')}`);
+    }
+}
+
+// Whether a rule message can be rendered: a catalog key or template, or
+// an object of templates by language
+function isValidMessage(message) {
+    if (typeof message === 'string') {
+        return message.length > 0;
+    }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return false;
+    }
+    const templates = Object.values(message);
+    return templates.length > 0 && templates.every(template => typeof template === 'string' && template.length > 0);
+}
+
+// Validate a rule definition against the thresholds of its rule set
+function validateRule(rule, thresholds = {}) {
+    if (!rule || typeof rule !== 'object' || !rule.id) {
+        throw new Error('Every rule needs an id');
+    }
+    
+    if (!SECTIONS.includes(rule.section)) {
+        throw new Error(`Rule ${rule.id}: unknown section "${rule.section}". Supported: ${SECTIONS.join(', ')}`);
+    }
+    
+    if (!Array.isArray(rule.messages) || rule.messages.length === 0) {
+        throw new Error(`Rule ${rule.id}: at least one message is required`);
+    }
+    
+    if (!rule.messages.every(isValidMessage)) {
+        throw new Error(`Rule ${rule.id}: every message must be a catalog key, a template or templates by language`);
+    }
+    
+    if (rule.verdict !== undefined && !(VERDICTS[rule.section] || []).includes(rule.verdict)) {
+        throw new Error(`Rule ${rule.id}: unknown verdict "${rule.verdict}" for section ${rule.section}`);
+    }
+    
+    if (rule.when) {
+        validateCondition(rule.when, rule.id, thresholds);
+    }
+}
+
+// Merge a custom rule set over the defaults. Custom rules replace default
+// rules with the same id, "enabled": false removes a rule, and
+// "replaceDefaults": true discards the default rules entirely.
+function mergeRuleSets(defaults, custom) {
+    const customRules = Array.isArray(custom) ? custom : (custom.rules || []);
+    const byId = new Map();
+    
+    if (!custom.replaceDefaults) {
+        defaults.rules.forEach(rule => byId.set(rule.id, rule));
+    }
+    
+    customRules.forEach(rule => {
+        const base = byId.get(rule.id) || {};
+        byId.set(rule.id, Object.assign({}, base, rule));
+    });
+    
+    return {
+        thresholds: Object.assign({}, defaults.thresholds, custom.thresholds),
+        rules: Array.from(byId.values()).filter(rule => rule.enabled !== false)
+    };
+}
+
+// Load the rule set: the defaults, merged with RULES_FILE when set
+function loadRules() {
+    let ruleSet = DEFAULT_RULES;
+    
+    if (process.env.RULES_FILE) {
+        let custom;
+        try {
+            custom = JSON.parse(fs.readFileSync(process.env.RULES_FILE, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to read RULES_FILE ${process.env.RULES_FILE}: ${error.message}`);
+        }
+        ruleSet = mergeRuleSets(DEFAULT_RULES, custom);
+    }
+    
+    ruleSet.rules.forEach(rule => validateRule(rule, ruleSet.thresholds));
+    
+    return ruleSet;
+}
+
+// Resolve a condition value. Strings starting with "$" refer to thresholds.
+function resolveValue(value, thresholds) {
+    if (typeof value === 'string' && value.startsWith('$')) {
+        const name = value.slice(1);
+        if (!Object.prototype.hasOwnProperty.call(thresholds, name)) {
+            throw new Error(`Unknown threshold: ${name}`);
+        }
+        return thresholds[name];
+    }
+    return value;
+}
+
+// Evaluate a condition tree against the day's metrics.
+// Comparisons against a metric that is not available are false.
+function evaluateCondition(condition, metrics, thresholds) {
+    if (Array.isArray(condition.all)) {
+        return condition.all.every(child => evaluateCondition(child, metrics, thresholds));
+    }
+    
+    if (Array.isArray(condition.any)) {
+        return condition.any.some(child => evaluateCondition(child, metrics, thresholds));
+    }
+    
+    if (condition.not) {
+        return !evaluateCondition(condition.not, metrics, thresholds);
+    }
+    
+    const actual = metrics[condition.field];
+    if (actual === undefined || actual === null) {
+        return false;
+    }
+    
+    return OPERATORS[condition.op](actual, resolveValue(condition.value, thresholds));
+}
+
+// Format metric values for display in message templates
+function formatParams(metrics) {
+    const params = {};
+    Object.keys(metrics).forEach(key => {
+        const value = metrics[key];
+        if (value === undefined || value === null) {
+            return;
+        }
+        params[key] = typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(1) : value;
+    });
+    return params;
+}
+
+// Render one rule message. A message is a catalog key, a literal template,
+// or an object of templates by language. Messages that reference a metric
+// with no value are skipped.
+function renderMessage(message, language, params) {
+    let template;
+    if (typeof message === 'object') {
+        template = message[language] || Object.values(message)[0];
+    } else {
+        template = getLanguage(language).messages[message] ? t(language, message) : message;
+    }
+    
+    const placeholders = template.match(/\{(\w+)\}/g) || [];
+    if (placeholders.some(placeholder => params[placeholder.slice(1, -1)] === undefined)) {
+        return null;
+    }
+    
+    return template.replace(/\{(\w+)\}/g, (match, name) => String(params[name]));
+}
+
+// Evaluate the rule set and return advice lines grouped by section.
+// Within a section rules run from highest priority down, and a matching
+// rule marked "final" stops the rest of that section. `verdicts` holds the
+// verdict of the first matching rule in each section that gives one.
+function evaluateRules(ruleSet, metrics, language) {
+    const params = formatParams(metrics);
+    const advice = { verdicts: {} };
+    SECTIONS.forEach(section => {
+        advice[section] = [];
+    });
+    
+    const ordered = ruleSet.rules.slice().sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    const finished = new Set();
+    
+    ordered.forEach(rule => {
+        if (finished.has(rule.section)) {
+            return;
+        }
+        
+        if (rule.when && !evaluateCondition(rule.when, metrics, ruleSet.thresholds)) {
+            return;
+        }
+        
+        rule.messages.forEach(message => {
+            const line = renderMessage(message, language, params);
+            if (line) {
+                advice[rule.section].push(line);
+            }
+        });
+        
+        if (rule.verdict && !advice.verdicts[rule.section]) {
+            advice.verdicts[rule.section] = rule.verdict;
+        }
+        
+        if (rule.final) {
+            finished.add(rule.section);
+        }
+    });
+    
+    return advice;
+}
+
+module.exports = {
+    SECTIONS,
+    VERDICTS,
+    OPERATORS,
+    loadRules,
+    mergeRuleSets,
+    validateRule,
+    evaluateCondition,
+    evaluateRules
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createLogger } = require('./logger');
+const { CONFIG: METRICS_CONFIG, createMetrics, formatEmf } = require('./metrics');
+
+// Stages of a run, in order, timed separately
+const STAGES = ['setup', 'fetch', 'analyze', 'render', 'send'];
+
+// The run the current code belongs to. Everything called while a run is
+// in progress, down to the HTTP helpers, logs and records metrics for it
+// without passing it along.
+const storage = new AsyncLocalStorage();
+
+// Logger used outside a run, e.g. by the CLI
+const rootLogger = createLogger();
+
+// Create a run: an ID correlating its log entries, a logger adding it to
+// each of them, the time spent in each stage and the metrics collected.
+// `fields` are added to every entry, e.g. the mode.
+function createRun(fields = {}, id = crypto.randomUUID()) {
+    return {
+        id: id,
+        startTime: Date.now(),
+        logger: createLogger(Object.assign({ runId: id }, fields)),
+        metrics: createMetrics(fields.mode ? { Mode: fields.mode } : {}),
+        stages: {}
+    };
+}
+
+// Run a callback as part of a run
+function withRun(run, callback) {
+    return storage.run(run, callback);
+}
+
+// The run in progress, or null
+function getRun() {
+    return storage.getStore() || null;
+}
+
+// Logger of the run in progress, or the root logger outside a run
+function getLogger() {
+    const run = getRun();
+    return run ? run.logger : rootLogger;
+}
+
+// Add a value to a metric of the run in progress
+function recordMetric(name, value, unit) {
+    const run = getRun();
+    if (run) {
+        run.metrics.put(name, value, unit);
+    }
+}
+
+// Time a callback, sync or async, as part of a stage of the run in
+// progress. Time spent in a stage adds up over the run. An error thrown
+// gets the stage it was thrown in as `stage`, unless an inner stage set it.
+function timeStage(stage, callback) {
+    const run = getRun();
+    const start = Date.now();
+    const finish = (error) => {
+        if (run) {
+            run.stages[stage] = (run.stages[stage] || 0) + Date.now() - start;
+        }
+        if (error instanceof Error && !error.stage) {
+            error.stage = stage;
+        }
+    };
+    
+    let result;
+    try {
+        result = callback();
+    } catch (error) {
+        finish(error);
+        throw error;
+    }
+    
+    if (result && typeof result.then === 'function') {
+        return result.then(value => {
+            finish();
+            return value;
+        }, error => {
+            finish(error);
+            throw error;
+        });
+    }
+    finish();
+    return result;
+}
+
+// Write the run's metrics, with its stage timings, to the log in
+// Embedded Metric Format
+function flushMetrics(run) {
+    if (!METRICS_CONFIG.ENABLED) {
+        return;
+    }
+    
+    Object.keys(run.stages).forEach(stage => {
+        run.metrics.put(`${stage[0].toUpperCase()}${stage.slice(1)}Duration`, run.stages[stage], 'Milliseconds');
+    });
+    run.metrics.put('Duration', Date.now() - run.startTime, 'Milliseconds');
+    
+    formatEmf(run.metrics, new Date(), { runId: run.id }).forEach(document => {
+        console.log(JSON.stringify(document));
+    });
+}
+
+module.exports = {
+    STAGES,
+    createRun,
+    withRun,
+    getRun,
+    getLogger,
+    recordMetric,
+    timeStage,
+    flushMetrics
+};
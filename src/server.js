@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// Local HTTP server for the API that API Gateway serves in AWS, with the
+// same routes and responses.
+//
+//   node server.js --port 3000
+//   curl 'http://localhost:3000/report?lat=13.7563&lon=100.5018&lang=en&format=text'
+
+const http = require('http');
+const { parseArgs } = require('util');
+const { createApi } = require('./api');
+const { getLogger } = require('./run');
+
+const DEFAULT_PORT = 3000;
+
+// Turn a Node request and its body into an API request
+function toRequest(req, body) {
+    const url = new URL(req.url, 'http://localhost');
+    return {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: body || null
+    };
+}
+
+// Create an HTTP server answering every request through the API. The
+// dependencies are those of createApi.
+function createServer(dependencies = {}) {
+    const api = createApi(dependencies);
+    
+    return http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', async () => {
+            const request = toRequest(req, Buffer.concat(chunks).toString('utf8'));
+            const response = await api(request);
+            getLogger().info('Request served', { method: request.method, path: request.path, statusCode: response.statusCode });
+            res.writeHead(response.statusCode, response.headers);
+            res.end(response.body);
+        });
+    });
+}
+
+if (require.main === module) {
+    const { values } = parseArgs({ options: { port: { type: 'string' } } });
+    const port = parseInt(values.port || process.env.PORT || DEFAULT_PORT, 10);
+    
+    createServer().listen(port, () => {
+        console.log(`Weather API listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createServer };
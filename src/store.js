@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AWS = require('aws-sdk');
+
+// Default directory for the local file backend
+const DEFAULT_STORE_DIR = path.join(os.tmpdir(), 'weather-store');
+
+// Key-value store backed by a single DynamoDB table.
+// Items are stored as { pk: '<namespace>#<key>', namespace, value }.
+function createDynamoStore(namespace, tableName) {
+    const client = new AWS.DynamoDB.DocumentClient({ region: process.env.AWS_REGION || 'us-east-1' });
+    const toPk = (key) => `${namespace}#${key}`;
+    
+    return {
+        async get(key) {
+            const result = await client.get({ TableName: tableName, Key: { pk: toPk(key) } }).promise();
+            return result.Item ? result.Item.value : null;
+        },
+        
+        async put(key, value) {
+            await client.put({
+                TableName: tableName,
+                Item: { pk: toPk(key), namespace: namespace, value: value }
+            }).promise();
+        },
+        
+        async delete(key) {
+            await client.delete({ TableName: tableName, Key: { pk: toPk(key) } }).promise();
+        },
+        
+        async list() {
+            const items = [];
+            let startKey;
+            
+            do {
+                const result = await client.scan({
+                    TableName: tableName,
+                    FilterExpression: '#ns = :ns',
+                    ExpressionAttributeNames: { '#ns': 'namespace' },
+                    ExpressionAttributeValues: { ':ns': namespace },
+                    ExclusiveStartKey: startKey
+                }).promise();
+                
+                result.Items.forEach(item => {
+                    items.push({ key: item.pk.slice(namespace.length + 1), value: item.value });
+                });
+                startKey = result.LastEvaluatedKey;
+            } while (startKey);
+            
+            return items;
+        }
+    };
+}
+
+// Key-value store backed by one JSON file per namespace in a local directory
+function createFileStore(namespace, directory) {
+    const filePath = path.join(directory, `${namespace}.json`);
+    
+    function readAll() {
+        if (!fs.existsSync(filePath)) {
+            return {};
+        }
+        
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Corrupt store file ${filePath}: ${error.message}`);
+        }
+    }
+    
+    function writeAll(data) {
+        fs.mkdirSync(directory, { recursive: true });
+        // Write to a temp file first so a crash never leaves a half-written store
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, filePath);
+    }
+    
+    return {
+        async get(key) {
+            const data = readAll();
+            return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+        },
+        
+        async put(key, value) {
+            const data = readAll();
+            data[key] = value;
+            writeAll(data);
+        },
+        
+        async delete(key) {
+            const data = readAll();
+            delete data[key];
+            writeAll(data);
+        },
+        
+        async list() {
+            const data = readAll();
+            return Object.keys(data).map(key => ({ key: key, value: data[key] }));
+        }
+    };
+}
+
+// Create a namespaced store. Uses DynamoDB when STORE_TABLE is set,
+// otherwise falls back to local JSON files under STORE_DIR.
+function createStore(namespace) {
+    if (!namespace || typeof namespace !== 'string') {
+        throw new Error('Store namespace must be a non-empty string');
+    }
+    
+    if (process.env.STORE_TABLE) {
+        return createDynamoStore(namespace, process.env.STORE_TABLE);
+    }
+    
+    return createFileStore(namespace, process.env.STORE_DIR || DEFAULT_STORE_DIR);
+}
+
+module.exports = {
+    createStore,
+    createFileStore,
+    createDynamoStore
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const { createStore } = require('./store');
+const { validateChannel } = require('./channels');
+const { isSupportedLanguage, DEFAULT_LANGUAGE, LANGUAGES } = require('./i18n');
+const { isValidTimeZone } = require('./time');
+const { normalizeDelivery } = require('./delivery');
+const { getLogger } = require('./run');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Normalize and validate a single location entry
+function normalizeLocation(location, subscriberId) {
+    if (!location || typeof location !== 'object') {
+        throw new Error(`Subscriber ${subscriberId}: each location must be an object`);
+    }
+    
+    const lat = parseFloat(location.lat);
+    const lon = parseFloat(location.lon);
+    
+    if (isNaN(lat) || lat < -90 || lat > 90) {
+        throw new Error(`Subscriber ${subscriberId}: invalid latitude. Must be between -90 and 90.`);
+    }
+    
+    if (isNaN(lon) || lon < -180 || lon > 180) {
+        throw new Error(`Subscriber ${subscriberId}: invalid longitude. Must be between -180 and 180.`);
+    }
+    
+    if (location.timezone && !isValidTimeZone(location.timezone)) {
+        throw new Error(`Subscriber ${subscriberId}: unknown time zone "${location.timezone}"`);
+    }
+    
+    return {
+        name: location.name || null,
+        lat: lat,
+        lon: lon,
+        timezone: location.timezone || null
+    };
+}
+
+// Normalize and validate a subscriber record
+function normalizeSubscription(subscription, index) {
+    if (!subscription || typeof subscription !== 'object') {
+        throw new Error(`Subscription at index ${index} must be an object`);
+    }
+    
+    const id = subscription.id || subscription.email || `subscriber-${index + 1}`;
+    
+    if (subscription.email && !EMAIL_REGEX.test(subscription.email)) {
+        throw new Error(`Subscriber ${id}: invalid email format.`);
+    }
+    
+    // An email address is shorthand for an SES channel
+    const channels = Array.isArray(subscription.channels) ? subscription.channels.slice() : [];
+    if (subscription.email) {
+        channels.unshift({ type: 'ses', to: subscription.email });
+    }
+    
+    if (channels.length === 0) {
+        throw new Error(`Subscriber ${id}: an email or at least one channel is required`);
+    }
+    
+    channels.forEach(channel => {
+        try {
+            validateChannel(channel);
+        } catch (error) {
+            throw new Error(`Subscriber ${id}: ${error.message}`);
+        }
+    });
+    
+    const language = subscription.language || process.env.LANGUAGE || DEFAULT_LANGUAGE;
+    if (!isSupportedLanguage(language)) {
+        throw new Error(`Subscriber ${id}: unsupported language "${language}". Supported: ${Object.keys(LANGUAGES).join(', ')}`);
+    }
+    
+    const locations = Array.isArray(subscription.locations) ? subscription.locations : [];
+    if (locations.length === 0) {
+        throw new Error(`Subscriber ${id}: at least one location is required`);
+    }
+    
+    return {
+        id: String(id),
+        email: subscription.email || null,
+        channels: channels,
+        language: language,
+        alerts: subscription.alerts !== false,
+        // The multi-day outlook is opt-in, per subscriber or through OUTLOOK
+        outlook: subscription.outlook !== undefined ? subscription.outlook === true : process.env.OUTLOOK === 'true',
+        // When the daily report goes out, through DELIVERY_POLICY and QUIET_DAYS by default
+        delivery: normalizeDelivery(subscription.delivery, id),
+        locations: locations.map(location => normalizeLocation(location, id))
+    };
+}
+
+// Build the single subscriber described by the legacy environment variables
+function getLegacySubscription() {
+    const { RECIPIENT_EMAIL, LATITUDE, LONGITUDE } = process.env;
+    
+    if (!RECIPIENT_EMAIL && !LATITUDE && !LONGITUDE) {
+        return null;
+    }
+    
+    return {
+        id: 'default',
+        email: RECIPIENT_EMAIL,
+        language: process.env.LANGUAGE,
+        locations: [{ lat: LATITUDE, lon: LONGITUDE, timezone: process.env.TIMEZONE }]
+    };
+}
+
+// Read subscriptions from a JSON config file.
+// Accepts either an array or an object with a "subscribers" array.
+function readSubscriptionsFile(filePath) {
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read SUBSCRIPTIONS_FILE ${filePath}: ${error.message}`);
+    }
+    
+    const subscribers = Array.isArray(parsed) ? parsed : parsed.subscribers;
+    if (!Array.isArray(subscribers)) {
+        throw new Error('SUBSCRIPTIONS_FILE must contain an array or a "subscribers" array');
+    }
+    
+    return subscribers;
+}
+
+// Normalize every subscriber, skipping invalid entries so one bad record
+// does not stop the reports of everyone else, and entries whose ID an
+// earlier one already took. Fails only when none is valid.
+function normalizeAll(raw) {
+    const valid = new Map();
+    
+    raw.forEach((subscription, index) => {
+        try {
+            const normalized = normalizeSubscription(subscription, index);
+            if (valid.has(normalized.id)) {
+                getLogger().warn('Duplicate subscription skipped', { subscriber: normalized.id, index: index });
+                return;
+            }
+            valid.set(normalized.id, normalized);
+        } catch (error) {
+            getLogger().error('Invalid subscription skipped', { index: index, error: error });
+        }
+    });
+    
+    if (valid.size === 0) {
+        throw new Error(`No valid subscriptions: all ${raw.length} configured subscriber(s) are invalid`);
+    }
+    
+    return Array.from(valid.values());
+}
+
+// Load all subscriptions from every source: SUBSCRIPTIONS_FILE, the
+// "subscriptions" store the API writes to, then the legacy
+// RECIPIENT_EMAIL/LATITUDE/LONGITUDE variables. A subscriber ID is used
+// once, by the first source that has it. Subscribers who followed an
+// unsubscribe link, kept in the "unsubscribed" store, are left out.
+async function loadSubscriptions() {
+    const raw = process.env.SUBSCRIPTIONS_FILE ? readSubscriptionsFile(process.env.SUBSCRIPTIONS_FILE) : [];
+    
+    const items = await createStore('subscriptions').list();
+    items.forEach(item => raw.push(Object.assign({ id: item.key }, item.value)));
+    
+    const legacy = getLegacySubscription();
+    if (legacy) {
+        raw.push(legacy);
+    }
+    
+    if (raw.length === 0) {
+        throw new Error('No subscriptions configured. Set SUBSCRIPTIONS_FILE, add subscribers to the store, or set RECIPIENT_EMAIL, LATITUDE and LONGITUDE.');
+    }
+    
+    const unsubscribed = new Set((await createStore('unsubscribed').list()).map(item => item.key));
+    return normalizeAll(raw).filter(subscription => !unsubscribed.has(subscription.id));
+}
+
+// Stable key for a location so identical coordinates share one forecast fetch
+function getLocationKey(location) {
+    return `${location.lat.toFixed(4)},${location.lon.toFixed(4)}`;
+}
+
+// Key for one forecast fetch. Subscribers at the same coordinates share
+// it whatever their language: reports describe the weather from the
+// forecast's description keys in each subscriber's own language.
+function getForecastKey(location) {
+    return getLocationKey(location);
+}
+
+// Collect the unique locations across all subscriptions, with the
+// language of the first subscriber there, noting whether any subscriber
+// of a location wants the multi-day outlook
+function getUniqueForecasts(subscriptions) {
+    const unique = new Map();
+    
+    subscriptions.forEach(subscription => {
+        subscription.locations.forEach(location => {
+            const key = getForecastKey(location);
+            if (!unique.has(key)) {
+                unique.set(key, { location: location, language: subscription.language, outlook: false });
+            }
+            unique.get(key).outlook = unique.get(key).outlook || subscription.outlook;
+        });
+    });
+    
+    return unique;
+}
+
+module.exports = {
+    loadSubscriptions,
+    normalizeSubscription,
+    normalizeLocation,
+    getLocationKey,
+    getForecastKey,
+    getUniqueForecasts
+};
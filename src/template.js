@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+
+// Minimal logic-less templates in the style of Mustache:
+//   {{name}}               value, HTML-escaped; dotted paths and {{.}} work
+//   {{{name}}}             value inserted as is, for trusted HTML
+//   {{#name}}...{{/name}}  repeated for each item of a list, or shown once
+//                          when the value is truthy, with it as the context
+//   {{^name}}...{{/name}}  shown when the value is missing, false or empty
+//   {{> name}}             another template
+// Templates are read from TEMPLATE_DIR when it has a file of that name,
+// otherwise from the built-in templates directory.
+
+const BUILT_IN_DIR = path.join(__dirname, 'templates');
+
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/>]?)\s*([\w.-]+|\.)\s*\}\}/g;
+
+// Parsed templates by file path
+const cache = new Map();
+
+// Escape text for use in HTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Parse a template into a tree of text, value, section and partial nodes
+function parse(source, name) {
+    const root = { children: [] };
+    const stack = [root];
+    let last = 0;
+    let match;
+    
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(source)) !== null) {
+        const current = stack[stack.length - 1];
+        if (match.index > last) {
+            current.children.push({ type: 'text', text: source.slice(last, match.index) });
+        }
+        last = TAG.lastIndex;
+        
+        if (match[1]) {
+            current.children.push({ type: 'raw', name: match[1] });
+            continue;
+        }
+        
+        const [, , sigil, key] = match;
+        if (sigil === '#' || sigil === '^') {
+            const section = { type: 'section', name: key, inverted: sigil === '^', children: [] };
+            current.children.push(section);
+            stack.push(section);
+        } else if (sigil === '/') {
+            if (stack.length === 1 || current.name !== key) {
+                throw new Error(`Template ${name}: unexpected {{/${key}}}`);
+            }
+            stack.pop();
+        } else if (sigil === '>') {
+            current.children.push({ type: 'partial', name: key });
+        } else {
+            current.children.push({ type: 'value', name: key });
+        }
+    }
+    
+    if (stack.length > 1) {
+        throw new Error(`Template ${name}: unclosed {{#${stack[stack.length - 1].name}}}`);
+    }
+    if (last < source.length) {
+        root.children.push({ type: 'text', text: source.slice(last) });
+    }
+    
+    return root;
+}
+
+// Path of a template file, preferring an override in TEMPLATE_DIR
+function resolveTemplate(name) {
+    const file = `${name}.html`;
+    if (process.env.TEMPLATE_DIR) {
+        const override = path.join(process.env.TEMPLATE_DIR, file);
+        if (fs.existsSync(override)) {
+            return override;
+        }
+    }
+    return path.join(BUILT_IN_DIR, file);
+}
+
+// Load and parse a template by name
+function loadTemplate(name) {
+    const filePath = resolveTemplate(name);
+    if (!cache.has(filePath)) {
+        let source;
+        try {
+            source = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            throw new Error(`Failed to read template ${name}: ${error.message}`);
+        }
+        cache.set(filePath, parse(source, name));
+    }
+    return cache.get(filePath);
+}
+
+// Look a name up through the context stack, innermost first
+function lookup(contexts, name) {
+    if (name === '.') {
+        return contexts[contexts.length - 1];
+    }
+    
+    const [first, ...rest] = name.split('.');
+    for (let i = contexts.length - 1; i >= 0; i--) {
+        const context = contexts[i];
+        if (context !== null && typeof context === 'object' && first in context) {
+            return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[first]);
+        }
+    }
+    return undefined;
+}
+
+// Whether a section value counts as empty: falsy values and empty lists
+function isEmpty(value) {
+    return !value || (Array.isArray(value) && value.length === 0);
+}
+
+// Render parsed nodes against a context stack
+function renderNodes(nodes, contexts) {
+    return nodes.map(node => {
+        if (node.type === 'text') {
+            return node.text;
+        }
+        
+        if (node.type === 'partial') {
+            return renderNodes(loadTemplate(node.name).children, contexts);
+        }
+        
+        const value = lookup(contexts, node.name);
+        
+        if (node.type === 'raw' || node.type === 'value') {
+            if (value === undefined || value === null) {
+                return '';
+            }
+            return node.type === 'raw' ? String(value) : escapeHtml(value);
+        }
+        
+        if (node.inverted) {
+            return isEmpty(value) ? renderNodes(node.children, contexts) : '';
+        }
+        if (isEmpty(value)) {
+            return '';
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => renderNodes(node.children, contexts.concat([item]))).join('');
+        }
+        return renderNodes(node.children, typeof value === 'object' ? contexts.concat([value]) : contexts);
+    }).join('');
+}
+
+// Render a named template with a view object
+function render(name, view) {
+    return renderNodes(loadTemplate(name).children, [view]);
+}
+
+// Render a template given as a string, e.g. in tests
+function renderString(source, view) {
+    return renderNodes(parse(source, 'inline').children, [view]);
+}
+
+// Forget parsed templates, so edited files are read again
+function clearTemplateCache() {
+    cache.clear();
+}
+
+module.exports = {
+    escapeHtml,
+    render,
+    renderString,
+    clearTemplateCache
+};
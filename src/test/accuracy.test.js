@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateDay, summarizeAccuracy, buildAccuracyDigest, describeDigest, formatDigest } = require('../accuracy');
+const { createFileArchive, appendRecord } = require('../archive');
+const { buildLocationReport } = require('../report');
+const { getTimeZone } = require('../time');
+const { normalize } = require('../providers/openweathermap');
+const { NOW, BANGKOK, loadFixture, createTempDir } = require('./helpers');
+
+// 00:00 UTC on 19 October 2026, 07:00 in Bangkok
+const DAY_START = 1792368000;
+
+// Archived forecast record for a recorded forecast, as the daily run stores it
+function recordFrom(name) {
+    const forecast = normalize(loadFixture(name));
+    const report = buildLocationReport(forecast, BANGKOK, 'en', undefined, NOW);
+    return {
+        fetchedAt: NOW.toISOString(),
+        provider: forecast.provider,
+        name: report.city,
+        zone: getTimeZone(forecast, BANGKOK),
+        prediction: report.prediction,
+        forecast: forecast
+    };
+}
+
+// Hourly observations from 08:00 Bangkok time with the given temperatures
+function observations(temps, condition = 'clouds', precipitation = 0) {
+    return temps.map((temp, index) => ({
+        dt: DAY_START + (index + 1) * 3600,
+        temp: temp,
+        condition: condition,
+        precipitation: precipitation
+    }));
+}
+
+test('evaluateDay compares the forecast with what was observed', () => {
+    const day = evaluateDay(recordFrom('rainy-day'), observations([26.1, 27.1, 28.1], 'rain', 1.5));
+    
+    assert.equal(day.date, '2026-10-19');
+    assert.equal(day.predictedRain, true);
+    assert.equal(day.observedRain, true);
+    // 08:00 and 09:00 fall in the 07:00 slot (27.1°C), 10:00 in the 10:00 slot (29.8°C)
+    assert.deepEqual(day.tempErrors.map(error => Number(error.toFixed(1))), [1.0, 0.0, 1.7]);
+    assert.deepEqual(day.laundry, { verdict: 'dont-hang', wrong: false });
+});
+
+test('evaluateDay counts advice to keep laundry in as wrong on a dry day', () => {
+    const day = evaluateDay(recordFrom('rainy-day'), observations([27, 28, 29]));
+    
+    assert.equal(day.observedRain, false);
+    assert.deepEqual(day.laundry, { verdict: 'dont-hang', wrong: true });
+});
+
+test('evaluateDay grades advice to hang laundry on rain during the drying window', () => {
+    const record = recordFrom('thunderstorm');
+    assert.equal(record.prediction.laundry, 'hang');
+    
+    const { start } = record.prediction.dryingWindow;
+    const rainInWindow = [
+        { dt: start, temp: 30, condition: 'clouds', precipitation: 0 },
+        { dt: start + 3600, temp: 31, condition: 'rain', precipitation: 0.4 },
+        { dt: start + 7200, temp: 31, condition: 'clouds', precipitation: 0 }
+    ];
+    
+    assert.deepEqual(evaluateDay(record, rainInWindow).laundry, { verdict: 'hang', wrong: true });
+    assert.deepEqual(evaluateDay(record, observations([30, 31, 32, 33])).laundry, { verdict: 'hang', wrong: false });
+});
+
+test('evaluateDay skips days with too few observations', () => {
+    assert.equal(evaluateDay(recordFrom('rainy-day'), observations([27, 28])), null);
+});
+
+test('summarizeAccuracy counts rain hits and the temperature and laundry errors', () => {
+    const summary = summarizeAccuracy([
+        { predictedRain: true, observedRain: true, tempErrors: [1, -1], laundry: { verdict: 'dont-hang', wrong: false } },
+        { predictedRain: true, observedRain: false, tempErrors: [2], laundry: { verdict: 'dont-hang', wrong: true } },
+        { predictedRain: false, observedRain: true, tempErrors: [], laundry: { verdict: 'hang', wrong: true } },
+        { predictedRain: false, observedRain: false, tempErrors: [-2], laundry: null }
+    ]);
+    
+    assert.deepEqual(summary.rain, { predicted: 2, observed: 2, hits: 1, precision: 50, recall: 50, accuracy: 50 });
+    assert.deepEqual(summary.temperature, { samples: 4, meanAbsoluteError: 1.5, bias: 0 });
+    assert.deepEqual(summary.laundry, { graded: 3, wrong: 2, wrongRate: 67 });
+});
+
+test('buildAccuracyDigest grades the archived days of the last week', async () => {
+    const archive = createFileArchive(createTempDir());
+    await appendRecord(archive, 'forecasts', '2026-10-19', BANGKOK, recordFrom('rainy-day'));
+    for (const observation of observations([26.1, 27.1, 28.1], 'rain', 1.5)) {
+        await appendRecord(archive, 'observations', '2026-10-19', BANGKOK, observation);
+    }
+    // A forecast from before the period is left out
+    await appendRecord(archive, 'forecasts', '2026-10-10', BANGKOK, recordFrom('heat-wave'));
+    
+    const zone = { iana: 'Asia/Bangkok' };
+    const digest = await buildAccuracyDigest(archive, { period: 'week', zone: zone, now: new Date('2026-10-22T00:00:00Z') });
+    
+    assert.equal(digest.start, '2026-10-15');
+    assert.equal(digest.end, '2026-10-21');
+    assert.equal(digest.overall.days, 1);
+    assert.equal(digest.locations[0].name, 'Bangkok');
+    
+    const text = formatDigest(describeDigest(digest, 'en'));
+    assert.match(text, /📊 Forecast Accuracy\nThu 15\/10 - Wed 21\/10 \(7 days\)/);
+    assert.match(text, /📍 Bangkok\n📅 1 day\(s\) graded, 0 without enough observations/);
+    assert.match(text, /Rain forecast on 1 day\(s\), it rained on 1 \(100%\)/);
+    assert.match(text, /Temperature off by 0\.9°C on average, bias \+0\.9°C \(3 readings\)/);
+    assert.match(text, /Laundry advice wrong on 0 of 1 day\(s\) \(0%\)/);
+    assert.doesNotMatch(text, /All locations/);
+});
+
+test('buildAccuracyDigest rejects unknown periods', async () => {
+    await assert.rejects(buildAccuracyDigest(createFileArchive(createTempDir()), { period: 'year' }), /Unknown digest period "year"/);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeAirQuality, describeAirQuality, formatAirQuality } = require('../airquality');
+const { buildLocationReport, renderText } = require('../report');
+const { fetchForecast } = require('../providers');
+const { CONFIG: HTTP_CONFIG } = require('../http');
+const openWeatherMap = require('../providers/openweathermap');
+const openMeteo = require('../providers/open-meteo');
+const { NOW, BANGKOK, loadFixture, createHttpClient, withEnv } = require('./helpers');
+
+const ZONE = { iana: 'Asia/Bangkok' };
+
+// Hourly air points from the recorded air pollution and One Call responses
+function airFrom(withUv = true) {
+    return openWeatherMap.normalizeAirQuality(loadFixture('air-pollution'), withUv ? loadFixture('onecall') : null);
+}
+
+// Normalized forecast from a recorded fixture, with the given air points
+function forecastWithAir(name, air) {
+    return Object.assign(openWeatherMap.normalize(loadFixture(name)), { air: air });
+}
+
+const retryDelay = HTTP_CONFIG.RETRY_DELAY;
+test.before(() => {
+    HTTP_CONFIG.RETRY_DELAY = 0;
+});
+test.after(() => {
+    HTTP_CONFIG.RETRY_DELAY = retryDelay;
+});
+
+test('normalizeAirQuality merges PM2.5 with the One Call UV index by hour', () => {
+    const air = airFrom();
+    
+    assert.equal(air.length, 24);
+    assert.deepEqual(air[2], { dt: 1792371600, pm25: 61.3, uvIndex: 1.2 });
+    assert.equal(airFrom(false)[2].uvIndex, undefined);
+});
+
+test('analyzeAirQuality finds the peak, its category and the peak hours', () => {
+    const analysis = analyzeAirQuality(airFrom(), ZONE, NOW);
+    
+    assert.equal(analysis.pm25.max, 61.3);
+    assert.equal(analysis.pm25.category, 'unhealthy');
+    assert.equal(analysis.uv.category, 'veryHigh');
+    
+    const described = describeAirQuality(analysis, ZONE, 'en');
+    assert.deepEqual(described.lines, [
+        '🌫️ PM2.5 up to 61 µg/m³ (starting to affect health), worst 06:00 - 11:00',
+        '☀️ UV index up to 10 (very high), highest 12:00 - 16:00'
+    ]);
+    assert.equal(formatAirQuality(described), `\n🍃 Air quality and UV:\n${described.lines.join('\n')}\n`);
+});
+
+test('analyzeAirQuality only looks at the rest of today', () => {
+    const air = airFrom();
+    const afternoon = new Date('2026-10-19T07:30:00Z');
+    
+    // 14:30 in Bangkok: the morning peak is over
+    assert.equal(analyzeAirQuality(air, ZONE, afternoon).pm25.max, 41.7);
+    assert.equal(analyzeAirQuality(air, ZONE, new Date('2026-10-20T00:00:00Z')), null);
+    assert.equal(analyzeAirQuality(undefined, ZONE, NOW), null);
+});
+
+test('describeAirQuality leaves out a UV index of zero', () => {
+    const air = [{ dt: 1792364400, pm25: 12, uvIndex: 0 }];
+    const described = describeAirQuality(analyzeAirQuality(air, ZONE, NOW), ZONE, 'th');
+    
+    assert.deepEqual(described.lines, ['🌫️ PM2.5 สูงสุด 12 µg/m³ (ดีมาก) ช่วงที่แย่ที่สุด 06:00 - 07:00']);
+});
+
+test('Open-Meteo air quality keeps missing hours as undefined', () => {
+    const air = openMeteo.normalizeAirQuality({
+        hourly: { time: [1792364400, 1792368000], pm2_5: [18.4, null], uv_index: [0.2, 0.9] }
+    });
+    
+    assert.deepEqual(air, [
+        { dt: 1792364400, pm25: 18.4, uvIndex: 0.2 },
+        { dt: 1792368000, pm25: undefined, uvIndex: 0.9 }
+    ]);
+});
+
+test('high PM2.5 keeps laundry indoors on a dry day and adds outdoor advice', () => {
+    const air = airFrom().map(point => Object.assign({}, point, { pm25: point.pm25 + 30 }));
+    const report = buildLocationReport(forecastWithAir('heat-wave', air), BANGKOK, 'en', undefined, NOW);
+    
+    assert.equal(report.laundry[0], '😷 Dust (PM2.5) is high today, dry clothes indoors if you can');
+    assert.equal(report.prediction.laundry, null);
+    assert.deepEqual(report.outdoor, [
+        '🧴 UV index up to 10.1, use sunscreen and stay out of the midday sun',
+        '😷 PM2.5 up to 91.3 µg/m³, wear an N95 mask and keep time outside short'
+    ]);
+    assert.match(renderText(report), /🍃 Air quality and UV:\n🌫️ PM2\.5 up to 91 µg\/m³ \(unhealthy\)[^\n]*\n☀️[^\n]*\n🧴/);
+});
+
+test('clean air leaves the laundry and outdoor advice alone', () => {
+    const air = airFrom(false).map(point => Object.assign({}, point, { pm25: 10 }));
+    const report = buildLocationReport(forecastWithAir('heat-wave', air), BANGKOK, 'en', undefined, NOW);
+    
+    assert.equal(report.laundry[0], '✅ Nice weather today, go ahead and do the laundry!');
+    assert.deepEqual(report.outdoor, []);
+    assert.equal(report.air.lines.length, 1);
+});
+
+test('fetchForecast still returns the forecast when air quality fails', () => withEnv({
+    OPENWEATHER_API_KEY: 'test-key',
+    OPENWEATHER_ONECALL: undefined,
+    WEATHER_PROVIDERS: 'openweathermap'
+}, async () => {
+    const forecast = loadFixture('rainy-day');
+    const httpClient = createHttpClient(options => (options.path.startsWith('/data/2.5/air_pollution')
+        ? { statusCode: 503, statusMessage: 'Service Unavailable', body: '' }
+        : { body: forecast }));
+    
+    const result = await fetchForecast(BANGKOK, { language: 'en', airQuality: true, httpClient: httpClient });
+    
+    assert.equal(result.slots.length, 8);
+    assert.equal(result.air, null);
+    assert.equal(httpClient.calls.length, 1 + HTTP_CONFIG.MAX_RETRIES);
+}));
+
+test('fetchForecast adds the One Call UV index when enabled', () => withEnv({
+    OPENWEATHER_API_KEY: 'test-key',
+    OPENWEATHER_ONECALL: 'true',
+    WEATHER_PROVIDERS: 'openweathermap'
+}, async () => {
+    const fixtures = { forecast: loadFixture('rainy-day'), air_pollution: loadFixture('air-pollution'), onecall: loadFixture('onecall') };
+    const httpClient = createHttpClient(options => ({ body: fixtures[options.path.match(/^\/data\/[\d.]+\/(\w+)/)[1]] }));
+    
+    const result = await fetchForecast(BANGKOK, { language: 'en', airQuality: true, httpClient: httpClient });
+    
+    assert.match(httpClient.calls[2].options.path, /^\/data\/3\.0\/onecall\?lat=13\.7563&lon=100\.5018&appid=test-key/);
+    assert.deepEqual(result.air, airFrom());
+}));
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeWeather, analyzeRainTiming, formatRainTiming } = require('../index');
+const { normalize } = require('../providers/openweathermap');
+const { NOW, BANGKOK, loadFixture } = require('./helpers');
+
+// Normalized forecast from a recorded OpenWeatherMap response
+function forecastFrom(name) {
+    return normalize(loadFixture(name));
+}
+
+test('analyzeRainTiming buckets rain slots into today and tomorrow in local time', () => {
+    const rain = analyzeRainTiming(forecastFrom('rainy-day'), 'en', undefined, NOW);
+    
+    assert.deepEqual(rain.map(slot => [slot.time, slot.isToday, slot.probability]), [
+        ['10:00', true, 45],
+        ['13:00', true, 85],
+        ['16:00', true, 90],
+        ['19:00', true, 60],
+        ['01:00', false, 40]
+    ]);
+    assert.equal(rain[1].volume, 4.1);
+    assert.equal(rain[1].description, 'moderate rain');
+});
+
+test('analyzeRainTiming keeps the thunderstorm condition as the intensity', () => {
+    const rain = analyzeRainTiming(forecastFrom('thunderstorm'), 'en', undefined, NOW);
+    
+    assert.deepEqual(rain.map(slot => slot.intensity), ['thunderstorm', 'thunderstorm', 'rain']);
+});
+
+test('analyzeRainTiming finds nothing on a dry day', () => {
+    assert.deepEqual(analyzeRainTiming(forecastFrom('heat-wave'), 'en', undefined, NOW), []);
+});
+
+test('formatRainTiming lists today and tomorrow with intensity emoji', () => {
+    const message = formatRainTiming(analyzeRainTiming(forecastFrom('thunderstorm'), 'en', undefined, NOW), 'en');
+    
+    assert.match(message, /🌧️ Rain forecast:/);
+    assert.match(message, /📅 Today:\n {3}⛈️ 13:00 - 95% chance \(14\.2mm\)/);
+    assert.match(message, /🌦️ 19:00 - 50% chance \(1\.1mm\)/);
+    assert.doesNotMatch(message, /Tomorrow/);
+});
+
+test('formatRainTiming limits tomorrow to the first three slots', () => {
+    const tomorrow = ['01:00', '04:00', '07:00', '10:00'].map(time => ({
+        time: time,
+        isToday: false,
+        probability: 70,
+        volume: 1,
+        intensity: 'rain'
+    }));
+    const message = formatRainTiming(tomorrow, 'en');
+    
+    assert.match(message, /📅 Tomorrow:/);
+    assert.match(message, /07:00/);
+    assert.doesNotMatch(message, /10:00/);
+});
+
+test('formatRainTiming returns an empty string without rain', () => {
+    assert.equal(formatRainTiming([], 'en'), '');
+});
+
+test('analyzeWeather advises against drying laundry outside on a rainy day', () => {
+    const message = analyzeWeather(forecastFrom('rainy-day'), BANGKOK, 'en', undefined, NOW);
+    
+    assert.match(message, /📍 Bangkok \(13\.7563, 100\.5018\)/);
+    assert.match(message, /Temperature: 26\.8°C - 30\.6°C/);
+    assert.match(message, /Rain today, don't hang laundry outside/);
+    assert.match(message, /No good window to dry laundry outside today/);
+    assert.match(message, /Don't forget your umbrella\n⏰ Rain expected around 10:00/);
+});
+
+test('analyzeWeather suggests a drying window before a thunderstorm', () => {
+    const message = analyzeWeather(forecastFrom('thunderstorm'), BANGKOK, 'en', undefined, NOW);
+    
+    assert.match(message, /Rain on and off today/);
+    assert.match(message, /Best time to hang laundry: 10:00 - 13:00/);
+    assert.match(message, /Bring laundry in before 13:00/);
+});
+
+test('analyzeWeather recommends shade during a heat wave', () => {
+    const message = analyzeWeather(forecastFrom('heat-wave'), BANGKOK, 'en', undefined, NOW);
+    
+    assert.match(message, /Temperature: 31\.2°C - 39\.2°C/);
+    assert.match(message, /Nice weather today, go ahead and do the laundry!/);
+    assert.match(message, /Very hot, take an umbrella for shade/);
+    assert.doesNotMatch(message, /Rain forecast/);
+});
+
+test('analyzeWeather reports missing data for an empty forecast', () => {
+    assert.equal(analyzeWeather(forecastFrom('empty-list'), BANGKOK, 'en', undefined, NOW), 'Unable to retrieve weather data.');
+});
+
+test('analyzeWeather uses the clock to decide which day is today', () => {
+    // By the evening of the next day every slot is in the past
+    const message = analyzeWeather(forecastFrom('rainy-day'), BANGKOK, 'en', undefined, new Date('2026-10-20T18:00:00Z'));
+    
+    assert.equal(message, 'No weather data available for today.');
+});
+
+test('analyzeWeather reports in Thai', () => {
+    const message = analyzeWeather(forecastFrom('rainy-day'), BANGKOK, 'th', undefined, NOW);
+    
+    assert.match(message, /สภาพอากาศวันนี้/);
+    assert.match(message, /วันนี้ฝนตก/);
+});
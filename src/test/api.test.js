@@ -0,0 +1,262 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createApi } = require('../api');
+const { createHandler } = require('../index');
+const { createServer } = require('../server');
+const { signToken, verifyToken, getSubscriberId, getUnsubscribeUrl } = require('../links');
+const { loadSubscriptions } = require('../subscriptions');
+const { createStore } = require('../store');
+const { NOW, loadFixture, createHttpClient, createWeatherClient, createSesClient, withEnv, captureConsole, createTempDir } = require('./helpers');
+
+// OpenWeatherMap only, with subscription management configured and an
+// empty store
+function environment(overrides = {}) {
+    return Object.assign({
+        SENDER_EMAIL: 'weather@example.com',
+        RECIPIENT_EMAIL: undefined,
+        LATITUDE: undefined,
+        LONGITUDE: undefined,
+        LANGUAGE: 'en',
+        OPENWEATHER_API_KEY: 'test-key',
+        OPENWEATHER_ONECALL: undefined,
+        WEATHER_PROVIDERS: 'openweathermap',
+        STORE_DIR: createTempDir(),
+        STORE_TABLE: undefined,
+        SUBSCRIPTIONS_FILE: undefined,
+        RULES_FILE: undefined,
+        TIMEZONE: undefined,
+        DELIVERY_POLICY: undefined,
+        QUIET_DAYS: undefined,
+        UNSUBSCRIBE_SECRET: 'test-secret',
+        PUBLIC_BASE_URL: 'https://weather.example.com/',
+        ADMIN_EMAIL: undefined
+    }, overrides);
+}
+
+// API answering with the recorded rainy day forecast at the fixed clock,
+// sending email through the given fake SES client
+function createTestApi(sesClient = createSesClient(), clock = () => NOW) {
+    return createApi({ httpClient: createWeatherClient('rainy-day'), sesClient: sesClient, clock: clock });
+}
+
+// Query of the link in a confirmation email
+function getConfirmQuery(email) {
+    const url = email.text.match(/https:\/\/\S+/)[0];
+    return Object.fromEntries(new URL(url).searchParams);
+}
+
+// Send a request with a JSON body and parse a JSON response
+async function send(api, method, path, body, query = {}) {
+    const response = await api({ method: method, path: path, query: query, body: body ? JSON.stringify(body) : null });
+    const json = /json/.test(response.headers['Content-Type']) ? JSON.parse(response.body) : null;
+    return Object.assign({ json: json }, response);
+}
+
+const BANGKOK_QUERY = { lat: '13.7563', lon: '100.5018', lang: 'en' };
+
+test('signed tokens are bound to the subscriber and their purpose', () => withEnv(environment(), () => {
+    const token = signToken('abc', 'unsubscribe');
+    
+    assert.ok(verifyToken('abc', 'unsubscribe', token));
+    assert.ok(verifyToken('abc', 'unsubscribe', signToken('abc', 'manage')));
+    assert.equal(verifyToken('abc', 'manage', token), false);
+    assert.equal(verifyToken('abd', 'unsubscribe', token), false);
+    assert.equal(verifyToken('abc', 'unsubscribe', undefined), false);
+    assert.equal(getUnsubscribeUrl('a b'), `https://weather.example.com/unsubscribe?id=a%20b&token=${signToken('a b', 'unsubscribe')}`);
+    
+    process.env.PUBLIC_BASE_URL = '';
+    assert.equal(getUnsubscribeUrl('abc'), null);
+}));
+
+test('GET /report answers with the report in each format', () => withEnv(environment(), async () => {
+    const api = createTestApi();
+    
+    const { statusCode, json } = await send(api, 'GET', '/report', null, BANGKOK_QUERY);
+    assert.equal(statusCode, 200);
+    assert.equal(json.provider, 'openweathermap');
+    assert.equal(json.report.city, 'Bangkok');
+    assert.equal(json.report.prediction.hasRain, true);
+    
+    const text = await send(api, 'GET', '/report', null, Object.assign({ format: 'text' }, BANGKOK_QUERY));
+    assert.equal(text.headers['Content-Type'], 'text/plain; charset=utf-8');
+    assert.match(text.body, /^🌤️ Today's Weather\n[\s\S]*Rain today, don't hang laundry outside/);
+    
+    const html = await send(api, 'GET', '/report', null, Object.assign({ format: 'html' }, BANGKOK_QUERY));
+    assert.match(html.body, /<!DOCTYPE html>/);
+    assert.match(html.body, /src="data:image\/png;base64,/);
+}));
+
+test('GET /report falls back to Open-Meteo and keeps the slots from the API clock on', () => withEnv(environment({ WEATHER_PROVIDERS: 'openweathermap,open-meteo' }), async () => {
+    const httpClient = createHttpClient(options => (options.hostname === 'api.open-meteo.com'
+        ? { body: loadFixture('open-meteo') }
+        : { statusCode: 401, statusMessage: 'Unauthorized', body: {} }));
+    const api = createApi({ httpClient: httpClient, clock: () => NOW });
+    
+    const { result } = await captureConsole(() => send(api, 'GET', '/report', null, BANGKOK_QUERY));
+    
+    assert.equal(result.json.provider, 'open-meteo');
+    const { summary, prediction, timeline } = result.json.report;
+    assert.deepEqual([summary.minTemp, summary.maxTemp], ['25.4', '32.9']);
+    assert.equal(prediction.hasRain, true);
+    assert.equal(timeline[0].time, '04:00');
+}));
+
+test('GET /report rejects bad parameters', () => withEnv(environment(), async () => {
+    const api = createTestApi();
+    
+    assert.equal((await send(api, 'GET', '/report', null, { lat: '91', lon: '100' })).statusCode, 400);
+    assert.match((await send(api, 'GET', '/report', null, Object.assign({}, BANGKOK_QUERY, { format: 'xml' }))).json.error, /Unknown format "xml"/);
+    assert.equal((await send(api, 'GET', '/nowhere')).statusCode, 404);
+    assert.equal((await send(api, 'POST', '/report')).statusCode, 405);
+    assert.equal((await send(api, 'PUT', '/subscriptions/%E0/location', { lat: 1, lon: 1 })).statusCode, 400);
+}));
+
+test('subscribers confirm by email, then move and unsubscribe', () => withEnv(environment(), async () => {
+    const sesClient = createSesClient();
+    const api = createTestApi(sesClient);
+    
+    const created = await send(api, 'POST', '/subscriptions', { email: 'new@example.com', language: 'th', lat: 13.7563, lon: 100.5018 });
+    assert.equal(created.statusCode, 202);
+    assert.equal(await createStore('subscriptions').get(getSubscriberId('new@example.com')), null);
+    
+    // The confirmation email, in the language asked for
+    assert.equal(sesClient.sent.length, 1);
+    assert.deepEqual(sesClient.sent[0].to, ['new@example.com']);
+    assert.equal(sesClient.sent[0].subject, '✉️ ยืนยันการสมัครรับรายงานสภาพอากาศ');
+    const query = getConfirmQuery(sesClient.sent[0]);
+    const id = query.id;
+    assert.equal(id, getSubscriberId('new@example.com'));
+    
+    // Following the link only asks; the button confirms
+    const prompt = await send(api, 'GET', '/confirm', null, query);
+    assert.equal(prompt.statusCode, 200);
+    assert.match(prompt.body, /<form method="post" action="\?id=/);
+    assert.equal(await createStore('subscriptions').get(id), null);
+    
+    const confirmed = await send(api, 'POST', '/confirm', null, query);
+    assert.equal(confirmed.statusCode, 200);
+    const token = signToken(id, 'manage');
+    assert.ok(confirmed.body.includes(token));
+    assert.equal((await send(api, 'POST', '/confirm', null, query)).statusCode, 403);
+    
+    const [subscriber] = await loadSubscriptions();
+    assert.equal(subscriber.id, id);
+    assert.deepEqual(subscriber.channels, [{ type: 'ses', to: 'new@example.com' }]);
+    
+    const moved = await send(api, 'PUT', `/subscriptions/${id}/location`, { name: 'Chiang Mai', lat: 18.7883, lon: 98.9853 }, { token: token });
+    assert.equal(moved.statusCode, 200);
+    assert.deepEqual(moved.json.locations, [{ name: 'Chiang Mai', lat: 18.7883, lon: 98.9853, timezone: null }]);
+    assert.equal((await createStore('subscriptions').get(id)).locations[0].name, 'Chiang Mai');
+    
+    // The unsubscribe link cannot change the subscription
+    const unsubscribeToken = signToken(id, 'unsubscribe');
+    assert.equal((await send(api, 'PUT', `/subscriptions/${id}/location`, { lat: 1, lon: 1 }, { token: unsubscribeToken })).statusCode, 403);
+    
+    const deleted = await api({ method: 'DELETE', path: `/subscriptions/${id}`, headers: { authorization: `Bearer ${token}` } });
+    assert.equal(deleted.statusCode, 200);
+    assert.equal(await createStore('subscriptions').get(id), null);
+}));
+
+test('subscribing answers the same for every address and sends one email a day', () => withEnv(environment(), async () => {
+    const sesClient = createSesClient();
+    let now = NOW;
+    const api = createTestApi(sesClient, () => now);
+    const body = { email: 'new@example.com', lat: 13.7563, lon: 100.5018 };
+    
+    const first = await send(api, 'POST', '/subscriptions', body);
+    const again = await send(api, 'POST', '/subscriptions', body);
+    assert.equal(sesClient.sent.length, 1);
+    
+    await send(api, 'POST', '/confirm', null, getConfirmQuery(sesClient.sent[0]));
+    const subscribed = await send(api, 'POST', '/subscriptions', body);
+    assert.deepEqual([first.statusCode, again.statusCode, subscribed.statusCode], [202, 202, 202]);
+    assert.deepEqual(again.json, first.json);
+    assert.deepEqual(subscribed.json, first.json);
+    assert.equal(sesClient.sent.length, 1);
+    
+    // A day later an address that never confirmed gets a new email, and
+    // after a week the old link no longer works
+    const other = { email: 'other@example.com', lat: 13.7563, lon: 100.5018 };
+    await send(api, 'POST', '/subscriptions', other);
+    now = new Date(NOW.getTime() + 25 * 60 * 60 * 1000);
+    await send(api, 'POST', '/subscriptions', other);
+    assert.equal(sesClient.sent.length, 3);
+    
+    now = new Date(NOW.getTime() + 9 * 24 * 60 * 60 * 1000);
+    assert.equal((await send(api, 'POST', '/confirm', null, getConfirmQuery(sesClient.sent[2]))).statusCode, 403);
+    assert.equal((await send(api, 'GET', '/confirm', null, { id: getSubscriberId('other@example.com'), token: 'x' })).statusCode, 403);
+}));
+
+test('subscribe validates the subscription', () => withEnv(environment(), async () => {
+    const api = createTestApi();
+    
+    assert.match((await send(api, 'POST', '/subscriptions', { lat: 13, lon: 100 })).json.error, /email address is required/);
+    assert.match((await send(api, 'POST', '/subscriptions', { email: 'a@example.com', lat: 100, lon: 100 })).json.error, /invalid latitude/);
+    assert.match((await send(api, 'POST', '/subscriptions', { email: 'a@example.com', lat: 13, lon: 100, delivery: 'hourly' })).json.error, /unknown delivery policy/);
+    assert.equal((await api({ method: 'POST', path: '/subscriptions', body: '{' })).statusCode, 400);
+    
+    process.env.PUBLIC_BASE_URL = '';
+    assert.match((await send(api, 'POST', '/subscriptions', { email: 'a@example.com', lat: 13, lon: 100 })).json.error, /set PUBLIC_BASE_URL/);
+    process.env.UNSUBSCRIBE_SECRET = '';
+    assert.equal((await send(api, 'POST', '/subscriptions', { email: 'a@example.com', lat: 13, lon: 100 })).statusCode, 503);
+}));
+
+test('the unsubscribe link in the daily email stops further reports', () => withEnv(environment({
+    RECIPIENT_EMAIL: 'reader@example.com',
+    LATITUDE: '13.7563',
+    LONGITUDE: '100.5018'
+}), async () => {
+    const sesClient = createSesClient();
+    const handler = createHandler({ httpClient: createWeatherClient('rainy-day'), sesClient: sesClient, clock: () => NOW });
+    await handler({});
+    
+    const url = getUnsubscribeUrl('default');
+    const { text, html, headers } = sesClient.sent[0];
+    assert.ok(text.endsWith(`\n\nUnsubscribe: ${url}`));
+    assert.ok(html.includes(`<a href="${url.replace(/&/g, '&amp;')}"`));
+    assert.equal(headers['List-Unsubscribe'], `<${url}>`);
+    assert.equal(headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+    
+    // Following the link through API Gateway only asks for confirmation
+    const query = Object.fromEntries(new URLSearchParams(new URL(url).search));
+    const page = await handler({ rawPath: '/unsubscribe', queryStringParameters: query, requestContext: { http: { method: 'GET' } } });
+    assert.equal(page.statusCode, 200);
+    assert.match(page.body, /<form method="post" action="\?id=default&amp;token=/);
+    assert.equal((await loadSubscriptions()).length, 1);
+    
+    // The confirmation button, or a mail client's one-click request
+    const response = await handler({
+        rawPath: '/unsubscribe',
+        queryStringParameters: query,
+        body: 'List-Unsubscribe=One-Click',
+        requestContext: { http: { method: 'POST' } }
+    });
+    assert.equal(response.statusCode, 200);
+    assert.match(response.body, /You will no longer receive weather reports/);
+    assert.deepEqual(await loadSubscriptions(), []);
+    
+    const forged = await handler({ rawPath: '/unsubscribe', queryStringParameters: { id: 'default', token: 'x' }, requestContext: { http: { method: 'GET' } } });
+    assert.equal(forged.statusCode, 403);
+}));
+
+test('the local server answers through the same API', () => withEnv(environment(), async () => {
+    const server = createServer({ httpClient: createWeatherClient('rainy-day'), sesClient: createSesClient(), clock: () => NOW });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    try {
+        const { port } = server.address();
+        const { result: response, lines } = await captureConsole(() => fetch(`http://127.0.0.1:${port}/report?lat=13.7563&lon=100.5018&lang=en&format=text`));
+        assert.equal(response.status, 200);
+        assert.match(await response.text(), /Rain today/);
+        const served = lines.map(line => JSON.parse(line)).find(entry => entry.message === 'Request served');
+        assert.deepEqual([served.level, served.method, served.path, served.statusCode], ['info', 'GET', '/report', 200]);
+        
+        const created = await fetch(`http://127.0.0.1:${port}/subscriptions`, {
+            method: 'POST',
+            body: JSON.stringify({ email: 'local@example.com', lat: 13.7563, lon: 100.5018 })
+        });
+        assert.equal(created.status, 202);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}));
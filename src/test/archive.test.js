@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createArchive, createFileArchive, createS3Archive, appendRecord, loadDay } = require('../archive');
+const { BANGKOK, withEnv, createTempDir } = require('./helpers');
+
+const CHIANG_MAI = { name: 'Chiang Mai', lat: 18.7883, lon: 98.9853, timezone: null };
+
+// Fake S3 client keeping objects in memory
+function createS3Client() {
+    const objects = new Map();
+    const respond = (result) => ({ promise: async () => result() });
+    
+    return {
+        objects: objects,
+        getObject(params) {
+            return respond(() => {
+                if (!objects.has(params.Key)) {
+                    throw Object.assign(new Error('The specified key does not exist.'), { code: 'NoSuchKey' });
+                }
+                return { Body: Buffer.from(objects.get(params.Key)) };
+            });
+        },
+        putObject(params) {
+            return respond(() => objects.set(params.Key, params.Body));
+        },
+        listObjectsV2(params) {
+            return respond(() => ({
+                Contents: Array.from(objects.keys()).filter(key => key.startsWith(params.Prefix)).map(key => ({ Key: key })),
+                IsTruncated: false
+            }));
+        }
+    };
+}
+
+test('createArchive is off unless ARCHIVE_BUCKET or ARCHIVE_DIR is set', () => withEnv({ ARCHIVE_BUCKET: undefined, ARCHIVE_DIR: undefined }, async () => {
+    assert.equal(createArchive(), null);
+}));
+
+test('appendRecord keeps a list per location and day', () => withEnv({ ARCHIVE_BUCKET: undefined, ARCHIVE_DIR: createTempDir() }, async () => {
+    const archive = createArchive();
+    
+    await appendRecord(archive, 'observations', '2026-10-19', BANGKOK, { dt: 1 });
+    await appendRecord(archive, 'observations', '2026-10-19', BANGKOK, { dt: 2 });
+    await appendRecord(archive, 'observations', '2026-10-19', CHIANG_MAI, { dt: 3 });
+    await appendRecord(archive, 'observations', '2026-10-20', BANGKOK, { dt: 4 });
+    
+    assert.deepEqual(await archive.get('observations/2026-10-19/13.7563,100.5018.json'), [{ dt: 1 }, { dt: 2 }]);
+    assert.deepEqual(await archive.list('observations/2026-10-19/'), [
+        'observations/2026-10-19/13.7563,100.5018.json',
+        'observations/2026-10-19/18.7883,98.9853.json'
+    ]);
+}));
+
+test('loadDay maps location keys to their records', async () => {
+    const archive = createFileArchive(createTempDir());
+    await appendRecord(archive, 'forecasts', '2026-10-19', BANGKOK, { name: 'Bangkok' });
+    
+    const day = await loadDay(archive, 'forecasts', '2026-10-19');
+    
+    assert.deepEqual(Array.from(day.entries()), [['13.7563,100.5018', [{ name: 'Bangkok' }]]]);
+    assert.equal((await loadDay(archive, 'forecasts', '2026-10-20')).size, 0);
+});
+
+test('appendRecord rejects unknown kinds', async () => {
+    await assert.rejects(appendRecord(createFileArchive(createTempDir()), 'alerts', '2026-10-19', BANGKOK, {}), /Unknown archive kind: alerts/);
+});
+
+test('the S3 archive stores JSON objects under the same keys', async () => {
+    const client = createS3Client();
+    const archive = createS3Archive('weather-archive', client);
+    
+    assert.equal(await archive.get('forecasts/2026-10-19/13.7563,100.5018.json'), null);
+    
+    await appendRecord(archive, 'forecasts', '2026-10-19', BANGKOK, { name: 'Bangkok' });
+    
+    assert.deepEqual(Array.from(client.objects.keys()), ['forecasts/2026-10-19/13.7563,100.5018.json']);
+    assert.deepEqual(Array.from((await loadDay(archive, 'forecasts', '2026-10-19')).values()), [[{ name: 'Bangkok' }]]);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, spendBudget, resetBudget } = require('../budget');
+const { createStore } = require('../store');
+const { fetchForecast } = require('../providers');
+const { BANGKOK, createHttpClient, createWeatherClient, withEnv, captureConsole, createTempDir } = require('./helpers');
+
+const limits = { PER_MINUTE: CONFIG.PER_MINUTE, PER_DAY: CONFIG.PER_DAY };
+test.beforeEach(() => {
+    resetBudget();
+});
+test.afterEach(() => {
+    Object.assign(CONFIG, limits);
+});
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+test('spendBudget allows the calls per minute for each key', () => captureConsole(async () => {
+    Object.assign(CONFIG, { PER_MINUTE: 2, PER_DAY: 0 });
+    
+    await spendBudget('OpenWeatherMap', 'key-a', NOW);
+    await spendBudget('OpenWeatherMap', 'key-a', NOW + 1000);
+    await assert.rejects(spendBudget('OpenWeatherMap', 'key-a', NOW + 2000), {
+        message: 'OpenWeatherMap call budget spent: 2 of 2 calls in the last minute'
+    });
+    
+    // Another key has its own budget, and the first one recovers
+    await spendBudget('OpenWeatherMap', 'key-b', NOW + 2000);
+    await spendBudget('OpenWeatherMap', 'key-a', NOW + 60 * 1000 + 1);
+}));
+
+test('spendBudget counts the calls per day in the store', () => withEnv({ STORE_DIR: createTempDir(), STORE_TABLE: undefined }, () => captureConsole(async () => {
+    Object.assign(CONFIG, { PER_MINUTE: 0, PER_DAY: 2 });
+    
+    await spendBudget('OpenWeatherMap', 'key-a', NOW);
+    // A new Lambda instance still sees the calls made today
+    resetBudget();
+    await spendBudget('OpenWeatherMap', 'key-a', NOW + 1000);
+    await assert.rejects(spendBudget('OpenWeatherMap', 'key-a', NOW + 2000), /2 of 2 calls today/);
+    
+    await spendBudget('OpenWeatherMap', 'key-a', Date.parse('2026-10-20T00:00:00Z'));
+})));
+
+test('parallel calls cannot spend the same budget twice', () => withEnv({ STORE_DIR: createTempDir(), STORE_TABLE: undefined }, () => captureConsole(async () => {
+    Object.assign(CONFIG, { PER_MINUTE: 3, PER_DAY: 0 });
+    const minute = await Promise.allSettled(Array.from({ length: 6 }, () => spendBudget('OpenWeatherMap', 'key-a', NOW)));
+    assert.equal(minute.filter(outcome => outcome.status === 'rejected').length, 3);
+    
+    Object.assign(CONFIG, { PER_MINUTE: 0, PER_DAY: 4 });
+    const daily = await Promise.allSettled(Array.from({ length: 6 }, () => spendBudget('OpenWeatherMap', 'key-b', NOW)));
+    assert.equal(daily.filter(outcome => outcome.status === 'rejected').length, 2);
+    const saved = await createStore('budget').list();
+    assert.deepEqual(saved.map(item => item.value), [{ day: '2026-10-19', calls: 4 }]);
+})));
+
+test('a spent budget fails the provider without calling the API', () => withEnv({
+    OPENWEATHER_API_KEY: 'test-key',
+    WEATHER_PROVIDERS: 'openweathermap'
+}, () => captureConsole(async () => {
+    Object.assign(CONFIG, { PER_MINUTE: 1, PER_DAY: 0 });
+    const httpClient = createWeatherClient('rainy-day');
+    
+    await fetchForecast(BANGKOK, { language: 'en', httpClient: httpClient });
+    await assert.rejects(fetchForecast(BANGKOK, { language: 'en', httpClient: httpClient }),
+        /All weather providers failed \(openweathermap: OpenWeatherMap call budget spent: 1 of 1 calls in the last minute\)/);
+    assert.equal(httpClient.calls.length, 1);
+})));
+
+test('each retry counts against the budget', () => withEnv({
+    OPENWEATHER_API_KEY: 'test-key',
+    WEATHER_PROVIDERS: 'openweathermap'
+}, () => captureConsole(async () => {
+    Object.assign(CONFIG, { PER_MINUTE: 2, PER_DAY: 0 });
+    const httpClient = createHttpClient(() => ({
+        statusCode: 503,
+        statusMessage: 'Service Unavailable',
+        headers: { 'retry-after': '0' },
+        body: ''
+    }));
+    
+    await assert.rejects(fetchForecast(BANGKOK, { language: 'en', httpClient: httpClient }), /2 of 2 calls in the last minute/);
+    assert.equal(httpClient.calls.length, 2);
+})));
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, getCacheKey, cached, clearCache } = require('../cache');
+const { fetchForecast } = require('../providers');
+const { createStore } = require('../store');
+const { BANGKOK, createWeatherClient, withEnv, createTempDir } = require('./helpers');
+
+const settings = { TTL: CONFIG.TTL, PERSISTENT: CONFIG.PERSISTENT };
+test.beforeEach(() => {
+    Object.assign(CONFIG, { TTL: 600, PERSISTENT: false });
+    clearCache();
+});
+test.after(() => {
+    Object.assign(CONFIG, settings);
+    clearCache();
+});
+
+// A fetch that counts its calls and answers with a fresh object each time
+function createFetch() {
+    const fetch = async () => {
+        fetch.calls++;
+        return { temp: 30, slots: [{ pop: 0.2, windSpeed: undefined }] };
+    };
+    fetch.calls = 0;
+    return fetch;
+}
+
+test('getCacheKey rounds the coordinates and keeps what changes the response', () => {
+    const key = getCacheKey('forecast', 'openweathermap', { lat: 13.75631, lon: 100.50184 }, { language: 'th', slotCount: 40 });
+    
+    assert.equal(key, 'forecast:openweathermap:13.76,100.50:40');
+    assert.equal(getCacheKey('forecast', 'openweathermap', { lat: 13.7589, lon: 100.4951 }, { language: 'en', slotCount: 40 }), key);
+    assert.notEqual(getCacheKey('forecast', 'open-meteo', { lat: 13.7563, lon: 100.5018 }, { language: 'th', slotCount: 40 }), key);
+    assert.notEqual(getCacheKey('forecast', 'openweathermap', { lat: 13.7563, lon: 100.5018 }, { language: 'th', slotCount: 8 }), key);
+});
+
+test('cached reuses a value until it expires', async () => {
+    const fetch = createFetch();
+    const now = Date.parse('2026-10-19T00:00:00Z');
+    
+    const first = await cached('key', fetch, now);
+    first.temp = 0;
+    assert.deepEqual(await cached('key', fetch, now + 599 * 1000), { temp: 30, slots: [{ pop: 0.2 }] });
+    assert.equal(fetch.calls, 1);
+    
+    await cached('key', fetch, now + 600 * 1000);
+    assert.equal(fetch.calls, 2);
+});
+
+test('cached fetches every time with no TTL and never caches a failure', async () => {
+    const fetch = createFetch();
+    
+    await assert.rejects(cached('key', async () => {
+        throw new Error('HTTP 502: Bad Gateway');
+    }));
+    await cached('key', fetch);
+    assert.equal(fetch.calls, 1);
+    
+    CONFIG.TTL = 0;
+    await cached('key', fetch);
+    assert.equal(fetch.calls, 2);
+});
+
+test('the persistent cache is shared through the store', () => withEnv({ STORE_DIR: createTempDir(), STORE_TABLE: undefined }, async () => {
+    CONFIG.PERSISTENT = true;
+    const fetch = createFetch();
+    
+    await cached('key', fetch);
+    // A new Lambda instance starts with an empty memory
+    clearCache();
+    assert.deepEqual(await cached('key', fetch), { temp: 30, slots: [{ pop: 0.2 }] });
+    assert.equal(fetch.calls, 1);
+    assert.ok((await createStore('cache').get('key')).expiresAt > Date.now());
+}));
+
+test('fetchForecast serves nearby locations from the cached forecast', () => withEnv({
+    OPENWEATHER_API_KEY: 'test-key',
+    WEATHER_PROVIDERS: 'openweathermap',
+    OPENWEATHER_ONECALL: undefined
+}, async () => {
+    const httpClient = createWeatherClient('rainy-day');
+    const options = { language: 'en', airQuality: true, httpClient: httpClient };
+    
+    const first = await fetchForecast(BANGKOK, options);
+    const second = await fetchForecast(Object.assign({}, BANGKOK, { lat: 13.7581 }), options);
+    
+    assert.deepEqual(second, first);
+    assert.ok(second.air.length > 0);
+    assert.equal(httpClient.calls.length, 2);
+    
+    // Other languages and forecast lengths
+    await fetchForecast(BANGKOK, Object.assign({}, options, { language: 'th' }));
+    assert.equal(httpClient.calls.length, 2);
+    await fetchForecast(BANGKOK, Object.assign({}, options, { slotCount: 40 }));
+    assert.equal(httpClient.calls.length, 3);
+}));
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { splitMessage, validateChannel, deliverReport } = require('../channels');
+const { CONFIG: HTTP_CONFIG } = require('../http');
+const { createHttpClient, createSesClient, withEnv, captureConsole } = require('./helpers');
+
+const MESSAGE = { subject: 'Daily Weather Report', text: 'Rain today\nTake an umbrella', html: '<p>Rain today</p>' };
+
+// Retries are immediate in tests
+const retryDelay = HTTP_CONFIG.RETRY_DELAY;
+test.before(() => {
+    HTTP_CONFIG.RETRY_DELAY = 0;
+});
+test.after(() => {
+    HTTP_CONFIG.RETRY_DELAY = retryDelay;
+});
+
+// Deliver a message through one channel with a fake HTTP client that
+// accepts everything, returning the requests it made
+async function deliverThrough(channel, message = MESSAGE) {
+    const http = createHttpClient(() => ({ body: { ok: true } }));
+    const [result] = await deliverReport([channel], message, { http: http });
+    assert.equal(result.status, 'sent', result.error);
+    
+    return http.calls.map(call => ({
+        url: `https://${call.options.hostname}${call.options.path}`,
+        headers: call.options.headers,
+        body: JSON.parse(call.body)
+    }));
+}
+
+test('splitMessage keeps lines whole and hard-wraps the ones over the limit', () => {
+    assert.deepEqual(splitMessage('one\ntwo\nthree', 7), ['one\ntwo', 'three']);
+    assert.deepEqual(splitMessage('short\nabcdefghij\nend', 4), ['shor', 't', 'abcd', 'efgh', 'ij', 'end']);
+    assert.deepEqual(splitMessage('fits', 10), ['fits']);
+    
+    const chunks = splitMessage(Array.from({ length: 50 }, (_, index) => `line ${index}`).join('\n'), 60);
+    chunks.forEach(chunk => assert.ok(chunk.length <= 60, chunk));
+    assert.equal(chunks.join('\n').split('\n').length, 50);
+});
+
+test('validateChannel names the missing setting or the unknown type', () => {
+    assert.throws(() => validateChannel({ type: 'pigeon' }), /Unknown channel type: pigeon/);
+    assert.throws(() => validateChannel({ type: 'telegram' }), /Channel telegram is missing: chatId/);
+    assert.doesNotThrow(() => validateChannel({ type: 'slack', url: 'https://hooks.slack.com/x' }));
+});
+
+test('the webhook channel posts the subject, text and HTML with its headers', async () => {
+    const [request] = await deliverThrough({ type: 'webhook', url: 'https://hooks.example.com/weather?key=1', headers: { 'X-Token': 'secret' } });
+    
+    assert.equal(request.url, 'https://hooks.example.com/weather?key=1');
+    assert.equal(request.headers['X-Token'], 'secret');
+    assert.deepEqual(request.body, MESSAGE);
+});
+
+test('the Telegram channel sends chunks of at most 4096 characters', () => withEnv({ TELEGRAM_BOT_TOKEN: 'bot-token' }, async () => {
+    const long = Object.assign({}, MESSAGE, { text: Array.from({ length: 300 }, () => 'x'.repeat(30)).join('\n') });
+    
+    const requests = await deliverThrough({ type: 'telegram', chatId: '42' }, long);
+    
+    assert.ok(requests.length > 1);
+    requests.forEach(request => {
+        assert.equal(request.url, 'https://api.telegram.org/botbot-token/sendMessage');
+        assert.equal(request.body.chat_id, '42');
+        assert.equal(request.body.disable_web_page_preview, true);
+        assert.ok(request.body.text.length <= 4096);
+    });
+    assert.equal(requests.map(request => request.body.text).join('\n'), `${long.subject}\n\n${long.text}`);
+}));
+
+test('the Telegram and LINE channels need a token', () => withEnv({ TELEGRAM_BOT_TOKEN: undefined, LINE_CHANNEL_ACCESS_TOKEN: undefined }, () => captureConsole(async () => {
+    const results = await deliverReport([{ type: 'telegram', chatId: '42' }, { type: 'line', to: 'U1' }], MESSAGE, { http: createHttpClient(() => ({ body: {} })) });
+    
+    assert.match(results[0].error, /requires botToken or TELEGRAM_BOT_TOKEN/);
+    assert.match(results[1].error, /requires accessToken or LINE_CHANNEL_ACCESS_TOKEN/);
+})));
+
+test('the LINE channel pushes up to 5 messages of 5000 characters per request', async () => {
+    const long = Object.assign({}, MESSAGE, { text: Array.from({ length: 30 }, () => 'y'.repeat(999)).join('\n') });
+    
+    const requests = await deliverThrough({ type: 'line', to: 'U1', accessToken: 'line-token' }, long);
+    
+    assert.equal(requests[0].url, 'https://api.line.me/v2/bot/message/push');
+    assert.equal(requests[0].headers.Authorization, 'Bearer line-token');
+    const messages = requests.flatMap(request => request.body.messages);
+    assert.equal(messages.length, 7);
+    assert.deepEqual(requests.map(request => request.body.messages.length), [5, 2]);
+    requests.forEach(request => assert.equal(request.body.to, 'U1'));
+    messages.forEach(message => {
+        assert.equal(message.type, 'text');
+        assert.ok(message.text.length <= 5000);
+    });
+});
+
+test('the Slack channel posts the subject in bold above the text', async () => {
+    const [request] = await deliverThrough({ type: 'slack', url: 'https://hooks.slack.com/services/T/B/X' });
+    
+    assert.equal(request.url, 'https://hooks.slack.com/services/T/B/X');
+    assert.deepEqual(request.body, { text: '*Daily Weather Report*\nRain today\nTake an umbrella' });
+});
+
+test('the Discord channel sends chunks of at most 2000 characters', async () => {
+    const long = Object.assign({}, MESSAGE, { text: Array.from({ length: 100 }, () => 'z'.repeat(49)).join('\n') });
+    
+    const requests = await deliverThrough({ type: 'discord', url: 'https://discord.com/api/webhooks/1/abc' }, long);
+    
+    assert.equal(requests.length, 3);
+    assert.ok(requests[0].body.content.startsWith('**Daily Weather Report**\n'));
+    requests.forEach(request => assert.ok(request.body.content.length <= 2000));
+    assert.equal(requests.map(request => request.body.content).join('\n'), `**${long.subject}**\n${long.text}`);
+});
+
+test('deliverReport sends through the other channels when one fails', () => withEnv({ SENDER_EMAIL: 'weather@example.com' }, () => captureConsole(async () => {
+    const http = createHttpClient(options => (options.hostname === 'hooks.slack.com'
+        ? { statusCode: 500, statusMessage: 'Internal Server Error', body: '' }
+        : { body: { ok: true } }));
+    const ses = createSesClient(new Error('Email address is not verified'));
+    
+    const results = await deliverReport([
+        { type: 'slack', url: 'https://hooks.slack.com/services/T/B/X', retries: 2 },
+        { type: 'webhook', url: 'https://hooks.example.com/weather' },
+        { type: 'ses', to: 'reader@example.com' }
+    ], MESSAGE, { http: http, ses: ses });
+    
+    assert.deepEqual(results, [
+        { type: 'slack', status: 'failed', error: 'HTTP 500: Internal Server Error' },
+        { type: 'webhook', status: 'sent' },
+        { type: 'ses', status: 'failed', error: 'Failed to send email: Email address is not verified' }
+    ]);
+    assert.equal(http.calls.filter(call => call.options.hostname === 'hooks.slack.com').length, 2);
+})));
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { CONFIG, crc32, renderForecastChart } = require('../chart');
+
+const TIMELINE = [
+    { time: '10:00', temp: 30.2, pop: 20 },
+    { time: '13:00', temp: 33.4, pop: 95 },
+    { time: '16:00', temp: 29.1, pop: 60 }
+];
+
+// Chunks of a PNG file as { type, data }
+function readChunks(png) {
+    const chunks = [];
+    for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset);
+        const type = png.toString('ascii', offset + 4, offset + 8);
+        const data = png.subarray(offset + 8, offset + 8 + length);
+        assert.equal(png.readUInt32BE(offset + 8 + length), crc32(png.subarray(offset + 4, offset + 8 + length)), `${type} CRC`);
+        chunks.push({ type: type, data: data });
+        offset += length + 12;
+    }
+    return chunks;
+}
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+});
+
+test('renderForecastChart produces a valid PNG at the configured size', () => {
+    const png = renderForecastChart(TIMELINE);
+    
+    assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    
+    const chunks = readChunks(png);
+    assert.deepEqual(chunks.map(chunk => chunk.type), ['IHDR', 'IDAT', 'IEND']);
+    
+    const width = CONFIG.WIDTH * CONFIG.SCALE;
+    const height = CONFIG.HEIGHT * CONFIG.SCALE;
+    assert.equal(chunks[0].data.readUInt32BE(0), width);
+    assert.equal(chunks[0].data.readUInt32BE(4), height);
+    assert.equal(zlib.inflateSync(chunks[1].data).length, (width * 3 + 1) * height);
+});
+
+test('renderForecastChart draws the rain bars and temperature line', () => {
+    const png = renderForecastChart(TIMELINE);
+    const pixels = zlib.inflateSync(readChunks(png)[1].data);
+    const colors = new Set();
+    for (let i = 0; i < pixels.length - 2; i += 3) {
+        colors.add(pixels.subarray(i, i + 3).toString('hex'));
+    }
+    
+    assert.ok(colors.has('74b9ff'), 'rain bar color');
+    assert.ok(colors.has('e17055'), 'temperature line color');
+});
+
+test('renderForecastChart needs at least two temperatures', () => {
+    assert.equal(renderForecastChart([]), null);
+    assert.equal(renderForecastChart([{ time: '10:00', temp: 30, pop: 0 }, { time: '13:00', pop: 10 }]), null);
+});
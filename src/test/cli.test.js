@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createTempDir } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const RAINY_DAY = path.join(__dirname, 'fixtures', 'rainy-day.json');
+const LOCATION_ARGS = ['--lat', '13.7563', '--lon', '100.5018', '--tz', 'Asia/Bangkok', '--lang', 'en'];
+
+// Run the CLI in a child process without the deployment settings of the
+// environment, returning its exit code and output
+function runCli(args) {
+    const env = Object.assign({}, process.env, { AWS_SDK_JS_SUPPRESS_MAINTENANCE_MODE_MESSAGE: '1' });
+    ['LATITUDE', 'LONGITUDE', 'TIMEZONE', 'LANGUAGE', 'RECIPIENT_EMAIL', 'SENDER_EMAIL'].forEach(key => delete env[key]);
+    
+    const result = spawnSync(process.execPath, [CLI].concat(args), { env: env, encoding: 'utf8', timeout: 30000 });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('a dry run prints the report built from a saved forecast', () => {
+    const result = runCli(['--forecast', RAINY_DAY, '--date', '2026-10-19', '--dry-run'].concat(LOCATION_ARGS));
+    
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /^🌤️ Daily Weather Report - 19\/10\/2026\n/);
+    assert.match(result.stdout, /Rain today, don't hang laundry outside/);
+    assert.match(result.stdout, /13:00 - 85% chance \(4\.1mm\)/);
+    assert.match(result.stderr, /Forecast from openweathermap, 8 slots/);
+    assert.match(result.stderr, /Dry run: nothing sent/);
+});
+
+test('a dry run writes the HTML and prints JSON on request', () => {
+    const htmlFile = path.join(createTempDir(), 'report.html');
+    
+    const result = runCli(['--forecast', RAINY_DAY, '--date', '2026-10-19', '--format', 'json', '--html', htmlFile, '--dry-run'].concat(LOCATION_ARGS));
+    
+    assert.equal(result.status, 0, result.stderr);
+    const output = JSON.parse(result.stdout);
+    assert.equal(output.subject, '🌤️ Daily Weather Report - 19/10/2026');
+    assert.equal(output.forecast.provider, 'openweathermap');
+    assert.equal(fs.readFileSync(htmlFile, 'utf8'), output.html);
+    assert.doesNotMatch(output.html, /cid:/);
+});
+
+test('bad arguments exit with an error code and a message', () => {
+    const unknown = runCli(['--bogus', '--dry-run']);
+    assert.equal(unknown.status, 1);
+    assert.match(unknown.stderr, /^Error: Unknown option '--bogus'/);
+    assert.equal(unknown.stdout, '');
+    
+    const format = runCli(['--format', 'xml', '--dry-run']);
+    assert.equal(format.status, 1);
+    assert.match(format.stderr, /Error: Unknown format "xml"/);
+    
+    const recipient = runCli(['--forecast', RAINY_DAY].concat(LOCATION_ARGS));
+    assert.equal(recipient.status, 1);
+    assert.match(recipient.stderr, /Error: No recipient/);
+    
+    const missing = runCli(['--forecast', 'missing.json', '--dry-run'].concat(LOCATION_ARGS));
+    assert.equal(missing.status, 1);
+    assert.match(missing.stderr, /Error: Failed to read forecast file missing\.json/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, normalizeDelivery, getNotableReasons, decideDelivery, addToBatch, describeBatch, formatBatch } = require('../delivery');
+const { buildLocationReport } = require('../report');
+const { detectAlerts } = require('../alerts');
+const { normalize } = require('../providers/openweathermap');
+const { NOW, BANGKOK, loadFixture, withEnv } = require('./helpers');
+
+const THRESHOLDS = { HIGH_TEMP_THRESHOLD: 35 };
+
+// Today's report and forecast alerts from a recorded fixture
+function fromFixture(name) {
+    const forecast = normalize(loadFixture(name));
+    return {
+        report: buildLocationReport(forecast, BANGKOK, 'en', undefined, NOW),
+        alerts: detectAlerts(forecast, NOW)
+    };
+}
+
+test('normalizeDelivery defaults to always and reads the environment', () => withEnv({
+    DELIVERY_POLICY: undefined,
+    QUIET_DAYS: undefined
+}, () => {
+    assert.deepEqual(normalizeDelivery(undefined, 'a'), { policy: 'always', quietDays: [], digestDay: 'sun' });
+    assert.equal(normalizeDelivery('notable', 'a').policy, 'notable');
+    
+    process.env.DELIVERY_POLICY = 'weekly';
+    process.env.QUIET_DAYS = 'Sat, sun';
+    assert.deepEqual(normalizeDelivery({ digestDay: 'FRI' }, 'a'), { policy: 'weekly', quietDays: ['sun', 'sat'], digestDay: 'fri' });
+    assert.deepEqual(normalizeDelivery({ policy: 'always', quietDays: [] }, 'a').quietDays, []);
+}));
+
+test('normalizeDelivery rejects unknown settings', () => withEnv({
+    DELIVERY_POLICY: undefined,
+    QUIET_DAYS: undefined
+}, () => {
+    assert.throws(() => normalizeDelivery('hourly', 'a'), /Subscriber a: unknown delivery policy "hourly"/);
+    assert.throws(() => normalizeDelivery({ quietDays: 'weekend' }, 'a'), /unknown weekday\(s\) weekend/);
+    assert.throws(() => normalizeDelivery({ policy: 'weekly', quietDays: ['sat', 'sun'] }, 'a'), /digest day \(sun\) cannot be a quiet day/);
+}));
+
+test('getNotableReasons looks for rain, heat and alerts', () => {
+    const rainy = fromFixture('rainy-day');
+    const hot = fromFixture('heat-wave');
+    
+    assert.deepEqual(getNotableReasons([rainy.report], rainy.alerts, THRESHOLDS), ['rain']);
+    assert.deepEqual(getNotableReasons([hot.report], hot.alerts, THRESHOLDS), ['heat', 'alert']);
+    assert.deepEqual(getNotableReasons([hot.report], [], { HIGH_TEMP_THRESHOLD: 40 }), []);
+    assert.deepEqual(getNotableReasons([{ ok: false }], [], THRESHOLDS), []);
+});
+
+test('decideDelivery applies quiet days before the policy', () => {
+    const notable = { policy: 'notable', quietDays: ['sat'], digestDay: 'sun' };
+    const weekly = { policy: 'weekly', quietDays: ['sat'], digestDay: 'mon' };
+    
+    // 19 October 2026 is a Monday
+    assert.deepEqual(decideDelivery({ policy: 'always', quietDays: ['mon'], digestDay: 'sun' }, '2026-10-19', ['rain']), { action: 'suppress', reason: 'quiet-day' });
+    assert.deepEqual(decideDelivery(notable, '2026-10-19', ['rain']), { action: 'send', reasons: ['rain'] });
+    assert.deepEqual(decideDelivery(notable, '2026-10-19', []), { action: 'suppress', reason: 'nothing-notable' });
+    assert.deepEqual(decideDelivery(notable, '2026-10-24', ['rain']), { action: 'suppress', reason: 'quiet-day' });
+    assert.deepEqual(decideDelivery(weekly, '2026-10-19', []), { action: 'digest' });
+    assert.deepEqual(decideDelivery(weekly, '2026-10-20', []), { action: 'batch' });
+});
+
+test('addToBatch replaces the same day and keeps the most recent days', () => {
+    const { report } = fromFixture('rainy-day');
+    let days = [];
+    for (let date = 1; date <= CONFIG.MAX_BATCHED_DAYS + 2; date++) {
+        days = addToBatch(days, `2026-10-${String(date).padStart(2, '0')}`, [report]);
+    }
+    days = addToBatch(days, '2026-10-09', [report, { ok: false }]);
+    
+    assert.equal(days.length, CONFIG.MAX_BATCHED_DAYS);
+    assert.equal(days[0].date, '2026-10-03');
+    assert.deepEqual(days[days.length - 1], {
+        date: '2026-10-09',
+        locations: [{ city: 'Bangkok', minTemp: '26.8', maxTemp: '30.6', emoji: '☁️', hasRain: true }]
+    });
+});
+
+test('describeBatch lists each batched day and location', () => {
+    const days = addToBatch(addToBatch([], '2026-10-17', [fromFixture('heat-wave').report]), '2026-10-18', [fromFixture('rainy-day').report]);
+    const described = describeBatch(days, 'en');
+    
+    assert.equal(described.lines.length, 2);
+    assert.match(described.lines[0], /Bangkok: ☀️ 31\.2-39\.2°C$/);
+    assert.match(described.lines[1], /Bangkok: ☁️ 26\.8-30\.6°C ☔ rain$/);
+    assert.equal(formatBatch(described), `\n🗓️ Earlier this week:\n${described.lines.join('\n')}\n`);
+    assert.equal(describeBatch([], 'en'), null);
+    assert.equal(formatBatch(null), '');
+});
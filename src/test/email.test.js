@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLocationReport, renderText, analyzeWeather } = require('../report');
+const { renderDailyEmail, renderAlertEmail, renderErrorEmail } = require('../email');
+const { normalize } = require('../providers/openweathermap');
+const { NOW, BANGKOK, loadFixture } = require('./helpers');
+
+const OPTIONS = { language: 'en', zone: { iana: 'Asia/Bangkok' }, now: NOW };
+
+// Location report built from a recorded OpenWeatherMap response
+function reportFrom(name, location = BANGKOK, options = {}) {
+    return buildLocationReport(normalize(loadFixture(name)), location, 'en', undefined, NOW, options);
+}
+
+test('buildLocationReport structures the summary, advice and timeline', () => {
+    const report = reportFrom('thunderstorm');
+    
+    assert.equal(report.ok, true);
+    assert.equal(report.city, 'Bangkok');
+    assert.ok(report.laundry.includes('🕘 Best time to hang laundry: 10:00 - 13:00'));
+    assert.deepEqual(report.rain.groups.map(group => group.label), ['📅 Today:']);
+    assert.equal(report.timeline.length, 8);
+    assert.equal(report.outlook, null);
+});
+
+test('renderText of a location report matches analyzeWeather', () => {
+    const forecast = normalize(loadFixture('rainy-day'));
+    
+    assert.equal(renderText(buildLocationReport(forecast, BANGKOK, 'en', undefined, NOW)), analyzeWeather(forecast, BANGKOK, 'en', undefined, NOW));
+});
+
+test('renderDailyEmail lays out the report as a full HTML page', () => {
+    const { html } = renderDailyEmail([reportFrom('rainy-day', BANGKOK, { outlook: true })], OPTIONS);
+    
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<html lang="en">/);
+    assert.match(html, /Rain today, don&#39;t hang laundry outside/);
+    assert.match(html, /Next 24 hours/);
+    assert.match(html, /Generated at/);
+    assert.doesNotMatch(html, /\{\{/);
+});
+
+test('renderDailyEmail attaches a chart per location and references it by content ID', () => {
+    const { html, images } = renderDailyEmail([reportFrom('rainy-day'), reportFrom('thunderstorm')], OPTIONS);
+    
+    assert.deepEqual(images.map(image => image.cid), ['forecast-chart-1@weather-report', 'forecast-chart-2@weather-report']);
+    assert.equal(images[0].contentType, 'image/png');
+    assert.match(html, /<img src="cid:forecast-chart-1@weather-report"/);
+    assert.match(html, /alt="Forecast chart: 26-31°C, chance of rain up to 90%"/);
+});
+
+test('renderDailyEmail escapes location names and forecast text', () => {
+    const forecast = normalize(loadFixture('rainy-day'));
+    forecast.slots.forEach(slot => {
+        slot.description = '<img src=x onerror=alert(1)>';
+        slot.descriptionKey = null;
+    });
+    const location = Object.assign({}, BANGKOK, { name: '<script>alert("x")</script>' });
+    const { html } = renderDailyEmail([buildLocationReport(forecast, location, 'en', undefined, NOW)], OPTIONS);
+    
+    assert.doesNotMatch(html, /<script>|<img src=x/);
+    assert.match(html, /&lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt;/);
+    assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+});
+
+test('renderDailyEmail shows the message of a report without data', () => {
+    const { html, images } = renderDailyEmail([reportFrom('empty-list')], OPTIONS);
+    
+    assert.match(html, /Unable to retrieve weather data\./);
+    assert.deepEqual(images, []);
+});
+
+test('renderAlertEmail lists each location section', () => {
+    const html = renderAlertEmail([{ heading: '⚠️ Bangkok', lines: ['Thunderstorms 13:00-19:00'] }], OPTIONS);
+    
+    assert.match(html, /⚠️ Weather Alert/);
+    assert.match(html, /⚠️ Bangkok[\s\S]*Thunderstorms 13:00-19:00/);
+});
+
+test('renderErrorEmail escapes the error message', () => {
+    const html = renderErrorEmail('HTTP 500: <oops>', OPTIONS);
+    
+    assert.match(html, /Weather Service Error/);
+    assert.match(html, /HTTP 500: &lt;oops&gt;/);
+});
@@ -0,0 +1,443 @@
+const test = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { createHandler } = require('../index');
+const { CONFIG } = require('../http');
+const { createArchive } = require('../archive');
+const { createStore } = require('../store');
+const {
+    NOW,
+    createHttpClient,
+    createFixtureClient,
+    createWeatherClient,
+    createSesClient,
+    withEnv,
+    captureConsole,
+    createTempDir,
+    loadFixture
+} = require('./helpers');
+
+// A single legacy subscriber in Bangkok, served by OpenWeatherMap only
+function environment(overrides = {}) {
+    return Object.assign({
+        SENDER_EMAIL: 'weather@example.com',
+        RECIPIENT_EMAIL: 'reader@example.com',
+        LATITUDE: '13.7563',
+        LONGITUDE: '100.5018',
+        LANGUAGE: 'en',
+        OPENWEATHER_API_KEY: 'test-key',
+        WEATHER_PROVIDERS: 'openweathermap',
+        STORE_DIR: createTempDir(),
+        STORE_TABLE: undefined,
+        SUBSCRIPTIONS_FILE: undefined,
+        RULES_FILE: undefined,
+        TIMEZONE: undefined,
+        OUTLOOK: undefined,
+        DELIVERY_POLICY: undefined,
+        QUIET_DAYS: undefined,
+        ARCHIVE_DIR: undefined,
+        ARCHIVE_BUCKET: undefined,
+        ADMIN_EMAIL: undefined
+    }, overrides);
+}
+
+// Subscribers from a SUBSCRIPTIONS_FILE only, without the legacy one
+function fileEnvironment(overrides = {}) {
+    return environment(Object.assign({
+        SUBSCRIPTIONS_FILE: path.join(createTempDir(), 'subscriptions.json'),
+        RECIPIENT_EMAIL: undefined,
+        LATITUDE: undefined,
+        LONGITUDE: undefined
+    }, overrides));
+}
+
+// Run the handler with the given fake clients and parse the response body
+async function invoke(dependencies, event = {}) {
+    const handler = createHandler(Object.assign({ clock: () => NOW }, dependencies));
+    const response = await handler(event);
+    return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+const retryDelay = CONFIG.RETRY_DELAY;
+test.before(() => {
+    CONFIG.RETRY_DELAY = 0;
+});
+test.after(() => {
+    CONFIG.RETRY_DELAY = retryDelay;
+});
+
+test('handler sends the daily report and returns 200', () => withEnv(environment(), async () => {
+    const httpClient = createWeatherClient('rainy-day');
+    const sesClient = createSesClient();
+    
+    const { statusCode, body } = await invoke({ httpClient, sesClient });
+    
+    assert.equal(statusCode, 200);
+    assert.equal(body.message, 'Weather notification sent successfully');
+    assert.equal(body.mode, 'daily');
+    assert.deepEqual(body.results, [
+        { subscriber: 'default', status: 'sent', channels: [{ type: 'ses', status: 'sent' }] }
+    ]);
+    
+    assert.equal(httpClient.calls.length, 2);
+    assert.match(httpClient.calls[0].options.path, /lat=13\.7563&lon=100\.5018&appid=test-key/);
+    assert.match(httpClient.calls[1].options.path, /^\/data\/2\.5\/air_pollution\/forecast\?lat=13\.7563&lon=100\.5018/);
+    
+    assert.equal(sesClient.sent.length, 1);
+    assert.deepEqual(sesClient.sent[0].to, ['reader@example.com']);
+    assert.equal(sesClient.sent[0].subject, '🌤️ Daily Weather Report - 19/10/2026');
+    assert.match(sesClient.sent[0].text, /Rain today, don't hang laundry outside/);
+    assert.match(sesClient.sent[0].text, /🌫️ PM2\.5 up to 61 µg\/m³ \(starting to affect health\), worst 06:00 - 11:00\n😷 PM2\.5 up to 61\.3 µg\/m³, wear a mask outside/);
+    assert.match(sesClient.sent[0].html, /<!DOCTYPE html>/);
+    
+    // The chart goes out as an inline image through SendRawEmail
+    assert.equal(sesClient.sent[0].images.length, 1);
+    assert.match(sesClient.sent[0].html, new RegExp(`src="cid:${sesClient.sent[0].images[0].cid}"`));
+}));
+
+// Without a forecast the zone for the error email's date comes from TIMEZONE
+test('handler sends an error notification and returns 500 on an API error', () => withEnv(environment({ TIMEZONE: 'Asia/Bangkok' }), async () => {
+    // OpenWeatherMap reports some errors in the body's cod field
+    const httpClient = createFixtureClient('api-error');
+    const sesClient = createSesClient();
+    
+    const { statusCode, body } = await invoke({ httpClient, sesClient });
+    
+    assert.equal(statusCode, 500);
+    assert.equal(body.results[0].status, 'failed');
+    assert.match(body.results[0].error, /OpenWeatherMap API error: Invalid API key/);
+    
+    assert.equal(sesClient.sent.length, 1);
+    assert.equal(sesClient.sent[0].subject, '⚠️ Weather Service Error - 19/10/2026');
+}));
+
+test('handler withholds the error notification on a quiet day', () => withEnv(environment({ TIMEZONE: 'Asia/Bangkok', QUIET_DAYS: 'mon' }), async () => {
+    const sesClient = createSesClient();
+    
+    const { statusCode, body } = await invoke({ httpClient: createFixtureClient('api-error'), sesClient });
+    
+    assert.equal(statusCode, 500);
+    assert.equal(body.results[0].status, 'failed');
+    assert.equal(sesClient.sent.length, 0);
+}));
+
+test('handler retries the weather API before failing', () => withEnv(environment(), async () => {
+    const httpClient = createHttpClient(() => ({ statusCode: 502, statusMessage: 'Bad Gateway', body: '' }));
+    const sesClient = createSesClient();
+    
+    const { statusCode, body } = await invoke({ httpClient, sesClient });
+    
+    assert.equal(statusCode, 500);
+    assert.equal(httpClient.calls.length, CONFIG.MAX_RETRIES);
+    assert.match(body.results[0].error, /HTTP 502: Bad Gateway/);
+}));
+
+test('handler reports a failed delivery with 500', () => withEnv(environment(), async () => {
+    const httpClient = createFixtureClient('heat-wave');
+    const sesClient = createSesClient(new Error('Email address is not verified'));
+    
+    const { statusCode, body } = await invoke({ httpClient, sesClient });
+    
+    assert.equal(statusCode, 500);
+    assert.equal(body.results[0].status, 'failed');
+    assert.equal(body.results[0].channels[0].error, 'Failed to send email: Email address is not verified');
+}));
+
+test('handler logs JSON lines and EMF metrics under the Lambda request ID', () => withEnv(environment(), async () => {
+    const handler = createHandler({ httpClient: createWeatherClient('rainy-day'), sesClient: createSesClient(), clock: () => NOW });
+    
+    const { result, lines } = await captureConsole(() => handler({}, { awsRequestId: 'request-1' }));
+    const entries = lines.map(line => JSON.parse(line));
+    const body = JSON.parse(result.body);
+    
+    assert.equal(body.runId, 'request-1');
+    assert.deepEqual(Object.keys(body.stages).sort(), ['analyze', 'fetch', 'render', 'send', 'setup']);
+    
+    const logs = entries.filter(entry => !entry._aws);
+    assert.ok(logs.every(entry => entry.runId === 'request-1' && entry.mode === 'daily' && entry.level));
+    const completed = logs.find(entry => entry.message === 'Weather notification completed');
+    assert.deepEqual(completed.results, { sent: 1 });
+    assert.equal(completed.rainDays, 1);
+    
+    const [emf] = entries.filter(entry => entry._aws);
+    assert.equal(emf.runId, 'request-1');
+    assert.equal(emf.Mode, 'daily');
+    assert.equal(emf.RunFailed, 0);
+    assert.equal(emf.NotificationsSent, 1);
+    assert.equal(emf.RainDays, 1);
+    // The forecast and the air quality, each on the first attempt
+    assert.deepEqual(emf.ApiRetries, [0, 0]);
+    const names = emf._aws.CloudWatchMetrics[0].Metrics.map(metric => metric.Name);
+    ['ApiLatency', 'FetchDuration', 'SendDuration', 'Duration'].forEach(name => assert.ok(names.includes(name), name));
+}));
+
+test('handler tells ADMIN_EMAIL which stage failed for a subscriber', () => withEnv(environment({ ADMIN_EMAIL: 'admin@example.com' }), async () => {
+    const sesClient = createSesClient();
+    
+    const { statusCode, body } = await invoke({ httpClient: createFixtureClient('api-error'), sesClient });
+    
+    assert.equal(statusCode, 500);
+    assert.equal(body.results[0].stage, 'fetch');
+    assert.equal(sesClient.sent.length, 2);
+    const admin = sesClient.sent[1];
+    assert.deepEqual(admin.to, ['admin@example.com']);
+    assert.match(admin.subject, /^🚨 Weather Notification Failed \(daily\) - /);
+    assert.match(admin.text, new RegExp(`Run ${body.runId} \\(daily\\)`));
+    assert.match(admin.text, /Subscriber default: fetch failed, All weather providers failed \(openweathermap: OpenWeatherMap API error: Invalid API key/);
+    assert.match(admin.html, /Subscriber default: fetch failed/);
+}));
+
+test('handler reports the stage a whole run failed in', () => withEnv(environment({
+    ADMIN_EMAIL: 'admin@example.com',
+    SUBSCRIPTIONS_FILE: path.join(createTempDir(), 'missing.json')
+}), async () => {
+    const sesClient = createSesClient();
+    
+    const { statusCode, body } = await invoke({ httpClient: createWeatherClient('rainy-day'), sesClient });
+    
+    assert.equal(statusCode, 500);
+    assert.equal(body.stage, 'setup');
+    assert.ok(body.runId);
+    assert.equal(sesClient.sent.length, 1);
+    assert.match(sesClient.sent[0].text, /Failed in the setup stage: /);
+}));
+
+test('handler sends the no data message for an empty forecast', () => withEnv(environment(), async () => {
+    const sesClient = createSesClient();
+    
+    const { statusCode } = await invoke({ httpClient: createFixtureClient('empty-list'), sesClient });
+    
+    assert.equal(statusCode, 200);
+    assert.equal(sesClient.sent[0].text, 'Unable to retrieve weather data.');
+}));
+
+test('handler returns 500 without calling anything when configuration is missing', () => withEnv(environment({ SENDER_EMAIL: undefined }), async () => {
+    const httpClient = createFixtureClient('rainy-day');
+    const sesClient = createSesClient();
+    
+    const { statusCode, body } = await invoke({ httpClient, sesClient });
+    
+    assert.equal(statusCode, 500);
+    assert.equal(body.error, 'Missing required environment variables: SENDER_EMAIL');
+    assert.equal(httpClient.calls.length, 0);
+    assert.equal(sesClient.sent.length, 0);
+}));
+
+test('handler rejects an unknown TIMEZONE before calling anything', () => withEnv(environment({ TIMEZONE: 'Asia/Atlantis' }), async () => {
+    const httpClient = createFixtureClient('rainy-day');
+    const sesClient = createSesClient();
+    
+    const { statusCode, body } = await invoke({ httpClient, sesClient });
+    
+    assert.equal(statusCode, 500);
+    assert.equal(body.error, 'Invalid TIMEZONE "Asia/Atlantis": use an IANA time zone such as Asia/Bangkok');
+    assert.equal(httpClient.calls.length, 0);
+    assert.equal(sesClient.sent.length, 0);
+}));
+
+test('handler sends a thunderstorm alert once in alert mode', () => withEnv(environment(), async () => {
+    const httpClient = createFixtureClient('thunderstorm');
+    const sesClient = createSesClient();
+    
+    const first = await invoke({ httpClient, sesClient }, { mode: 'alert' });
+    assert.equal(first.statusCode, 200);
+    assert.equal(first.body.results[0].status, 'sent');
+    assert.equal(sesClient.sent[0].subject, '⚠️ Weather Alert - 19/10/2026');
+    assert.match(sesClient.sent[0].text, /Thunderstorms 13:00-19:00 \(95% chance\)/);
+    assert.match(sesClient.sent[0].text, /Heavy rain 13:00-16:00, up to 14\.2mm in 3 hours/);
+    
+    // The same forecast an hour later is not news
+    const second = await invoke({ httpClient, sesClient }, { mode: 'alert' });
+    assert.equal(second.body.results[0].status, 'unchanged');
+    assert.equal(sesClient.sent.length, 1);
+}));
+
+test('handler compares the daily report with yesterday and keeps the history', () => withEnv(environment(), async () => {
+    const store = createStore('history');
+    await store.put('13.7563,100.5018', { days: [{ date: '2026-10-18', minTemp: 24, maxTemp: 40, hasRain: false }] });
+    const sesClient = createSesClient();
+    
+    const { statusCode } = await invoke({ httpClient: createFixtureClient('rainy-day'), sesClient });
+    
+    assert.equal(statusCode, 200);
+    assert.match(sesClient.sent[0].text, /📈 Compared with yesterday:\n🌡️ [\d.]+°C cooler than yesterday/);
+    assert.match(sesClient.sent[0].text, /🧥 A lot cooler than yesterday/);
+    
+    const { days } = await store.get('13.7563,100.5018');
+    assert.deepEqual(days.map(day => [day.date, day.hasRain]), [['2026-10-18', false], ['2026-10-19', true]]);
+}));
+
+test('handler suppresses the daily report on a quiet day', () => withEnv(environment({ QUIET_DAYS: 'mon' }), async () => {
+    const sesClient = createSesClient();
+    
+    const { statusCode, body } = await invoke({ httpClient: createWeatherClient('rainy-day'), sesClient });
+    
+    assert.equal(statusCode, 200);
+    assert.deepEqual(body.results, [{ subscriber: 'default', status: 'suppressed', reason: 'quiet-day' }]);
+    assert.equal(sesClient.sent.length, 0);
+    
+    // The history still gets today for tomorrow's comparison
+    const { days } = await createStore('history').get('13.7563,100.5018');
+    assert.equal(days[0].date, '2026-10-19');
+}));
+
+test('handler sends a notable-only report with what made it notable', () => withEnv(environment({ DELIVERY_POLICY: 'notable' }), async () => {
+    const sesClient = createSesClient();
+    
+    const { statusCode, body } = await invoke({ httpClient: createWeatherClient('rainy-day'), sesClient });
+    
+    assert.equal(statusCode, 200);
+    assert.equal(body.results[0].status, 'sent');
+    assert.deepEqual(body.results[0].reasons, ['rain']);
+    assert.equal(sesClient.sent.length, 1);
+}));
+
+test('handler batches a weekly report until the digest day', () => withEnv(environment({ DELIVERY_POLICY: 'weekly' }), async () => {
+    const sesClient = createSesClient();
+    
+    const { statusCode, body } = await invoke({ httpClient: createWeatherClient('rainy-day'), sesClient });
+    
+    assert.equal(statusCode, 200);
+    assert.deepEqual(body.results, [{ subscriber: 'default', status: 'batched', batched: 1 }]);
+    assert.equal(sesClient.sent.length, 0);
+    
+    const { days } = await createStore('batches').get('default');
+    assert.deepEqual(days.map(day => [day.date, day.locations[0].hasRain]), [['2026-10-19', true]]);
+}));
+
+test('handler sends the weekly digest with the batched days and clears them', () => withEnv(fileEnvironment(), async () => {
+    fs.writeFileSync(process.env.SUBSCRIPTIONS_FILE, JSON.stringify([{
+        id: 'weekly',
+        email: 'reader@example.com',
+        delivery: { policy: 'weekly', digestDay: 'mon' },
+        locations: [{ name: 'Home', lat: 13.7563, lon: 100.5018 }]
+    }]));
+    const store = createStore('batches');
+    await store.put('weekly', {
+        days: [{ date: '2026-10-18', locations: [{ city: 'Home', minTemp: '25.0', maxTemp: '33.0', emoji: '☀️', hasRain: false }] }]
+    });
+    const sesClient = createSesClient();
+    
+    const { statusCode, body } = await invoke({ httpClient: createWeatherClient('rainy-day'), sesClient });
+    
+    assert.equal(statusCode, 200);
+    assert.equal(body.results[0].status, 'sent');
+    assert.equal(sesClient.sent[0].subject, '🗓️ Weekly Weather Report - 19/10/2026');
+    assert.match(sesClient.sent[0].text, /\n🗓️ Earlier this week:\n[^\n]*Home: ☀️ 25\.0-33\.0°C\n$/);
+    assert.match(sesClient.sent[0].html, /🗓️ Earlier this week:/);
+    assert.equal(await store.get('weekly'), null);
+}));
+
+test('handler fetches a location once for subscribers in different languages', () => withEnv(fileEnvironment(), async () => {
+    fs.writeFileSync(process.env.SUBSCRIPTIONS_FILE, JSON.stringify([
+        { id: 'english', email: 'en@example.com', language: 'en', locations: [{ lat: 13.7563, lon: 100.5018 }] },
+        { id: 'thai', email: 'th@example.com', language: 'th', locations: [{ lat: 13.7563, lon: 100.5018 }] }
+    ]));
+    const httpClient = createWeatherClient('rainy-day');
+    const sesClient = createSesClient();
+    
+    const { statusCode, body } = await invoke({ httpClient, sesClient });
+    
+    assert.equal(statusCode, 200);
+    assert.equal(body.forecasts, 1);
+    assert.equal(httpClient.calls.filter(call => call.options.path.startsWith('/data/2.5/forecast?')).length, 1);
+    const [english, thai] = sesClient.sent;
+    assert.match(english.text, /Conditions: broken clouds/);
+    assert.equal(thai.subject, '🌤️ รายงานสภาพอากาศประจำวัน - 19/10/2569');
+    assert.match(thai.text, /สภาพอากาศ: มีเมฆมาก\n/);
+    assert.match(thai.html, /สร้างเมื่อ/);
+}));
+
+test('handler skips an invalid subscriber and reports to the others', () => withEnv(fileEnvironment(), async () => {
+    fs.writeFileSync(process.env.SUBSCRIPTIONS_FILE, JSON.stringify([
+        { id: 'broken', email: 'broken@example.com', locations: [{ lat: 95, lon: 100.5018 }] },
+        { id: 'reader', email: 'reader@example.com', locations: [{ lat: 13.7563, lon: 100.5018 }] }
+    ]));
+    const sesClient = createSesClient();
+    
+    const { result, lines } = await captureConsole(() => invoke({ httpClient: createWeatherClient('rainy-day'), sesClient }));
+    
+    assert.equal(result.statusCode, 200);
+    assert.deepEqual(result.body.results.map(item => item.subscriber), ['reader']);
+    assert.deepEqual(sesClient.sent[0].to, ['reader@example.com']);
+    const skipped = lines.map(line => JSON.parse(line)).find(entry => entry.message === 'Invalid subscription skipped');
+    assert.match(skipped.error, /Subscriber broken: invalid latitude/);
+}));
+
+test('handler reports to the subscribers of every source, each ID once', () => withEnv(environment({ SUBSCRIPTIONS_FILE: path.join(createTempDir(), 'subscriptions.json') }), async () => {
+    fs.writeFileSync(process.env.SUBSCRIPTIONS_FILE, JSON.stringify([
+        { id: 'file', email: 'file@example.com', locations: [{ lat: 13.7563, lon: 100.5018 }] }
+    ]));
+    const store = createStore('subscriptions');
+    await store.put('stored', { email: 'stored@example.com', locations: [{ lat: 13.7563, lon: 100.5018 }] });
+    await store.put('file', { email: 'other@example.com', locations: [{ lat: 13.7563, lon: 100.5018 }] });
+    const sesClient = createSesClient();
+    
+    const { result } = await captureConsole(() => invoke({ httpClient: createWeatherClient('rainy-day'), sesClient }));
+    
+    assert.equal(result.statusCode, 200);
+    assert.deepEqual(result.body.results.map(item => item.subscriber), ['file', 'stored', 'default']);
+    assert.deepEqual(sesClient.sent.map(email => email.to[0]), ['file@example.com', 'stored@example.com', 'reader@example.com']);
+}));
+
+test('handler archives the forecast and observes the location when ARCHIVE_DIR is set', () => withEnv(environment({ ARCHIVE_DIR: createTempDir() }), async () => {
+    const httpClient = createWeatherClient('rainy-day');
+    
+    const { statusCode } = await invoke({ httpClient, sesClient: createSesClient() });
+    assert.equal(statusCode, 200);
+    assert.ok(httpClient.calls.some(call => call.options.path.startsWith('/data/2.5/weather?lat=13.7563&lon=100.5018')));
+    
+    const archive = createArchive();
+    const [record] = await archive.get('forecasts/2026-10-19/13.7563,100.5018.json');
+    assert.equal(record.name, 'Bangkok');
+    assert.equal(record.fetchedAt, NOW.toISOString());
+    assert.equal(record.prediction.hasRain, true);
+    assert.equal(record.prediction.laundry, 'dont-hang');
+    assert.equal(record.forecast.slots.length, 8);
+    
+    const [observation] = await archive.get('observations/2026-10-19/13.7563,100.5018.json');
+    assert.equal(observation.temp, 29.4);
+    assert.equal(observation.condition, 'rain');
+}));
+
+test('handler sends the accuracy digest in digest mode', () => withEnv(environment({ ARCHIVE_DIR: createTempDir() }), async () => {
+    const httpClient = createWeatherClient('rainy-day');
+    const sesClient = createSesClient();
+    
+    // The daily report, then two hourly alert checks, each observing Bangkok
+    await invoke({ httpClient, sesClient });
+    await invoke({ httpClient, sesClient }, { mode: 'alert' });
+    await invoke({ httpClient, sesClient }, { mode: 'alert' });
+    
+    const handler = createHandler({ httpClient, sesClient, clock: () => new Date('2026-10-22T00:00:00Z') });
+    const response = await handler({ mode: 'digest', period: 'week' });
+    const body = JSON.parse(response.body);
+    
+    assert.equal(response.statusCode, 200);
+    assert.equal(body.mode, 'digest');
+    assert.equal(body.overall.days, 1);
+    assert.equal(body.overall.rain.hits, 1);
+    
+    const digest = sesClient.sent[sesClient.sent.length - 1];
+    assert.deepEqual(digest.to, ['reader@example.com']);
+    assert.equal(digest.subject, '📊 Forecast Accuracy - Thu 15/10 to Wed 21/10');
+    assert.match(digest.text, /Laundry advice wrong on 0 of 1 day\(s\)/);
+    assert.match(digest.html, /📍 Bangkok/);
+}));
+
+test('handler needs an archive for the digest', () => withEnv(environment(), async () => {
+    const { statusCode, body } = await invoke({ httpClient: createFixtureClient('rainy-day'), sesClient: createSesClient() }, { mode: 'digest' });
+    
+    assert.equal(statusCode, 500);
+    assert.equal(body.error, 'The accuracy digest needs ARCHIVE_BUCKET or ARCHIVE_DIR');
+}));
+
+test('recorded fixtures match the OpenWeatherMap forecast format', () => {
+    ['rainy-day', 'thunderstorm', 'heat-wave', 'empty-list'].forEach(name => {
+        const fixture = loadFixture(name);
+        assert.equal(fixture.cod, '200');
+        assert.equal(fixture.cnt, fixture.list.length);
+        assert.equal(fixture.city.timezone, 25200);
+    });
+});
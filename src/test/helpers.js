@@ -0,0 +1,220 @@
+// Shared test doubles: recorded fixtures, a fake HTTP client with the
+// request() signature of https, a fake SES client and a fixed clock.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// The recorded fixtures start at 07:00 on 19 October 2026 in Bangkok;
+// the daily report runs an hour earlier
+const NOW = new Date('2026-10-18T23:00:00Z');
+
+const BANGKOK = { name: null, lat: 13.7563, lon: 100.5018, timezone: null };
+
+// Load a recorded API response from test/fixtures
+function loadFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.json`), 'utf8'));
+}
+
+// Create a fake HTTP client. `respond` receives the request options and
+// body and returns { statusCode, headers, body }, or throws to simulate a
+// network error. Every request is recorded in `calls`.
+function createHttpClient(respond) {
+    const calls = [];
+    
+    return {
+        calls: calls,
+        request(options, callback) {
+            const req = new EventEmitter();
+            let body = '';
+            
+            req.write = (chunk) => {
+                body += chunk;
+            };
+            req.setTimeout = () => req;
+            req.destroy = () => {};
+            req.end = () => {
+                calls.push({ options: options, body: body });
+                
+                let response;
+                try {
+                    response = respond(options, body, calls.length);
+                } catch (error) {
+                    process.nextTick(() => req.emit('error', error));
+                    return;
+                }
+                
+                const res = new EventEmitter();
+                res.statusCode = response.statusCode || 200;
+                res.statusMessage = response.statusMessage || 'OK';
+                res.headers = response.headers || {};
+                res.resume = () => {};
+                callback(res);
+                
+                process.nextTick(() => {
+                    const payload = typeof response.body === 'string' ? response.body : JSON.stringify(response.body);
+                    res.emit('data', Buffer.from(payload));
+                    res.emit('end');
+                });
+            };
+            
+            return req;
+        }
+    };
+}
+
+// HTTP client that answers every request with a fixture
+function createFixtureClient(name) {
+    const fixture = loadFixture(name);
+    return createHttpClient(() => ({ statusCode: 200, body: fixture }));
+}
+
+// Responses by request path for the OpenWeatherMap endpoints other than
+// the forecast, which comes from the named fixture
+const ENDPOINT_FIXTURES = {
+    '/data/2.5/weather': 'current-weather',
+    '/data/2.5/air_pollution': 'air-pollution',
+    '/data/3.0/onecall': 'onecall'
+};
+
+// HTTP client answering each OpenWeatherMap endpoint with its fixture
+function createWeatherClient(name) {
+    const fixtures = {};
+    return createHttpClient(options => {
+        const prefix = Object.keys(ENDPOINT_FIXTURES).find(endpoint => options.path.startsWith(endpoint));
+        const fixture = prefix ? ENDPOINT_FIXTURES[prefix] : name;
+        fixtures[fixture] = fixtures[fixture] || loadFixture(fixture);
+        return { body: fixtures[fixture] };
+    });
+}
+
+// Split a raw MIME message from SendRawEmail into its subject, its other
+// header fields by name, decoded text and HTML bodies and inline images
+function parseRawEmail(raw) {
+    const encodedSubject = raw.match(/^Subject: (.*(?:\r\n .*)*)/m)[1];
+    const subject = encodedSubject.split('\r\n ').map(word => {
+        const encoded = word.match(/^=\?UTF-8\?B\?(.*)\?=$/);
+        return encoded ? Buffer.from(encoded[1], 'base64').toString('utf8') : word;
+    }).join('');
+    
+    const head = raw.slice(0, raw.indexOf('\r\n\r\n')).split(/\r\n(?! )/);
+    const headers = Object.fromEntries(head.map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+    
+    const email = { subject: subject, headers: headers, text: '', html: '', images: [] };
+    raw.split(/\r\n--[^\r\n]+/).forEach(part => {
+        const [headers, body = ''] = part.split('\r\n\r\n');
+        const type = headers.match(/Content-Type: ([\w/]+)/);
+        if (!type || !/Content-Transfer-Encoding: base64/.test(headers)) {
+            return;
+        }
+        
+        const content = Buffer.from(body.replace(/\r\n/g, ''), 'base64');
+        if (type[1] === 'text/plain') {
+            email.text = content.toString('utf8');
+        } else if (type[1] === 'text/html') {
+            email.html = content.toString('utf8');
+        } else {
+            email.images.push({ cid: headers.match(/Content-ID: <(.*)>/)[1], contentType: type[1], content: content });
+        }
+    });
+    return email;
+}
+
+// Create a fake SES client that records sent emails, from both SendEmail
+// and SendRawEmail. When `error` is set every send fails with it.
+function createSesClient(error = null) {
+    const sent = [];
+    
+    // Record an email unless the client is set to fail
+    const record = (email) => ({
+        promise: async () => {
+            if (error) {
+                throw error;
+            }
+            sent.push(email);
+            return { MessageId: `message-${sent.length}` };
+        }
+    });
+    
+    return {
+        sent: sent,
+        sendEmail(params) {
+            return record({
+                to: params.Destination.ToAddresses,
+                subject: params.Message.Subject.Data,
+                html: params.Message.Body.Html.Data,
+                text: params.Message.Body.Text.Data,
+                images: []
+            });
+        },
+        sendRawEmail(params) {
+            return record(Object.assign({ to: params.Destinations }, parseRawEmail(params.RawMessage.Data)));
+        }
+    };
+}
+
+// Run a callback with environment variables set, restoring them afterwards.
+// A value of undefined removes the variable.
+async function withEnv(values, callback) {
+    const previous = {};
+    Object.keys(values).forEach(key => {
+        previous[key] = process.env[key];
+        if (values[key] === undefined) {
+            delete process.env[key];
+        } else {
+            process.env[key] = values[key];
+        }
+    });
+    
+    try {
+        return await callback();
+    } finally {
+        Object.keys(previous).forEach(key => {
+            if (previous[key] === undefined) {
+                delete process.env[key];
+            } else {
+                process.env[key] = previous[key];
+            }
+        });
+    }
+}
+
+// Run a callback while collecting what it writes to the console, one
+// string per call, instead of printing it
+async function captureConsole(callback) {
+    const lines = [];
+    const originals = {};
+    ['log', 'warn', 'error'].forEach(method => {
+        originals[method] = console[method];
+        console[method] = (...args) => lines.push(args.join(' '));
+    });
+    
+    try {
+        const result = await callback();
+        return { result: result, lines: lines };
+    } finally {
+        Object.assign(console, originals);
+    }
+}
+
+// Create an empty directory for the file store, removed when the tests exit
+function createTempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-test-'));
+    process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+module.exports = {
+    NOW,
+    BANGKOK,
+    loadFixture,
+    createHttpClient,
+    createFixtureClient,
+    createWeatherClient,
+    parseRawEmail,
+    createSesClient,
+    withEnv,
+    captureConsole,
+    createTempDir
+};
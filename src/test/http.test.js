@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { CONFIG, parseRetryAfter, getRetryDelay, makeRequest, postJson } = require('../http');
+const { createRun, withRun } = require('../run');
+const { createHttpClient, captureConsole } = require('./helpers');
+
+const OPTIONS = { hostname: 'api.example.com', path: '/forecast', method: 'GET' };
+
+// Retries are immediate in tests
+const retryDelay = CONFIG.RETRY_DELAY;
+test.before(() => {
+    CONFIG.RETRY_DELAY = 0;
+});
+test.after(() => {
+    CONFIG.RETRY_DELAY = retryDelay;
+});
+
+test('makeRequest parses a JSON response', async () => {
+    const client = createHttpClient(() => ({ body: { cod: '200', list: [] } }));
+    
+    assert.deepEqual(await makeRequest(OPTIONS, null, 3, client), { cod: '200', list: [] });
+    assert.equal(client.calls.length, 1);
+});
+
+test('makeRequest returns a body that is not JSON as text', async () => {
+    const client = createHttpClient(() => ({ body: 'ok' }));
+    
+    assert.equal(await makeRequest(OPTIONS, null, 3, client), 'ok');
+});
+
+test('makeRequest sends the request body', async () => {
+    const client = createHttpClient(() => ({ body: {} }));
+    
+    await makeRequest(Object.assign({}, OPTIONS, { method: 'POST' }), '{"text":"hi"}', 3, client);
+    
+    assert.equal(client.calls[0].body, '{"text":"hi"}');
+});
+
+test('makeRequest retries after a network error', async () => {
+    const client = createHttpClient((options, body, attempt) => {
+        if (attempt === 1) {
+            throw new Error('socket hang up');
+        }
+        return { body: { ok: true } };
+    });
+    
+    assert.deepEqual(await makeRequest(OPTIONS, null, 3, client), { ok: true });
+    assert.equal(client.calls.length, 2);
+});
+
+test('makeRequest retries HTTP error statuses', async () => {
+    const client = createHttpClient((options, body, attempt) => (
+        attempt < 3 ? { statusCode: 503, statusMessage: 'Service Unavailable', body: '' } : { body: { ok: true } }
+    ));
+    
+    assert.deepEqual(await makeRequest(OPTIONS, null, 3, client), { ok: true });
+    assert.equal(client.calls.length, 3);
+});
+
+test('makeRequest gives up after the last retry with the last error', async () => {
+    const client = createHttpClient(() => ({ statusCode: 500, statusMessage: 'Internal Server Error', body: {} }));
+    
+    await assert.rejects(makeRequest(OPTIONS, null, 2, client), { message: 'HTTP 500: Internal Server Error' });
+    assert.equal(client.calls.length, 2);
+});
+
+test('makeRequest fails at once on an error status that would fail again', async () => {
+    for (const [statusCode, statusMessage] of [[401, 'Unauthorized'], [404, 'Not Found']]) {
+        const client = createHttpClient(() => ({ statusCode: statusCode, statusMessage: statusMessage, body: {} }));
+        
+        await assert.rejects(makeRequest(OPTIONS, null, 3, client), { message: `HTTP ${statusCode}: ${statusMessage}` });
+        assert.equal(client.calls.length, 1);
+    }
+});
+
+test('postJson retries a server error but not a rejected payload', async () => {
+    const flaky = createHttpClient((options, body, attempt) => (
+        attempt === 1 ? { statusCode: 502, statusMessage: 'Bad Gateway', body: '' } : { body: { ok: true } }
+    ));
+    const rejecting = createHttpClient(() => ({ statusCode: 400, statusMessage: 'Bad Request', body: '' }));
+    
+    assert.deepEqual(await postJson('https://hooks.example.com/report', { text: 'hi' }, 3, {}, flaky), { ok: true });
+    assert.equal(flaky.calls.length, 2);
+    await assert.rejects(postJson('https://hooks.example.com/report', { text: 'hi' }, 3, {}, rejecting), /HTTP 400/);
+    assert.equal(rejecting.calls.length, 1);
+});
+
+test('makeRequest runs beforeAttempt before every attempt and stops when it throws', async () => {
+    const client = createHttpClient(() => ({ statusCode: 503, statusMessage: 'Service Unavailable', body: '' }));
+    const attempts = [];
+    const beforeAttempt = (attempt) => {
+        if (attempt === 3) {
+            throw new Error('Budget spent');
+        }
+        attempts.push(attempt);
+    };
+    
+    await assert.rejects(makeRequest(OPTIONS, null, 3, client, beforeAttempt), /Budget spent/);
+    assert.deepEqual(attempts, [1, 2]);
+    assert.equal(client.calls.length, 2);
+});
+
+test('makeRequest records its latency and retries for the run in progress', async () => {
+    const client = createHttpClient((options, body, attempt) => (
+        attempt === 1 ? { statusCode: 503, statusMessage: 'Service Unavailable', body: '' } : { body: {} }
+    ));
+    const failing = createHttpClient(() => ({ statusCode: 500, statusMessage: 'Internal Server Error', body: '' }));
+    const run = createRun({ mode: 'daily' }, 'run-1');
+    
+    await captureConsole(() => withRun(run, async () => {
+        await makeRequest(OPTIONS, null, 3, client);
+        await assert.rejects(makeRequest(OPTIONS, null, 2, failing));
+    }));
+    
+    const metrics = new Map(run.metrics.entries());
+    assert.equal(metrics.get('ApiLatency').values.length, 1);
+    assert.equal(metrics.get('ApiLatency').unit, 'Milliseconds');
+    assert.deepEqual(metrics.get('ApiRetries').values, [1, 1]);
+    assert.deepEqual(metrics.get('ApiFailures').values, [1]);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+    const now = Date.parse('2026-10-19T00:00:00Z');
+    
+    assert.equal(parseRetryAfter('30', now), 30000);
+    assert.equal(parseRetryAfter('Mon, 19 Oct 2026 00:00:05 GMT', now), 5000);
+    assert.equal(parseRetryAfter('Sun, 18 Oct 2026 00:00:00 GMT', now), 0);
+    assert.equal(parseRetryAfter(undefined, now), null);
+    assert.equal(parseRetryAfter('soon', now), null);
+});
+
+test('getRetryDelay backs off exponentially with jitter up to the maximum', () => {
+    const delays = { RETRY_DELAY: CONFIG.RETRY_DELAY, MAX_RETRY_DELAY: CONFIG.MAX_RETRY_DELAY };
+    Object.assign(CONFIG, { RETRY_DELAY: 1000, MAX_RETRY_DELAY: 10000 });
+    
+    try {
+        const error = new Error('HTTP 503: Service Unavailable');
+        assert.equal(getRetryDelay(1, error, () => 0), 500);
+        assert.equal(getRetryDelay(1, error, () => 1), 1000);
+        assert.equal(getRetryDelay(3, error, () => 1), 4000);
+        assert.equal(getRetryDelay(8, error, () => 1), 10000);
+        
+        // Retry-After wins over the backoff, unless it is too long to wait
+        assert.equal(getRetryDelay(1, Object.assign(error, { retryAfter: 7000 }), () => 1), 7000);
+        assert.equal(getRetryDelay(1, Object.assign(error, { retryAfter: 60000 }), () => 1), null);
+    } finally {
+        Object.assign(CONFIG, delays);
+    }
+});
+
+test('makeRequest waits out a 429 and gives up on a long Retry-After', async () => {
+    const limited = (retryAfter) => ({ statusCode: 429, statusMessage: 'Too Many Requests', headers: { 'retry-after': retryAfter }, body: '' });
+    const client = createHttpClient((options, body, attempt) => (attempt === 1 ? limited('0') : { body: { ok: true } }));
+    const run = createRun({}, 'run-1');
+    
+    await captureConsole(() => withRun(run, async () => {
+        assert.deepEqual(await makeRequest(OPTIONS, null, 3, client), { ok: true });
+    }));
+    assert.equal(client.calls.length, 2);
+    assert.equal(run.metrics.sum('ApiRateLimited'), 1);
+    
+    const busy = createHttpClient(() => limited('3600'));
+    await captureConsole(() => assert.rejects(makeRequest(OPTIONS, null, 3, busy), { statusCode: 429, retryAfter: 3600000 }));
+    assert.equal(busy.calls.length, 1);
+});
+
+test('makeRequest abandons a request without a response in time', async () => {
+    const destroyed = [];
+    const client = {
+        request() {
+            const req = new EventEmitter();
+            req.setTimeout = (ms, onTimeout) => process.nextTick(onTimeout);
+            req.destroy = () => destroyed.push(true);
+            req.end = () => {};
+            return req;
+        }
+    };
+    
+    await captureConsole(() => assert.rejects(makeRequest(OPTIONS, null, 2, client), { message: `Request timeout after ${CONFIG.TIMEOUT}ms` }));
+    assert.equal(destroyed.length, 2);
+});
+
+test('makeRequest keeps every attempt and wait within the deadline', async () => {
+    const limits = { TIMEOUT: CONFIG.TIMEOUT, DEADLINE: CONFIG.DEADLINE };
+    const timeouts = [];
+    const hanging = {
+        request() {
+            const req = new EventEmitter();
+            req.setTimeout = (ms, onTimeout) => {
+                timeouts.push(ms);
+                setTimeout(onTimeout, ms);
+            };
+            req.destroy = () => {};
+            req.end = () => {};
+            return req;
+        }
+    };
+    const limited = createHttpClient(() => ({
+        statusCode: 429,
+        statusMessage: 'Too Many Requests',
+        headers: { 'retry-after': '1' },
+        body: ''
+    }));
+    
+    try {
+        Object.assign(CONFIG, { TIMEOUT: 40, DEADLINE: 60 });
+        await captureConsole(() => assert.rejects(makeRequest(OPTIONS, null, 3, hanging), /Request timeout after/));
+        assert.equal(timeouts.length, 2);
+        assert.equal(timeouts[0], 40);
+        assert.ok(timeouts[1] <= 20, `second attempt got ${timeouts[1]}ms`);
+        
+        // A Retry-After past the deadline gives up at once
+        Object.assign(CONFIG, { DEADLINE: 500 });
+        await captureConsole(() => assert.rejects(makeRequest(OPTIONS, null, 3, limited), /HTTP 429/));
+        assert.equal(limited.calls.length, 1);
+    } finally {
+        Object.assign(CONFIG, limits);
+    }
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreSlot, findBestWindow, analyzeDrying } = require('../laundry');
+
+const ZONE = { iana: 'Asia/Bangkok' };
+const SUNNY = { condition: 'clear', temp: 35, humidity: 35, windSpeed: 5, clouds: 0, pop: 0 };
+const MUGGY = { condition: 'clouds', temp: 26, humidity: 90, windSpeed: 1, clouds: 90, pop: 0.3 };
+const RAIN = { condition: 'rain', temp: 27, humidity: 95, windSpeed: 3, clouds: 100, pop: 1 };
+
+// A 3-hour forecast slot starting at the given UTC time
+function slot(iso, weather) {
+    return Object.assign({ dt: Date.parse(iso) / 1000, hours: 3 }, weather);
+}
+
+// Scored slots as analyzeDrying passes them to findBestWindow
+function scored(iso, score) {
+    return { dt: Date.parse(iso) / 1000, hours: 3, score: score };
+}
+
+test('scoreSlot rates warm, dry, breezy and sunny slots highest', () => {
+    assert.equal(scoreSlot(SUNNY), 100);
+    assert.equal(scoreSlot(MUGGY), 18);
+    assert.ok(scoreSlot(Object.assign({}, SUNNY, { windSpeed: 0 })) < scoreSlot(SUNNY));
+});
+
+test('scoreSlot scores rain zero and scales the rest down by the chance of rain', () => {
+    assert.equal(scoreSlot(RAIN), 0);
+    assert.equal(scoreSlot(Object.assign({}, SUNNY, { condition: 'drizzle', pop: 0 })), 0);
+    assert.equal(scoreSlot(Object.assign({}, SUNNY, { pop: 0.5 })), 50);
+});
+
+test('scoreSlot uses neutral values for the fields a provider leaves out', () => {
+    assert.equal(scoreSlot({ condition: 'clouds' }), 38);
+});
+
+test('findBestWindow prefers the longer good run over a short excellent one', () => {
+    const window = findBestWindow([
+        scored('2026-10-19T00:00:00Z', 60),
+        scored('2026-10-19T03:00:00Z', 70),
+        scored('2026-10-19T06:00:00Z', 20),
+        scored('2026-10-19T09:00:00Z', 100)
+    ]);
+    
+    assert.deepEqual(window, {
+        start: new Date('2026-10-19T00:00:00Z'),
+        end: new Date('2026-10-19T06:00:00Z'),
+        score: 65
+    });
+});
+
+test('findBestWindow finds no window when no slot scores well enough', () => {
+    assert.equal(findBestWindow([scored('2026-10-19T00:00:00Z', 49), scored('2026-10-19T03:00:00Z', 10)]), null);
+    assert.equal(findBestWindow([]), null);
+});
+
+test('analyzeDrying reports no window on a day without a dry spell', () => {
+    const drying = analyzeDrying([
+        slot('2026-10-19T00:00:00Z', MUGGY),
+        slot('2026-10-19T03:00:00Z', RAIN),
+        slot('2026-10-19T06:00:00Z', MUGGY)
+    ], ZONE, [{ isToday: true, timestamp: Date.parse('2026-10-19T03:00:00Z') / 1000 }]);
+    
+    assert.deepEqual(drying, { score: 12, hasDaytime: true, window: null, nextRain: null });
+});
+
+test('analyzeDrying ends the window where rain arrives and reports that rain', () => {
+    const rainAt = { isToday: true, timestamp: Date.parse('2026-10-19T06:00:00Z') / 1000, time: '13:00' };
+    
+    const drying = analyzeDrying([
+        slot('2026-10-19T09:00:00Z', SUNNY),
+        slot('2026-10-19T06:00:00Z', RAIN),
+        slot('2026-10-19T03:00:00Z', SUNNY),
+        slot('2026-10-19T00:00:00Z', SUNNY)
+    ], ZONE, [rainAt]);
+    
+    // 07:00-13:00 Bangkok time, before the rain at 13:00 splits the day
+    assert.deepEqual(drying.window, {
+        start: new Date('2026-10-19T00:00:00Z'),
+        end: new Date('2026-10-19T06:00:00Z'),
+        score: 100
+    });
+    assert.equal(drying.nextRain, rainAt);
+    assert.equal(drying.score, 75);
+});
+
+test('analyzeDrying ignores rain before the window opens and on other days', () => {
+    const drying = analyzeDrying([
+        slot('2026-10-19T00:00:00Z', RAIN),
+        slot('2026-10-19T03:00:00Z', SUNNY)
+    ], ZONE, [
+        { isToday: true, timestamp: Date.parse('2026-10-19T00:00:00Z') / 1000 },
+        { isToday: false, timestamp: Date.parse('2026-10-20T03:00:00Z') / 1000 }
+    ]);
+    
+    assert.equal(drying.window.start.toISOString(), '2026-10-19T03:00:00.000Z');
+    assert.equal(drying.nextRain, null);
+});
+
+test('analyzeDrying scores the night slots without a window once daylight is over', () => {
+    // 19:00 and 22:00 Bangkok time
+    const drying = analyzeDrying([
+        slot('2026-10-19T12:00:00Z', SUNNY),
+        slot('2026-10-19T15:00:00Z', SUNNY)
+    ], ZONE);
+    
+    assert.deepEqual(drying, { score: 100, hasDaytime: false, window: null, nextRain: null });
+    assert.deepEqual(analyzeDrying([], ZONE), { score: undefined, hasDaytime: false, window: null, nextRain: null });
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeHeader, buildRawEmail } = require('../mime');
+const { parseRawEmail } = require('./helpers');
+
+const EMAIL = {
+    from: 'weather@example.com',
+    to: 'reader@example.com',
+    subject: '🌤️ Daily Weather Report - 19/10/2026',
+    text: 'Rain today',
+    html: '<p>Rain today</p><img src="cid:chart@weather">',
+    images: [{ cid: 'chart@weather', filename: 'chart.png', contentType: 'image/png', content: Buffer.from([1, 2, 3]) }]
+};
+
+test('encodeHeader leaves plain ASCII as is', () => {
+    assert.equal(encodeHeader('Daily Weather Report'), 'Daily Weather Report');
+});
+
+test('encodeHeader splits long UTF-8 text into short encoded words', () => {
+    const subject = 'รายงานสภาพอากาศประจำวัน - 19/10/2569';
+    const words = encodeHeader(subject).split('\r\n ');
+    
+    assert.ok(words.length > 1);
+    words.forEach(word => assert.ok(word.length <= 75, word));
+    assert.equal(words.map(word => Buffer.from(word.slice(10, -2), 'base64').toString('utf8')).join(''), subject);
+});
+
+test('buildRawEmail nests the HTML and its images under a text alternative', () => {
+    const raw = buildRawEmail(EMAIL);
+    
+    assert.match(raw, /^From: weather@example\.com\r\nTo: reader@example\.com\r\n/);
+    assert.match(raw, /Content-Type: multipart\/alternative; boundary=.*[\s\S]*Content-Type: text\/plain[\s\S]*Content-Type: multipart\/related; type="text\/html"[\s\S]*Content-Type: text\/html[\s\S]*Content-ID: <chart@weather>/);
+    
+    const email = parseRawEmail(raw);
+    assert.equal(email.subject, EMAIL.subject);
+    assert.equal(email.text, EMAIL.text);
+    assert.equal(email.html, EMAIL.html);
+    assert.deepEqual(email.images, [{ cid: 'chart@weather', contentType: 'image/png', content: Buffer.from([1, 2, 3]) }]);
+});
+
+test('buildRawEmail wraps base64 bodies at 76 characters', () => {
+    const raw = buildRawEmail(Object.assign({}, EMAIL, { html: 'x'.repeat(1000) }));
+    
+    raw.split('\r\n').forEach(line => assert.ok(line.length <= 76 || /^(Content-Type|Subject):/.test(line), line));
+});
+
+test('buildRawEmail adds header fields after the subject', () => {
+    const raw = buildRawEmail(Object.assign({}, EMAIL, { headers: { 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' } }));
+    
+    assert.match(raw, /\r\nSubject: [^\r\n]*\r\nList-Unsubscribe-Post: List-Unsubscribe=One-Click\r\nMIME-Version: 1\.0\r\n/);
+    assert.equal(parseRawEmail(raw).headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+});
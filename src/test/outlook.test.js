@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildOutlook } = require('../outlook');
+const { getLocalDateString } = require('../time');
+const { NOW } = require('./helpers');
+
+const ZONE = { iana: 'Asia/Bangkok' };
+const SUNNY = { condition: 'clear', description: 'clear sky', temp: 35, humidity: 35, windSpeed: 5, clouds: 0, pop: 0, precipitation: 0 };
+const RAIN = { condition: 'rain', description: 'moderate rain', temp: 26, humidity: 95, windSpeed: 3, clouds: 100, pop: 1, precipitation: 2 };
+
+// Weather of each Bangkok day: rain today, then drying days of which the
+// 21st and 22nd are equally good
+const WEATHER_BY_DAY = {
+    '2026-10-19': RAIN,
+    '2026-10-20': Object.assign({}, SUNNY, { pop: 0.2 }),
+    '2026-10-21': SUNNY,
+    '2026-10-22': SUNNY,
+    '2026-10-23': SUNNY
+};
+
+// A forecast of 3-hour slots from the given UTC time, each with the weather
+// of its day in Bangkok
+function createForecast(startIso, count, weatherByDay = WEATHER_BY_DAY) {
+    const start = Date.parse(startIso) / 1000;
+    const slots = Array.from({ length: count }, (_, index) => {
+        const dt = start + index * 3 * 3600;
+        const date = getLocalDateString(new Date(dt * 1000), ZONE);
+        return Object.assign({ dt: dt, hours: 3 }, weatherByDay[date] || SUNNY);
+    });
+    return { slots: slots };
+}
+
+test('buildOutlook groups the slots into days of the local zone', () => {
+    // 22:00 on the 18th to 07:00 on the 23rd, Bangkok time
+    const outlook = buildOutlook(createForecast('2026-10-18T15:00:00Z', 36), ZONE, NOW);
+    
+    assert.equal(outlook.today, '2026-10-19');
+    // The 18th is over and the 23rd is cut short at 9 hours
+    assert.deepEqual(outlook.days.map(day => day.date), ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22']);
+    outlook.days.forEach(day => assert.equal(day.hours, 24));
+    
+    const [today, tomorrow] = outlook.days;
+    assert.equal(today.condition, 'rain');
+    assert.equal(today.description, 'moderate rain');
+    assert.equal(today.totalRain, 16);
+    assert.equal(today.maxPop, 100);
+    assert.equal(today.dryingScore, 0);
+    assert.equal(tomorrow.condition, 'clear');
+    assert.equal(tomorrow.maxPop, 20);
+    assert.equal(tomorrow.dryingScore, 80);
+});
+
+test('buildOutlook keeps slots after local midnight on the next day', () => {
+    const forecast = createForecast('2026-10-18T15:00:00Z', 36);
+    
+    // 15:00 UTC is 22:00 on the 19th in Bangkok, 18:00 UTC is 01:00 on the 20th
+    const bangkok = buildOutlook(forecast, ZONE, NOW);
+    const [today, tomorrow] = bangkok.days;
+    assert.equal(today.minTemp, 26);
+    assert.equal(today.maxTemp, 26);
+    assert.equal(tomorrow.minTemp, 35);
+    
+    // A fixed offset zone groups the same way
+    const offset = buildOutlook(forecast, { offsetSeconds: 7 * 3600 }, NOW);
+    assert.deepEqual(offset.days.map(day => [day.date, day.totalRain]), bangkok.days.map(day => [day.date, day.totalRain]));
+    
+    // In UTC the 19th starts at 07:00 Bangkok time and ends with two sunny slots of the 20th
+    const utc = buildOutlook(forecast, { iana: 'UTC' }, NOW);
+    assert.equal(utc.today, '2026-10-18');
+    const utcDay = utc.days.find(day => day.date === '2026-10-19');
+    assert.equal(utcDay.totalRain, 12);
+    assert.equal(utcDay.maxTemp, 35);
+});
+
+test('buildOutlook picks the best laundry day, earliest first on a tie', () => {
+    const outlook = buildOutlook(createForecast('2026-10-18T15:00:00Z', 36), ZONE, NOW);
+    
+    assert.equal(outlook.bestLaundryDay.date, '2026-10-21');
+    assert.equal(outlook.bestLaundryDay.dryingScore, 100);
+});
+
+test('buildOutlook has no best laundry day when no day dries well', () => {
+    const rainy = { '2026-10-20': RAIN, '2026-10-21': RAIN, '2026-10-22': RAIN, '2026-10-23': RAIN };
+    const weather = Object.assign({}, WEATHER_BY_DAY, rainy, { '2026-10-21': Object.assign({}, SUNNY, { pop: 0.6 }) });
+    
+    const outlook = buildOutlook(createForecast('2026-10-18T15:00:00Z', 36, weather), ZONE, NOW);
+    
+    assert.equal(outlook.days.find(day => day.date === '2026-10-21').dryingScore, 40);
+    assert.equal(outlook.bestLaundryDay, null);
+});
+
+test('buildOutlook leaves today out of the laundry pick once daylight is over', () => {
+    // 19:00 on the 19th in Bangkok: only tonight's slots are left of today
+    const now = new Date('2026-10-19T12:00:00Z');
+    const weather = Object.assign({}, WEATHER_BY_DAY, { '2026-10-19': SUNNY, '2026-10-20': RAIN, '2026-10-21': RAIN });
+    
+    const outlook = buildOutlook(createForecast('2026-10-19T12:00:00Z', 16, weather), ZONE, now);
+    
+    assert.equal(outlook.days[0].date, '2026-10-19');
+    assert.equal(outlook.days[0].hours, 6);
+    assert.equal(outlook.days[0].dryingScore, undefined);
+    assert.equal(outlook.bestLaundryDay, null);
+});
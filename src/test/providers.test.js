@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fetchForecast } = require('../providers');
+const openMeteo = require('../providers/open-meteo');
+const { CONFIG: HTTP_CONFIG } = require('../http');
+const { NOW, BANGKOK, loadFixture, createHttpClient, withEnv, captureConsole } = require('./helpers');
+
+// Retries are immediate in tests
+const retryDelay = HTTP_CONFIG.RETRY_DELAY;
+test.before(() => {
+    HTTP_CONFIG.RETRY_DELAY = 0;
+});
+test.after(() => {
+    HTTP_CONFIG.RETRY_DELAY = retryDelay;
+});
+
+// HTTP client answering Open-Meteo with its recorded forecast and
+// OpenWeatherMap with the given failure
+function createFallbackClient(failure) {
+    return createHttpClient(options => (options.hostname === 'api.open-meteo.com'
+        ? { body: loadFixture('open-meteo') }
+        : failure));
+}
+
+test('toCondition maps WMO codes to conditions and description keys', () => {
+    assert.deepEqual(openMeteo.toCondition(0), { condition: 'clear', key: 'wmo.clear' });
+    assert.deepEqual(openMeteo.toCondition(3), { condition: 'clouds', key: 'wmo.overcast' });
+    assert.deepEqual(openMeteo.toCondition(48), { condition: 'fog', key: 'wmo.fog' });
+    assert.deepEqual(openMeteo.toCondition(55), { condition: 'drizzle', key: 'wmo.drizzle' });
+    assert.deepEqual(openMeteo.toCondition(63), { condition: 'rain', key: 'wmo.rain' });
+    assert.deepEqual(openMeteo.toCondition(65), { condition: 'rain', key: 'wmo.heavyRain' });
+    assert.deepEqual(openMeteo.toCondition(81), { condition: 'rain', key: 'wmo.showers' });
+    assert.deepEqual(openMeteo.toCondition(86), { condition: 'snow', key: 'wmo.snow' });
+    assert.deepEqual(openMeteo.toCondition(96), { condition: 'thunderstorm', key: 'wmo.thunderstorm' });
+    assert.deepEqual(openMeteo.toCondition(undefined), { condition: 'clouds', key: 'wmo.overcast' });
+});
+
+test('normalize groups the hours into 3-hour UTC slots and drops the ones already over', () => {
+    const forecast = openMeteo.normalize(loadFixture('open-meteo'), { language: 'en', now: NOW });
+    
+    assert.equal(forecast.provider, 'open-meteo');
+    assert.deepEqual(forecast.location, { name: null, timezone: 'Asia/Bangkok', timezoneOffset: 25200 });
+    assert.equal(forecast.slots.length, 8);
+    
+    // The 21:00 UTC slot is still running at 23:00, the one before is over
+    const [first] = forecast.slots;
+    assert.equal(first.dt, Date.parse('2026-10-18T21:00:00Z') / 1000);
+    assert.equal(first.hours, 3);
+    
+    // The rainy afternoon: the most severe code and chance, the summed
+    // precipitation and the averaged temperature of its three hours
+    const rain = forecast.slots.find(slot => slot.dt === Date.parse('2026-10-19T09:00:00Z') / 1000);
+    assert.equal(rain.condition, 'rain');
+    assert.equal(rain.descriptionKey, 'wmo.rain');
+    assert.equal(rain.pop, 0.8);
+    assert.equal(Math.round(rain.precipitation * 10) / 10, 7.2);
+    assert.equal(rain.windSpeed, 4.1);
+    assert.equal(rain.temp.toFixed(1), '31.6');
+    
+    const later = openMeteo.normalize(loadFixture('open-meteo'), { now: new Date('2026-10-19T10:00:00Z'), slotCount: 2 });
+    assert.deepEqual(later.slots.map(slot => slot.dt), [Date.parse('2026-10-19T09:00:00Z') / 1000, Date.parse('2026-10-19T12:00:00Z') / 1000]);
+});
+
+test('fetchForecast falls back to Open-Meteo when OpenWeatherMap rejects the key', () => withEnv({
+    OPENWEATHER_API_KEY: 'bad-key',
+    WEATHER_PROVIDERS: 'openweathermap,open-meteo'
+}, () => captureConsole(async () => {
+    const httpClient = createFallbackClient({ statusCode: 401, statusMessage: 'Unauthorized', body: {} });
+    
+    const forecast = await fetchForecast(BANGKOK, { language: 'en', httpClient: httpClient, now: NOW });
+    
+    assert.equal(forecast.provider, 'open-meteo');
+    assert.equal(forecast.slots.length, 8);
+    assert.equal(forecast.slots[0].description, 'partly cloudy');
+    assert.deepEqual(httpClient.calls.map(call => call.options.hostname), ['api.openweathermap.org', 'api.open-meteo.com']);
+})));
+
+test('fetchForecast falls back to Open-Meteo once OpenWeatherMap keeps failing', () => withEnv({
+    OPENWEATHER_API_KEY: 'test-key',
+    WEATHER_PROVIDERS: 'openweathermap,open-meteo'
+}, () => captureConsole(async () => {
+    const httpClient = createFallbackClient({ statusCode: 502, statusMessage: 'Bad Gateway', body: '' });
+    
+    const forecast = await fetchForecast(BANGKOK, { language: 'en', httpClient: httpClient, now: NOW });
+    
+    assert.equal(forecast.provider, 'open-meteo');
+    const hosts = httpClient.calls.map(call => call.options.hostname);
+    assert.equal(hosts.filter(host => host === 'api.openweathermap.org').length, HTTP_CONFIG.MAX_RETRIES);
+    assert.equal(hosts[hosts.length - 1], 'api.open-meteo.com');
+})));
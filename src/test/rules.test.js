@@ -0,0 +1,55 @@
+const test = require('node:test');
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { loadRules, evaluateRules } = require('../rules');
+const { withEnv, createTempDir } = require('./helpers');
+
+// Load RULES_FILE with the given custom rule set
+function loadCustomRules(custom) {
+    const file = path.join(createTempDir(), 'rules.json');
+    fs.writeFileSync(file, JSON.stringify(custom));
+    return withEnv({ RULES_FILE: file }, () => loadRules());
+}
+
+test('custom rules are merged over the defaults and evaluated', async () => {
+    const ruleSet = await loadCustomRules({
+        thresholds: { WINDY: 8 },
+        rules: [{
+            id: 'windy',
+            section: 'laundry',
+            priority: 100,
+            when: { field: 'maxWindSpeed', op: '>=', value: '$WINDY' },
+            messages: [{ th: '💨 ลมแรง', en: '💨 Windy ({maxWindSpeed} m/s)' }]
+        }]
+    });
+    
+    assert.ok(ruleSet.rules.some(rule => rule.id === 'laundry-rain'));
+    assert.equal(evaluateRules(ruleSet, { maxWindSpeed: 9.5 }, 'en').laundry[0], '💨 Windy (9.5 m/s)');
+});
+
+test('a condition on an undefined threshold fails when the rules load', async () => {
+    await assert.rejects(loadCustomRules({
+        rules: [{
+            id: 'windy',
+            section: 'laundry',
+            when: { any: [{ field: 'maxWindSpeed', op: '>=', value: '$WINDY' }] },
+            messages: ['💨 Windy']
+        }]
+    }), /Rule windy: unknown threshold "WINDY"/);
+});
+
+test('a rule without a usable message fails when the rules load', async () => {
+    for (const messages of [[null], [''], [{}], [{ en: null }], [42]]) {
+        await assert.rejects(loadCustomRules({
+            rules: [{ id: 'broken', section: 'umbrella', messages: messages }]
+        }), /Rule broken: every message must be/);
+    }
+});
+
+test('the UV index is available to rules as maxUv', async () => {
+    const ruleSet = await loadCustomRules({ rules: [] });
+    
+    assert.ok(evaluateRules(ruleSet, { maxUv: 9 }, 'en').outdoor.length > 0);
+    assert.deepEqual(evaluateRules(ruleSet, {}, 'en').outdoor, []);
+});
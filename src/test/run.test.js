@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG: LOG_CONFIG, createLogger } = require('../logger');
+const { CONFIG: METRICS_CONFIG, createMetrics, formatEmf } = require('../metrics');
+const { createRun, withRun, getLogger, recordMetric, timeStage, flushMetrics } = require('../run');
+const { captureConsole } = require('./helpers');
+
+test('the logger writes JSON lines with its fields', async () => {
+    const { lines } = await captureConsole(() => {
+        const logger = createLogger({ runId: 'run-1' }).child({ subscriber: 'default' });
+        logger.info('Report sent', { channels: 2, skipped: undefined });
+        logger.error('Report failed', { error: new Error('HTTP 502') });
+        logger.debug('Not written at the info level');
+    });
+    
+    assert.equal(lines.length, 2);
+    const [sent, failed] = lines.map(line => JSON.parse(line));
+    assert.equal(sent.level, 'info');
+    assert.equal(sent.message, 'Report sent');
+    assert.equal(sent.runId, 'run-1');
+    assert.equal(sent.subscriber, 'default');
+    assert.equal(sent.channels, 2);
+    assert.ok(!('skipped' in sent));
+    assert.ok(!isNaN(Date.parse(sent.timestamp)));
+    assert.equal(failed.error, 'HTTP 502');
+});
+
+test('the logger writes text lines with LOG_FORMAT=text', async () => {
+    const format = LOG_CONFIG.FORMAT;
+    LOG_CONFIG.FORMAT = 'text';
+    
+    try {
+        const { lines } = await captureConsole(() => createLogger({ runId: 'run-1' }).warn('Slow response'));
+        assert.deepEqual(lines, ['WARN Slow response {"runId":"run-1"}']);
+    } finally {
+        LOG_CONFIG.FORMAT = format;
+    }
+});
+
+test('formatEmf declares the metrics and splits long series', () => {
+    const metrics = createMetrics({ Mode: 'daily' });
+    metrics.put('NotificationsSent', 3);
+    metrics.put('ApiLatency', 120, 'Milliseconds');
+    for (let index = 0; index < METRICS_CONFIG.MAX_VALUES; index++) {
+        metrics.put('ApiRetries', index % 2);
+    }
+    metrics.put('ApiRetries', 2);
+    metrics.put('Ignored', NaN);
+    
+    const documents = formatEmf(metrics, new Date(1000), { runId: 'run-1' });
+    
+    assert.equal(documents.length, 2);
+    const [first, second] = documents;
+    assert.equal(first.runId, 'run-1');
+    assert.equal(first.Mode, 'daily');
+    assert.equal(first.NotificationsSent, 3);
+    assert.equal(first.ApiRetries.length, METRICS_CONFIG.MAX_VALUES);
+    assert.deepEqual(first._aws, {
+        Timestamp: 1000,
+        CloudWatchMetrics: [{
+            Namespace: 'WeatherNotification',
+            Dimensions: [['Mode']],
+            Metrics: [
+                { Name: 'NotificationsSent', Unit: 'Count' },
+                { Name: 'ApiLatency', Unit: 'Milliseconds' },
+                { Name: 'ApiRetries', Unit: 'Count' }
+            ]
+        }]
+    });
+    assert.equal(second.ApiRetries, 2);
+    assert.deepEqual(second._aws.CloudWatchMetrics[0].Metrics, [{ Name: 'ApiRetries', Unit: 'Count' }]);
+    assert.equal(metrics.sum('ApiRetries'), 52);
+});
+
+test('timeStage adds up the time of a stage and tags errors with it', async () => {
+    const run = createRun({ mode: 'daily' }, 'run-1');
+    
+    await withRun(run, async () => {
+        assert.equal(timeStage('analyze', () => 1), 1);
+        assert.equal(await timeStage('fetch', async () => 2), 2);
+        
+        // The innermost stage is where the error happened
+        await assert.rejects(timeStage('send', () => timeStage('render', async () => {
+            throw new Error('Template missing');
+        })), { message: 'Template missing', stage: 'render' });
+        assert.throws(() => timeStage('analyze', () => {
+            throw new Error('Bad forecast');
+        }), { stage: 'analyze' });
+    });
+    
+    assert.deepEqual(Object.keys(run.stages).sort(), ['analyze', 'fetch', 'render', 'send']);
+    Object.values(run.stages).forEach(duration => assert.ok(duration >= 0));
+});
+
+test('code called during a run logs and records metrics for it', async () => {
+    const run = createRun({ mode: 'alert' }, 'run-1');
+    
+    const { lines } = await captureConsole(async () => {
+        await withRun(run, async () => {
+            getLogger().info('Inside the run');
+            recordMetric('RainDays', 1);
+        });
+        getLogger().info('Outside the run');
+        recordMetric('RainDays', 1);
+        
+        timeStage('fetch', () => null);
+        flushMetrics(run);
+    });
+    
+    const [inside, outside, emf] = lines.map(line => JSON.parse(line));
+    assert.equal(inside.runId, 'run-1');
+    assert.equal(inside.mode, 'alert');
+    assert.equal(outside.runId, undefined);
+    assert.equal(emf.runId, 'run-1');
+    assert.equal(emf.Mode, 'alert');
+    assert.equal(emf.RainDays, 1);
+    assert.equal(typeof emf.Duration, 'number');
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml, render, renderString, clearTemplateCache } = require('../template');
+const { withEnv, createTempDir } = require('./helpers');
+
+test('escapeHtml escapes markup and quotes', () => {
+    assert.equal(escapeHtml('<b class="x">Tom & Jerry\'s</b>'), '&lt;b class=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/b&gt;');
+});
+
+test('renderString escapes values unless they use triple braces', () => {
+    const view = { name: '<i>Bangkok</i>' };
+    
+    assert.equal(renderString('{{name}}', view), '&lt;i&gt;Bangkok&lt;/i&gt;');
+    assert.equal(renderString('{{{name}}}', view), '<i>Bangkok</i>');
+});
+
+test('renderString looks up dotted names and leaves missing values empty', () => {
+    assert.equal(renderString('{{summary.maxTemp}}°|{{missing}}|{{summary.missing.deeper}}', { summary: { maxTemp: 31 } }), '31°||');
+});
+
+test('renderString repeats sections for lists with the item as context', () => {
+    const view = { groups: [{ label: 'Today', lines: ['13:00', '16:00'] }, { label: 'Tomorrow', lines: ['01:00'] }] };
+    
+    assert.equal(renderString('{{#groups}}{{label}}:{{#lines}} {{.}}{{/lines}};{{/groups}}', view), 'Today: 13:00 16:00;Tomorrow: 01:00;');
+});
+
+test('renderString shows inverted sections for missing, false and empty values', () => {
+    const source = '{{#items}}some{{/items}}{{^items}}none{{/items}}';
+    
+    assert.equal(renderString(source, {}), 'none');
+    assert.equal(renderString(source, { items: false }), 'none');
+    assert.equal(renderString(source, { items: [] }), 'none');
+    assert.equal(renderString(source, { items: [1] }), 'some');
+});
+
+test('renderString falls back to outer contexts inside a section', () => {
+    assert.equal(renderString('{{#rain}}{{header}} in {{city}}{{/rain}}', { city: 'Bangkok', rain: { header: 'Rain' } }), 'Rain in Bangkok');
+});
+
+test('renderString rejects unbalanced sections', () => {
+    assert.throws(() => renderString('{{#a}}x', {}), /unclosed \{\{#a\}\}/);
+    assert.throws(() => renderString('{{#a}}x{{/b}}', {}), /unexpected \{\{\/b\}\}/);
+});
+
+test('render prefers templates in TEMPLATE_DIR and includes partials', () => withEnv({ TEMPLATE_DIR: createTempDir() }, async () => {
+    fs.writeFileSync(path.join(process.env.TEMPLATE_DIR, 'error.html'), '<p>{{message}}</p>{{> signature}}');
+    fs.writeFileSync(path.join(process.env.TEMPLATE_DIR, 'signature.html'), '-- {{from}}');
+    clearTemplateCache();
+    
+    try {
+        assert.equal(render('error', { message: 'Down', from: 'Weather' }), '<p>Down</p>-- Weather');
+    } finally {
+        clearTemplateCache();
+    }
+}));
+
+test('render uses the built-in template when TEMPLATE_DIR has no override', () => withEnv({ TEMPLATE_DIR: createTempDir() }, async () => {
+    clearTemplateCache();
+    
+    try {
+        assert.match(render('error', { heading: 'Oops', message: 'Down', time: 'now' }), /Oops[\s\S]*Down/);
+    } finally {
+        clearTemplateCache();
+    }
+}));
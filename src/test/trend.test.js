@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, summarizeDay, updateHistory, buildTrend, describeTrend, formatTrend } = require('../trend');
+const { buildLocationReport, renderText } = require('../report');
+const { renderDailyEmail } = require('../email');
+const { normalize } = require('../providers/openweathermap');
+const { NOW, BANGKOK, loadFixture } = require('./helpers');
+
+// Day summary for the history
+function day(date, maxTemp, hasRain) {
+    return { date: date, minTemp: maxTemp - 8, maxTemp: maxTemp, hasRain: hasRain };
+}
+
+test('updateHistory replaces the same day and keeps the most recent days', () => {
+    let history = [];
+    for (let date = 1; date <= CONFIG.HISTORY_DAYS + 2; date++) {
+        history = updateHistory(history, day(`2026-10-${String(date).padStart(2, '0')}`, 30, false));
+    }
+    history = updateHistory(history, day('2026-10-16', 25, true));
+    
+    assert.equal(history.length, CONFIG.HISTORY_DAYS);
+    assert.equal(history[0].date, '2026-10-03');
+    assert.equal(history[history.length - 1].date, '2026-10-16');
+    assert.equal(history[history.length - 1].maxTemp, 25);
+});
+
+test('buildTrend needs a summary of yesterday', () => {
+    assert.equal(buildTrend([day('2026-10-17', 30, false)], day('2026-10-19', 31, false)), null);
+    assert.equal(buildTrend([], day('2026-10-19', 31, false)), null);
+});
+
+test('buildTrend compares the high with yesterday and counts the streak', () => {
+    const history = [
+        day('2026-10-15', 30, false),
+        day('2026-10-16', 30, true),
+        day('2026-10-17', 29, true),
+        day('2026-10-18', 28, true)
+    ];
+    
+    const rainy = buildTrend(history, day('2026-10-19', 33, true));
+    assert.equal(rainy.tempDelta, 5);
+    assert.equal(rainy.streak, 4);
+    assert.equal(rainy.endedSpell, 0);
+    
+    const dry = buildTrend(history, day('2026-10-19', 28.5, false));
+    assert.equal(dry.streak, 1);
+    assert.equal(dry.endedSpell, 3);
+});
+
+test('buildTrend ignores a summary of today from an earlier run', () => {
+    const history = [day('2026-10-18', 30, true), day('2026-10-19', 20, true)];
+    const trend = buildTrend(history, day('2026-10-19', 32, true));
+    
+    assert.equal(trend.tempDelta, 2);
+    assert.equal(trend.streak, 2);
+});
+
+test('describeTrend notes the first dry day after a rainy spell', () => {
+    const history = [day('2026-10-16', 30, true), day('2026-10-17', 29, true), day('2026-10-18', 28, true)];
+    const described = describeTrend(buildTrend(history, day('2026-10-19', 28.5, false)), 'en');
+    
+    assert.deepEqual(described.lines, [
+        '🌡️ About as hot as yesterday, high of 28.5°C',
+        '🧺 First dry day after 3 days of rain, a good day for laundry'
+    ]);
+    assert.equal(formatTrend(described), `\n📈 Compared with yesterday:\n${described.lines.join('\n')}\n`);
+});
+
+test('describeTrend notes a big temperature change and a dry streak', () => {
+    const history = [day('2026-10-17', 30, false), day('2026-10-18', 30, false)];
+    const described = describeTrend(buildTrend(history, day('2026-10-19', 36, false)), 'en');
+    
+    assert.deepEqual(described.lines, [
+        '🌡️ 6.0°C hotter than yesterday, high of 36.0°C',
+        '☀️ 3 dry days in a row',
+        '🥵 A big jump in temperature, drink plenty of water'
+    ]);
+    assert.equal(describeTrend(null, 'en'), null);
+    assert.equal(formatTrend(null), '');
+});
+
+test('the daily report adds the trend to the text and the email', () => {
+    const forecast = normalize(loadFixture('rainy-day'));
+    const today = buildLocationReport(forecast, BANGKOK, 'en', undefined, NOW);
+    const history = [day('2026-10-17', 33, true), day('2026-10-18', today.prediction.maxTemp + 2, true)];
+    const report = buildLocationReport(forecast, BANGKOK, 'en', undefined, NOW, { history: history });
+    
+    assert.equal(today.trend, null);
+    assert.deepEqual(summarizeDay(report.prediction), {
+        date: '2026-10-19',
+        minTemp: today.prediction.minTemp,
+        maxTemp: today.prediction.maxTemp,
+        hasRain: true
+    });
+    assert.match(renderText(report), /📈 Compared with yesterday:\n🌡️ 2\.0°C cooler than yesterday, high of [\d.]+°C\n🌧️ 3 rainy days in a row\n/);
+    
+    const { html } = renderDailyEmail([report], { language: 'en', zone: { iana: 'Asia/Bangkok' }, now: NOW });
+    assert.match(html, /📈 Compared with yesterday:[\s\S]*🌧️ 3 rainy days in a row/);
+});
@@ -0,0 +1,171 @@
+// Time zone helpers. A zone is either { iana: 'Asia/Bangkok' } for a
+// configured IANA zone, or { offsetSeconds: 25200 } for the fixed UTC
+// offset reported by the weather API. Nothing here depends on the
+// time zone of the host running the code.
+
+const UTC_ZONE = { offsetSeconds: 0 };
+
+// Check that a string is an IANA time zone known to the runtime
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+    
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The TIMEZONE setting, or null when unset. An unknown zone fails here
+// with the setting's name rather than deep inside date formatting.
+function getConfiguredTimeZone() {
+    const timeZone = process.env.TIMEZONE;
+    if (!timeZone) {
+        return null;
+    }
+    if (!isValidTimeZone(timeZone)) {
+        throw new Error(`Invalid TIMEZONE "${timeZone}": use an IANA time zone such as Asia/Bangkok`);
+    }
+    return timeZone;
+}
+
+// Resolve the zone for a location: a configured IANA zone on the location
+// or in TIMEZONE wins, then the zone or UTC offset reported by the weather
+// provider, then UTC
+function getTimeZone(forecast, location = {}) {
+    const configured = location.timezone || getConfiguredTimeZone();
+    if (configured) {
+        return { iana: configured };
+    }
+    
+    const reported = (forecast && forecast.location) || {};
+    if (reported.timezone && isValidTimeZone(reported.timezone)) {
+        return { iana: reported.timezone };
+    }
+    
+    const offset = reported.timezoneOffset;
+    if (typeof offset === 'number' && !isNaN(offset)) {
+        return { offsetSeconds: offset };
+    }
+    
+    return UTC_ZONE;
+}
+
+// Format a date with Intl options in the given zone.
+// Offset zones are applied by shifting the instant and formatting as UTC.
+function formatInZone(date, zone, locale, options) {
+    if (zone.iana) {
+        return date.toLocaleString(locale, Object.assign({}, options, { timeZone: zone.iana }));
+    }
+    
+    const shifted = new Date(date.getTime() + (zone.offsetSeconds || 0) * 1000);
+    return shifted.toLocaleString(locale, Object.assign({}, options, { timeZone: 'UTC' }));
+}
+
+// Local calendar date (YYYY-MM-DD) of an instant in the given zone
+function getLocalDateString(date, zone) {
+    if (zone.iana) {
+        // en-CA formats dates as YYYY-MM-DD
+        return date.toLocaleDateString('en-CA', { timeZone: zone.iana });
+    }
+    
+    const shifted = new Date(date.getTime() + (zone.offsetSeconds || 0) * 1000);
+    return shifted.toISOString().split('T')[0];
+}
+
+// UTC offset of the zone at an instant, in seconds
+function getOffsetSeconds(date, zone) {
+    if (!zone.iana) {
+        return zone.offsetSeconds || 0;
+    }
+    
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: zone.iana,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date);
+    const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    const local = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+    
+    return Math.round((local - date.getTime()) / 1000);
+}
+
+// Instant of a local hour on a YYYY-MM-DD date in the given zone
+function getLocalTime(dateStr, hour, zone) {
+    const guess = new Date(`${dateStr}T${String(hour).padStart(2, '0')}:00:00Z`);
+    return new Date(guess.getTime() - getOffsetSeconds(guess, zone) * 1000);
+}
+
+// Today's date in the given zone
+function getTodayDateString(zone, now = new Date()) {
+    return getLocalDateString(now, zone);
+}
+
+// Add whole days to a YYYY-MM-DD string
+function addDays(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// Hour of day (0-23) of an instant in the given zone
+function getLocalHour(date, zone) {
+    return parseInt(formatInZone(date, zone, 'en-GB', { hour: '2-digit', hourCycle: 'h23' }), 10);
+}
+
+// Short time of day, e.g. "13:00"
+function formatTime(date, zone, locale) {
+    return formatInZone(date, zone, locale, { hour: '2-digit', minute: '2-digit' });
+}
+
+// Calendar date, e.g. "19/10/2569" for th-TH
+function formatDate(date, zone, locale) {
+    return formatInZone(date, zone, locale, { year: 'numeric', month: 'numeric', day: 'numeric' });
+}
+
+// Short weekday and date of a YYYY-MM-DD string, e.g. "Tue 20/10" for en-GB
+function formatDayLabel(dateStr, locale) {
+    return new Date(`${dateStr}T12:00:00Z`).toLocaleDateString(locale, {
+        weekday: 'short',
+        day: 'numeric',
+        month: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+// Date and time, e.g. "19/10/2569 06:00:00" for th-TH
+function formatDateTime(date, zone, locale) {
+    return formatInZone(date, zone, locale, {
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+}
+
+module.exports = {
+    UTC_ZONE,
+    isValidTimeZone,
+    getConfiguredTimeZone,
+    getTimeZone,
+    getLocalDateString,
+    getTodayDateString,
+    getOffsetSeconds,
+    getLocalTime,
+    addDays,
+    getLocalHour,
+    formatTime,
+    formatDate,
+    formatDayLabel,
+    formatDateTime
+};
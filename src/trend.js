@@ -0,0 +1,125 @@
+const { t } = require('./i18n');
+const { addDays } = require('./time');
+
+// Trend configuration
+const CONFIG = {
+    // Days of summaries kept per location
+    HISTORY_DAYS: 14,
+    // Change in the high (°C) below which today is as hot as yesterday
+    SAME_TEMP: 1,
+    // Change in the high (°C) worth a note of its own
+    BIG_TEMP_CHANGE: 5,
+    // Rainy days after which the first dry day is worth a note
+    RAINY_SPELL_DAYS: 2,
+    // Dry days after which the first rain is worth a note
+    DRY_SPELL_DAYS: 5
+};
+
+// The summary of a day kept in the history, from a report's prediction
+function summarizeDay(prediction) {
+    return {
+        date: prediction.date,
+        minTemp: prediction.minTemp,
+        maxTemp: prediction.maxTemp,
+        hasRain: prediction.hasRain
+    };
+}
+
+// Add a day to the history, replacing an earlier summary of the same
+// date, and keep only the most recent days
+function updateHistory(history, day) {
+    return (history || [])
+        .filter(entry => entry.date !== day.date)
+        .concat([day])
+        .sort((a, b) => (a.date < b.date ? -1 : 1))
+        .slice(-CONFIG.HISTORY_DAYS);
+}
+
+// Consecutive days up to and including `date` that had rain or stayed dry
+function countSpell(byDate, date, hasRain) {
+    let days = 0;
+    for (let day = byDate.get(date); day && day.hasRain === hasRain; day = byDate.get(addDays(day.date, -1))) {
+        days++;
+    }
+    return days;
+}
+
+// Compare today with the days before it. Returns null without a summary
+// of yesterday, as there is nothing to compare with.
+function buildTrend(history, today) {
+    const byDate = new Map((history || []).filter(day => day.date < today.date).map(day => [day.date, day]));
+    const yesterday = byDate.get(addDays(today.date, -1));
+    if (!yesterday) {
+        return null;
+    }
+    
+    const spell = countSpell(byDate, yesterday.date, yesterday.hasRain);
+    const continues = yesterday.hasRain === today.hasRain;
+    
+    return {
+        maxTemp: today.maxTemp,
+        tempDelta: typeof today.maxTemp === 'number' && typeof yesterday.maxTemp === 'number'
+            ? today.maxTemp - yesterday.maxTemp
+            : null,
+        hasRain: today.hasRain,
+        // Days in a row with today's weather, today included
+        streak: continues ? spell + 1 : 1,
+        // Length of the spell today brings to an end
+        endedSpell: continues ? 0 : spell
+    };
+}
+
+// Describe the temperature change since yesterday
+function describeTempChange(trend, language) {
+    const params = { delta: Math.abs(trend.tempDelta).toFixed(1), max: trend.maxTemp.toFixed(1) };
+    if (Math.abs(trend.tempDelta) < CONFIG.SAME_TEMP) {
+        return t(language, 'trend.sameTemp', params);
+    }
+    return t(language, trend.tempDelta > 0 ? 'trend.warmer' : 'trend.cooler', params);
+}
+
+// Describe the trend for display: the temperature change, the current
+// rainy or dry streak, and notes when the weather turns. Returns null
+// when there is nothing to say.
+function describeTrend(trend, language) {
+    if (!trend) {
+        return null;
+    }
+    
+    const lines = [];
+    if (trend.tempDelta !== null) {
+        lines.push(describeTempChange(trend, language));
+    }
+    if (trend.streak >= 2) {
+        lines.push(t(language, trend.hasRain ? 'trend.rainStreak' : 'trend.dryStreak', { days: trend.streak }));
+    }
+    
+    if (!trend.hasRain && trend.endedSpell >= CONFIG.RAINY_SPELL_DAYS) {
+        lines.push(t(language, 'trend.dryAfterRain', { days: trend.endedSpell }));
+    }
+    if (trend.hasRain && trend.endedSpell >= CONFIG.DRY_SPELL_DAYS) {
+        lines.push(t(language, 'trend.rainAfterDry', { days: trend.endedSpell }));
+    }
+    if (trend.tempDelta !== null && Math.abs(trend.tempDelta) >= CONFIG.BIG_TEMP_CHANGE) {
+        lines.push(t(language, trend.tempDelta > 0 ? 'trend.muchWarmer' : 'trend.muchCooler'));
+    }
+    
+    return lines.length > 0 ? { header: t(language, 'trend.header'), lines: lines } : null;
+}
+
+// Format a described trend as text lines
+function formatTrend(described) {
+    if (!described) {
+        return '';
+    }
+    return `\n${described.header}\n${described.lines.join('\n')}\n`;
+}
+
+module.exports = {
+    CONFIG,
+    summarizeDay,
+    updateHistory,
+    buildTrend,
+    describeTrend,
+    formatTrend
+};